@@ -0,0 +1,102 @@
+// Stock adjustments - stock changes that are neither purchases nor sales (damaged goods,
+// theft, count corrections...). They are booked as adjustment_in / adjustment_out
+// movements naming a reason code. Every company gets the built-in reasons and can add
+// its own.
+
+const ADJUSTMENT_DIRECTIONS = ['in', 'out', 'both'];
+
+// Reasons every company has. System reasons are used by the app itself and cannot be
+// changed or removed.
+const DEFAULT_ADJUSTMENT_REASONS = [
+  { code: 'damage', name: 'Zədələnmə', direction: 'out' },
+  { code: 'loss', name: 'İtki', direction: 'out' },
+  { code: 'theft', name: 'Oğurluq', direction: 'out' },
+  { code: 'expiry', name: 'Vaxtı keçmiş', direction: 'out' },
+  { code: 'count_correction', name: 'Sayım düzəlişi', direction: 'both' },
+  { code: 'stocktake', name: 'İnventarizasiya', direction: 'both', isSystem: true }
+];
+
+const REASON_CODE_PATTERN = /^[a-z0-9_]{2,40}$/;
+
+// Movement type of an adjustment in the given direction ('in' / 'out')
+function adjustmentType(direction) {
+  return direction === 'in' ? 'adjustment_in' : 'adjustment_out';
+}
+
+// Create the built-in reasons a company does not have yet
+async function ensureAdjustmentReasons(AdjustmentReason) {
+  const existing = await AdjustmentReason.find({ code: { $in: DEFAULT_ADJUSTMENT_REASONS.map(r => r.code) } })
+    .select('code')
+    .lean();
+  const missing = DEFAULT_ADJUSTMENT_REASONS.filter(r => !existing.some(e => e.code === r.code));
+  if (missing.length === 0) return;
+
+  try {
+    await AdjustmentReason.insertMany(missing, { ordered: false });
+  } catch (error) {
+    // Created by a concurrent request
+    const writeErrors = error.writeErrors || [];
+    if (error.code !== 11000 && (writeErrors.length === 0 || writeErrors.some(e => (e.code || e.err?.code) !== 11000))) {
+      throw error;
+    }
+  }
+}
+
+// Find the active reason an adjustment in direction ('in' / 'out') is booked with.
+// Returns { value } or { error } with a message for a 400 response.
+async function resolveAdjustmentReason(AdjustmentReason, code, direction) {
+  if (!code) {
+    return { error: 'Adjustment reason is required' };
+  }
+  await ensureAdjustmentReasons(AdjustmentReason);
+
+  const reason = await AdjustmentReason.findOne({ code: String(code).trim().toLowerCase(), isActive: true }).lean();
+  if (!reason) {
+    return { error: `Unknown adjustment reason "${code}"` };
+  }
+  if (reason.direction !== 'both' && reason.direction !== direction) {
+    return { error: `Reason "${reason.name}" can only be used to ${reason.direction === 'in' ? 'add' : 'remove'} stock` };
+  }
+  return { value: reason };
+}
+
+// Validate a reason code sent by a client for create / update. Fields that are not sent
+// are left out. Returns { value } or { error }.
+function parseAdjustmentReason(body, { requireAll = false } = {}) {
+  const value = {};
+
+  if (body.code !== undefined || requireAll) {
+    const code = typeof body.code === 'string' ? body.code.trim().toLowerCase() : '';
+    if (!REASON_CODE_PATTERN.test(code)) {
+      return { error: 'Reason code must be 2-40 characters of lowercase letters, digits and _' };
+    }
+    value.code = code;
+  }
+  if (body.name !== undefined || requireAll) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      return { error: 'Reason name is required' };
+    }
+    value.name = name;
+  }
+  if (body.direction !== undefined) {
+    if (!ADJUSTMENT_DIRECTIONS.includes(body.direction)) {
+      return { error: `Direction must be one of: ${ADJUSTMENT_DIRECTIONS.join(', ')}` };
+    }
+    value.direction = body.direction;
+  }
+  if (body.isActive !== undefined) {
+    value.isActive = body.isActive === true;
+  }
+
+  return { value };
+}
+
+module.exports = {
+  ADJUSTMENT_DIRECTIONS,
+  DEFAULT_ADJUSTMENT_REASONS,
+  adjustmentType,
+  ensureAdjustmentReasons,
+  resolveAdjustmentReason,
+  parseAdjustmentReason
+};
@@ -0,0 +1,100 @@
+// Internal barcodes for products that come without a printed one. Each company numbers
+// its own EAN-13 codes: the configured prefix, a sequential item number and the check
+// digit, so the codes scan like any retail barcode:
+// instore - in-store numbers from the GS1 restricted range (prefix 2..), free to use
+//           inside one company but not outside it
+// ean13   - the company's own GS1 company prefix, for goods that leave the company
+
+const Company = require('./models/Company');
+const { nextSequence } = require('./numbering');
+const { gtinCheckDigit, DEFAULT_EMBEDDED_BARCODES } = require('./symbology');
+const { findBarcodeConflict } = require('./barcodes');
+
+const BARCODE_GENERATOR_FORMATS = ['instore', 'ean13'];
+const DEFAULT_BARCODE_GENERATOR = { format: 'instore', prefix: '20' };
+
+// Numbers of the range that are already used (typed in by hand) are skipped - give up
+// after this many in a row
+const MAX_SKIPPED_NUMBERS = 100;
+
+// Scale barcode rule (see decodeBarcode) the in-store codes of generator settings would
+// be read by, or null. Such codes would be taken apart as weight / price barcodes.
+function scaleBarcodeOverlap(generator, rules = DEFAULT_EMBEDDED_BARCODES) {
+  if (generator.format !== 'instore') return null;
+  return (rules || DEFAULT_EMBEDDED_BARCODES)
+    .find(rule => generator.prefix.startsWith(rule.prefix) || rule.prefix.startsWith(generator.prefix)) || null;
+}
+
+// Validate barcode generator settings sent by a client, on top of the current ones.
+// rules are the company's scale barcode rules. Returns { value } or { error }.
+function parseBarcodeGenerator(input, current = DEFAULT_BARCODE_GENERATOR, rules = DEFAULT_EMBEDDED_BARCODES) {
+  if (typeof input !== 'object' || input === null) {
+    return { error: 'Barcode generator settings must be an object' };
+  }
+
+  const format = input.format !== undefined ? input.format : current.format;
+  if (!BARCODE_GENERATOR_FORMATS.includes(format)) {
+    return { error: `Barcode generator format must be one of: ${BARCODE_GENERATOR_FORMATS.join(', ')}` };
+  }
+
+  const prefix = input.prefix !== undefined ? String(input.prefix).trim() : current.prefix;
+  if (format === 'instore' && !/^2\d{1,5}$/.test(prefix)) {
+    return { error: 'In-store barcode prefix must be 2 to 6 digits starting with 2' };
+  }
+  if (format === 'ean13' && !/^\d{6,11}$/.test(prefix)) {
+    return { error: 'GS1 company prefix must be 6 to 11 digits' };
+  }
+  if (format === 'ean13' && prefix.startsWith('2')) {
+    return { error: 'Prefixes starting with 2 are in-store numbers - use the instore format' };
+  }
+  const overlap = scaleBarcodeOverlap({ format, prefix }, rules);
+  if (overlap) {
+    return { error: `Barcode prefix ${prefix} is read as a scale barcode (prefix ${overlap.prefix})` };
+  }
+  return { value: { format, prefix } };
+}
+
+// EAN-13 of item number seq under prefix, or null when the number does not fit
+function buildBarcode(prefix, seq) {
+  const body = prefix + String(seq).padStart(12 - prefix.length, '0');
+  if (body.length > 12) return null;
+  return body + gtinCheckDigit(body);
+}
+
+// Barcode generator settings of the company a request works on (cached on the request)
+async function getBarcodeGenerator(models) {
+  if (!models.barcodeGenerator) {
+    const company = await Company.findOne({ slug: models.companySlug }).select('barcodeGenerator').lean();
+    models.barcodeGenerator = { ...DEFAULT_BARCODE_GENERATOR, ...company?.barcodeGenerator };
+  }
+  return models.barcodeGenerator;
+}
+
+// Next free barcode of the company. Every prefix is numbered by its own counter, so a
+// changed prefix starts at 1 and going back to an old one carries on where it stopped.
+// Returns { value } or { error }.
+async function generateBarcode(models) {
+  const { prefix } = await getBarcodeGenerator(models);
+
+  for (let skipped = 0; skipped < MAX_SKIPPED_NUMBERS; skipped++) {
+    const seq = await nextSequence(models.Counter, `barcode:${prefix}`);
+    const code = buildBarcode(prefix, seq);
+    if (!code) {
+      return { error: `All barcodes with the prefix ${prefix} are used - configure a new prefix` };
+    }
+    if (!(await findBarcodeConflict(models.Product, [code]))) {
+      return { value: code };
+    }
+  }
+  return { error: `No free barcode found with the prefix ${prefix} - configure a new prefix` };
+}
+
+module.exports = {
+  BARCODE_GENERATOR_FORMATS,
+  DEFAULT_BARCODE_GENERATOR,
+  scaleBarcodeOverlap,
+  parseBarcodeGenerator,
+  buildBarcode,
+  getBarcodeGenerator,
+  generateBarcode
+};
@@ -0,0 +1,135 @@
+// Barcodes of a product. Besides its primary barcode (Product.barcode, the one printed on
+// labels) a product can be known by further codes - the manufacturer's EAN, an internal
+// code, the codes its suppliers use. Every code finds at most one product of a company;
+// products are identified by their id, a product may have no barcode at all.
+
+const { barcodeLookupForms, readBarcode } = require('./symbology');
+const { roundQuantity, fromKilograms } = require('./units');
+
+const BARCODE_TYPES = ['manufacturer', 'internal', 'supplier', 'other'];
+
+// Most barcodes one product can have besides its primary barcode
+const MAX_PRODUCT_BARCODES = 20;
+
+// Query matching the product a code belongs to (primary or additional barcode)
+function barcodeQuery(codes) {
+  const match = Array.isArray(codes) ? { $in: codes } : codes;
+  return { $or: [{ barcode: match }, { 'barcodes.code': match }] };
+}
+
+// Find the product a scanned / typed code belongs to, in any of its equivalent forms
+function findProductByBarcode(Product, code) {
+  const forms = barcodeLookupForms(code);
+  if (forms.length === 0) return Promise.resolve(null);
+  return Product.findOne(barcodeQuery(forms));
+}
+
+// Find the product a decoded barcode (see decodeBarcode) is about - by the code it names
+// (the GTIN of a GS1 string, the base code of a scale barcode), else by the code itself
+async function findScannedProduct(Product, decoded) {
+  const product = await findProductByBarcode(Product, decoded.lookup);
+  if (product || decoded.lookup === decoded.code) return product;
+  return findProductByBarcode(Product, decoded.code);
+}
+
+// Request bodies for add-stock / remove-stock of product with what a decoded barcode says:
+// the quantity (a weight in the product's unit, an item count or the price over the
+// selling price), lot, expiry date and serial. Fields the barcode does not hold are left
+// out. Returns { addStock, removeStock, warning }.
+function stockPrefill(product, decoded) {
+  let quantity = null;
+  let warning = null;
+  if (decoded.weight !== null) {
+    quantity = fromKilograms(decoded.weight, product.unit);
+    if (quantity === null) warning = `The barcode holds a weight but the product is counted in ${product.unit}`;
+  } else if (decoded.count !== null) {
+    quantity = decoded.count;
+  } else if (decoded.price !== null) {
+    if (product.sellingPrice > 0) quantity = roundQuantity(decoded.price / product.sellingPrice, product.unit);
+    else warning = 'The barcode holds a price but the product has no selling price';
+  }
+
+  const serials = product.serialized && decoded.serial ? [decoded.serial] : null;
+  if (serials && quantity === null) quantity = 1;
+
+  const fields = { quantity, unit: quantity !== null ? product.unit : null, lotNumber: decoded.lotNumber, serials };
+  const removeStock = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+  const addStock = decoded.expiryDate ? { ...removeStock, expiryDate: decoded.expiryDate } : removeStock;
+  return { addStock, removeStock, warning };
+}
+
+// All codes of a product, primary barcode first
+function productBarcodes(product) {
+  return [product.barcode, ...(product.barcodes || []).map(b => b.code)].filter(Boolean);
+}
+
+// Validate one additional barcode: a code, or { code, type, note }. The code is read under
+// the company's barcode policy. Returns { value, warning } or { error }.
+function parseBarcode(input, policy) {
+  const item = typeof input === 'object' && input !== null ? input : { code: input };
+  const read = readBarcode(item.code, policy);
+  if (read.error) return read;
+  const { code, warning } = read.value;
+  if (code.length > 100) {
+    return { error: 'Barcode can have at most 100 characters' };
+  }
+  const type = item.type || 'other';
+  if (!BARCODE_TYPES.includes(type)) {
+    return { error: `Barcode type must be one of: ${BARCODE_TYPES.join(', ')}` };
+  }
+  return { value: { code, type, note: typeof item.note === 'string' ? item.note.trim() : '' }, warning };
+}
+
+// Validate the additional barcodes of a product sent by a client. primary is the product's
+// primary barcode, which may not be listed again. Returns { value, warnings } or { error }.
+function parseBarcodeList(input, primary = '', policy) {
+  if (input === undefined || input === null) return { value: [], warnings: [] };
+  if (!Array.isArray(input)) {
+    return { error: 'Barcodes must be a list' };
+  }
+  if (input.length > MAX_PRODUCT_BARCODES) {
+    return { error: `A product can have at most ${MAX_PRODUCT_BARCODES} additional barcodes` };
+  }
+
+  const barcodes = [];
+  const warnings = [];
+  for (const item of input) {
+    const parsed = parseBarcode(item, policy);
+    if (parsed.error) return parsed;
+    if (parsed.value.code === primary || barcodes.some(b => b.code === parsed.value.code)) {
+      return { error: `Barcode "${parsed.value.code}" is listed more than once` };
+    }
+    barcodes.push(parsed.value);
+    if (parsed.warning) warnings.push(`${parsed.value.code}: ${parsed.warning}`);
+  }
+  return { value: barcodes, warnings };
+}
+
+// Find a product other than exceptId that already has one of codes (in any equivalent
+// form). Returns { code, product } or null.
+async function findBarcodeConflict(Product, codes, exceptId = null) {
+  if (codes.length === 0) return null;
+
+  const formsByCode = codes.map(code => ({ code, forms: barcodeLookupForms(code) }));
+  const query = barcodeQuery([...new Set(formsByCode.flatMap(c => c.forms))]);
+  if (exceptId) query._id = { $ne: exceptId };
+  const owner = await Product.findOne(query).select('barcode barcodes name').lean();
+  if (!owner) return null;
+
+  const taken = productBarcodes(owner);
+  const conflict = formsByCode.find(c => c.forms.some(form => taken.includes(form)));
+  return { code: conflict ? conflict.code : codes[0], product: owner };
+}
+
+module.exports = {
+  BARCODE_TYPES,
+  MAX_PRODUCT_BARCODES,
+  barcodeQuery,
+  findProductByBarcode,
+  findScannedProduct,
+  stockPrefill,
+  productBarcodes,
+  parseBarcode,
+  parseBarcodeList,
+  findBarcodeConflict
+};
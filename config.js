@@ -10,5 +10,7 @@ module.exports = {
   DEFAULT_COMPANY_SLUG: process.env.DEFAULT_COMPANY_SLUG || 'barcode',
   JWT_SECRET: process.env.JWT_SECRET,
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '30d',
+  // How long a repeated Idempotency-Key returns the original response
+  IDEMPOTENCY_WINDOW_HOURS: parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24,
   PORT: process.env.PORT || 3001
 };
@@ -0,0 +1,269 @@
+// Inventory costing - what the stock that leaves actually cost. Every incoming movement
+// ('add', 'adjustment_in') puts a cost layer on the product; removals and outgoing
+// adjustments consume layers and store the cost of the goods on their ledger entry. The company chooses the method:
+// fifo    - one layer per purchase, the oldest layers are consumed first
+// average - one layer per product whose cost is the moving weighted average
+//
+// Layers are derived data: they can always be rebuilt by replaying the ledger, which
+// happens automatically for products that have none yet (e.g. after switching method).
+
+const Company = require('./models/Company');
+const { getUnitPrecision, roundQuantity } = require('./units');
+
+const COSTING_METHODS = ['fifo', 'average'];
+const DEFAULT_COSTING_METHOD = 'average';
+
+// Movement types that bring stock in at a cost / take it out. Transfers between
+// warehouses only move stock and are not costed.
+const INCOMING_TYPES = ['add', 'adjustment_in'];
+const OUTGOING_TYPES = ['remove', 'adjustment_out'];
+
+// Quantities below this are rounding noise
+const EPSILON = 1e-9;
+
+function roundCost(value) {
+  return Math.round((Number(value) || 0) * 10000) / 10000;
+}
+
+// Costing method of the company a request works on (cached on the request)
+async function getCostingMethod(models) {
+  if (!models.costingMethod) {
+    const company = await Company.findOne({ slug: models.companySlug }).select('costingMethod').lean();
+    models.costingMethod = company?.costingMethod || DEFAULT_COSTING_METHOD;
+  }
+  return models.costingMethod;
+}
+
+// Cost per base unit a movement brings into stock
+function incomingUnitCost(product, movement) {
+  return movement.unitCost ?? product.buyingPrice ?? 0;
+}
+
+// Replay a product's ledger (oldest first) in memory. Returns the layers left over and
+// the cost of goods of every removal. Stock the ledger does not explain (booked before
+// the ledger existed) becomes an opening layer at the current buying price.
+function replayCostLayers(method, product, movements) {
+  const unit = product.unit;
+  const fallbackCost = product.buyingPrice || 0;
+  const layers = [];
+  const costs = new Map();
+
+  const addLayer = (quantity, unitCost, movementId, createdAt, opening = false) => {
+    if (method === 'average') {
+      if (layers.length === 0) {
+        layers.push({ movement: null, quantity: 0, remainingQuantity: 0, unitCost: 0, createdAt });
+      }
+      const layer = layers[0];
+      const total = Math.max(0, layer.remainingQuantity) + quantity;
+      layer.unitCost = total > 0
+        ? roundCost((Math.max(0, layer.remainingQuantity) * layer.unitCost + quantity * unitCost) / total)
+        : unitCost;
+      layer.quantity = roundQuantity(layer.quantity + quantity, unit);
+      layer.remainingQuantity = roundQuantity(total, unit);
+    } else {
+      const layer = { movement: movementId, quantity, remainingQuantity: quantity, unitCost, createdAt };
+      if (opening) layers.unshift(layer); else layers.push(layer);
+    }
+  };
+
+  const consume = (quantity, uncoveredCost) => {
+    let remaining = quantity;
+    let cost = 0;
+    for (const layer of layers) {
+      if (remaining <= EPSILON) break;
+      const take = Math.min(layer.remainingQuantity, remaining);
+      if (take <= EPSILON) continue;
+      layer.remainingQuantity = roundQuantity(layer.remainingQuantity - take, unit);
+      remaining = roundQuantity(remaining - take, unit);
+      cost += take * layer.unitCost;
+    }
+    return cost + Math.max(0, remaining) * uncoveredCost;
+  };
+
+  for (const movement of movements) {
+    if (INCOMING_TYPES.includes(movement.type)) {
+      addLayer(movement.quantity, incomingUnitCost(product, movement), movement._id, movement.createdAt);
+    } else if (OUTGOING_TYPES.includes(movement.type)) {
+      costs.set(movement._id.toString(), roundCost(consume(movement.quantity, movement.unitCost ?? fallbackCost)));
+    }
+  }
+
+  // Match the layers to the stock actually on hand
+  const layered = layers.reduce((sum, layer) => sum + layer.remainingQuantity, 0);
+  const difference = roundQuantity((product.currentStock || 0) - layered, unit);
+  if (difference > 0) {
+    addLayer(difference, fallbackCost, null, new Date(0), true);
+  } else if (difference < 0) {
+    consume(-difference, 0);
+  }
+
+  return { layers, costs };
+}
+
+// Replace a product's cost layers with the result of replaying its ledger and store the
+// recalculated cost of goods on its outgoing movements
+async function rebuildCostLayers(models, product, method) {
+  const { CostLayer, StockMovement } = models;
+  method = method || await getCostingMethod(models);
+
+  const movements = await StockMovement.find({ product: product._id, type: { $in: [...INCOMING_TYPES, ...OUTGOING_TYPES] } })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('type quantity unitCost costOfGoods createdAt')
+    .lean();
+  const { layers, costs } = replayCostLayers(method, product, movements);
+
+  await CostLayer.deleteMany({ product: product._id });
+  if (layers.length > 0) {
+    try {
+      await CostLayer.insertMany(layers.map(layer => ({ ...layer, product: product._id, method })), { ordered: false });
+    } catch (error) {
+      // Layers written by a concurrent rebuild of the same product
+      const writeErrors = error.writeErrors || [];
+      if (error.code !== 11000 && (writeErrors.length === 0 || writeErrors.some(e => (e.code || e.err?.code) !== 11000))) {
+        throw error;
+      }
+    }
+  }
+
+  const updates = movements
+    .filter(m => OUTGOING_TYPES.includes(m.type) && m.costOfGoods !== costs.get(m._id.toString()))
+    .map(m => ({ updateOne: { filter: { _id: m._id }, update: { $set: { costOfGoods: costs.get(m._id.toString()) }, $inc: { __v: 1 } } } }));
+  if (updates.length > 0) {
+    await StockMovement.bulkWrite(updates);
+  }
+
+  return layers.length;
+}
+
+// Products that were never costed with the company's method get their layers first
+async function ensureCostLayers(models, product, method) {
+  if (await models.CostLayer.exists({ product: product._id, method })) return;
+  await rebuildCostLayers(models, product, method);
+}
+
+// Put a purchase on the product's cost layers. Returns { undo }.
+async function addCostLayer(models, product, movement, method) {
+  const { CostLayer } = models;
+  const precision = getUnitPrecision(product.unit);
+  const unitCost = incomingUnitCost(product, movement);
+
+  if (method === 'fifo') {
+    await CostLayer.create({
+      product: product._id,
+      method,
+      movement: movement._id,
+      quantity: movement.quantity,
+      remainingQuantity: movement.quantity,
+      unitCost,
+      createdAt: movement.createdAt
+    });
+    return { undo: () => CostLayer.deleteOne({ product: product._id, method, movement: movement._id }) };
+  }
+
+  // Moving average: new cost = (stock value + purchase value) / (stock + purchase)
+  const stock = { $max: [0, { $ifNull: ['$remainingQuantity', 0] }] };
+  const total = { $add: [stock, movement.quantity] };
+  const key = { product: product._id, method, movement: null };
+  // Returns the layer as it was, null when the purchase created it
+  const before = await CostLayer.findOneAndUpdate(
+    key,
+    [{
+      $set: {
+        unitCost: {
+          $cond: [
+            { $gt: [total, 0] },
+            { $divide: [{ $add: [{ $multiply: [stock, { $ifNull: ['$unitCost', 0] }] }, movement.quantity * unitCost] }, total] },
+            unitCost
+          ]
+        },
+        quantity: { $round: [{ $add: [{ $ifNull: ['$quantity', 0] }, movement.quantity] }, precision] },
+        remainingQuantity: { $round: [total, precision] },
+        createdAt: { $ifNull: ['$createdAt', movement.createdAt] }
+      }
+    }],
+    { upsert: true }
+  ).lean();
+
+  return {
+    undo: () => (before
+      ? CostLayer.updateOne(key, [{
+        $set: {
+          unitCost: before.unitCost,
+          quantity: { $round: [{ $subtract: ['$quantity', movement.quantity] }, precision] },
+          remainingQuantity: { $round: [{ $subtract: ['$remainingQuantity', movement.quantity] }, precision] }
+        }
+      }])
+      : CostLayer.deleteOne(key))
+  };
+}
+
+// Consume quantity from the product's cost layers, oldest first. Stock not covered by
+// layers is costed at the product's buying price. Returns { costOfGoods, undo }.
+async function consumeCostLayers(models, product, quantity, method) {
+  const { CostLayer } = models;
+  const precision = getUnitPrecision(product.unit);
+  const taken = [];
+  let remaining = quantity;
+  let cost = 0;
+
+  while (remaining > EPSILON) {
+    const layer = await CostLayer.findOne({ product: product._id, method, remainingQuantity: { $gt: 0 } })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+    if (!layer) break;
+
+    const take = roundQuantity(Math.min(layer.remainingQuantity, remaining), product.unit);
+    const updated = await CostLayer.findOneAndUpdate(
+      { _id: layer._id, remainingQuantity: { $gte: take } },
+      [{ $set: { remainingQuantity: { $round: [{ $subtract: ['$remainingQuantity', take] }, precision] } } }]
+    );
+    // Consumed by a concurrent removal in between - look again
+    if (!updated) continue;
+
+    taken.push({ layer: layer._id, quantity: take });
+    cost += take * layer.unitCost;
+    remaining = roundQuantity(remaining - take, product.unit);
+  }
+  cost += Math.max(0, remaining) * (product.buyingPrice || 0);
+
+  return {
+    costOfGoods: roundCost(cost),
+    undo: () => Promise.all(taken.map(t => CostLayer.updateOne(
+      { _id: t.layer },
+      [{ $set: { remainingQuantity: { $round: [{ $add: ['$remainingQuantity', t.quantity] }, precision] } } }]
+    )))
+  };
+}
+
+// Value of the stock on hand per product according to its cost layers:
+// Map of productId -> { quantity, value }
+async function getLayerValuation(models, method, productIds) {
+  const match = { method, remainingQuantity: { $gt: 0 } };
+  if (productIds) match.product = { $in: productIds };
+
+  const totals = await models.CostLayer.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$product',
+        quantity: { $sum: '$remainingQuantity' },
+        value: { $sum: { $multiply: ['$remainingQuantity', '$unitCost'] } }
+      }
+    }
+  ]);
+  return new Map(totals.map(t => [t._id.toString(), { quantity: t.quantity, value: t.value }]));
+}
+
+module.exports = {
+  COSTING_METHODS,
+  DEFAULT_COSTING_METHOD,
+  INCOMING_TYPES,
+  OUTGOING_TYPES,
+  getCostingMethod,
+  replayCostLayers,
+  rebuildCostLayers,
+  ensureCostLayers,
+  addCostLayer,
+  consumeCostLayers,
+  getLayerValuation
+};
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 const config = require('./config');
+const { DEFAULT_UNIT, normalizeUnit } = require('./units');
+const { normalizeName } = require('./directory');
+const { BUYING_PRICE_POLICIES, DEFAULT_BUYING_PRICE_POLICY } = require('./purchasing');
+const { SALES_DOCUMENT_TYPES, computeSalesTotals } = require('./sales');
+const { COSTING_METHODS } = require('./costing');
+const { PRICE_FIELDS, PRICE_CHANGE_SOURCES } = require('./pricing');
+const { COUNT_MODES } = require('./stocktake');
+const { ADJUSTMENT_DIRECTIONS } = require('./adjustments');
+const { SERIAL_STATUSES } = require('./serials');
+const { BARCODE_TYPES } = require('./barcodes');
+const { SCAN_OUTCOMES } = require('./scans');
 
 // Cache for database connections
 const connectionCache = new Map();
@@ -52,31 +63,39 @@ async function getCompanyConnection(companySlug) {
 // Register all company-specific models on a connection
 function registerModels(connection) {
   // Product schema
-  const stockHistorySchema = new mongoose.Schema({
-    quantity: { type: Number, required: true },
-    type: { type: String, enum: ['add', 'remove'], required: true },
-    note: { type: String, default: '' },
-    supplier: { type: String, default: '' },
-    location: { type: String, default: '' },
-    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    addedByName: { type: String },
-    createdAt: { type: Date, default: Date.now }
-  });
+  // Alternate unit: 1 <name> = <factor> of the product's base unit (e.g. 1 qutu = 24 ədəd)
+  const alternateUnitSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, set: normalizeUnit },
+    factor: { type: Number, required: true, min: 0 }
+  }, { _id: false });
+
+  // Further barcode of a product besides its primary barcode (see barcodes.js)
+  const productBarcodeSchema = new mongoose.Schema({
+    code: { type: String, required: true, trim: true },
+    type: { type: String, enum: BARCODE_TYPES, default: 'other' },
+    note: { type: String, default: '' }                  // E.g. the supplier using the code
+  }, { _id: false });
 
   const productSchema = new mongoose.Schema({
-    barcode: { type: String, required: true, unique: true, trim: true, index: true },
+    barcode: { type: String, default: '', trim: true },  // Primary barcode, '' for none
+    barcodes: { type: [productBarcodeSchema], default: [] },
     name: { type: String, required: true, trim: true },
     currentStock: { type: Number, default: 0, min: 0 },
+    minStock: { type: Number, default: 0, min: 0 },        // Reorder point - 0 means no low-stock alert
+    reorderQuantity: { type: Number, default: 0, min: 0 }, // Usual quantity to order when low
     note: { type: String, default: '' },
     buyingPrice: { type: Number, default: 0, min: 0 },
     sellingPrice: { type: Number, default: 0, min: 0 },
-    boughtFrom: { type: String, default: '', trim: true },
-    sellLocation: { type: String, default: '', trim: true },
+    boughtFrom: { type: String, default: '', trim: true }, // Name of the default supplier
+    supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', default: null },
+    sellLocation: { type: String, default: '', trim: true }, // Name of the default customer
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
     imageUrl: { type: String, default: '' },
-    unit: { type: String, default: 'pcs', trim: true },
+    unit: { type: String, default: DEFAULT_UNIT, trim: true, set: normalizeUnit },
+    alternateUnits: { type: [alternateUnitSchema], default: [] },
+    serialized: { type: Boolean, default: false },        // Every unit is tracked by serial number (see serials.js)
     category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
     categoryName: { type: String, default: '' },
-    stockHistory: [stockHistorySchema],
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     createdByName: { type: String },
     createdAt: { type: Date, default: Date.now },
@@ -84,24 +103,444 @@ function registerModels(connection) {
   }, {
     toJSON: {
       transform: function(doc, ret) {
-        if (!ret.unit) ret.unit = 'pcs';
+        ret.unit = normalizeUnit(ret.unit);
         return ret;
       }
     },
     toObject: {
       transform: function(doc, ret) {
-        if (!ret.unit) ret.unit = 'pcs';
+        ret.unit = normalizeUnit(ret.unit);
         return ret;
       }
     }
   });
 
+  // Every code finds at most one product. Products without a barcode are left out.
+  productSchema.index({ barcode: 1 }, { unique: true, partialFilterExpression: { barcode: { $gt: '' } } });
+  productSchema.index({ 'barcodes.code': 1 }, { unique: true, partialFilterExpression: { 'barcodes.code': { $exists: true } } });
+
   productSchema.pre('save', function(next) {
     this.updatedAt = new Date();
-    if (!this.unit) this.unit = 'pcs';
+    if (!this.unit) this.unit = DEFAULT_UNIT;
+    next();
+  });
+
+  // Lot a movement put into or took from a warehouse
+  const movementLotSchema = new mongoose.Schema({
+    lotNumber: { type: String, default: '' },
+    expiryDate: { type: Date, default: null },
+    quantity: { type: Number, required: true }           // Base unit
+  }, { _id: false });
+
+  // Stock movement schema - append-only ledger of add/remove events
+  // (replaces the old embedded Product.stockHistory array)
+  const stockMovementSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    barcode: { type: String, default: '', trim: true },
+    productName: { type: String, default: '' },
+    quantity: { type: Number, required: true },          // In the product's base unit
+    enteredQuantity: { type: Number, default: null },    // As entered, in enteredUnit
+    enteredUnit: { type: String, default: '' },
+    type: {
+      type: String,
+      enum: ['add', 'remove', 'transfer_out', 'transfer_in', 'adjustment_in', 'adjustment_out'],
+      required: true
+    },
+    note: { type: String, default: '' },
+    supplier: { type: String, default: '' },  // Where items were bought from (for 'add')
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', default: null },
+    location: { type: String, default: '' },  // Where items were sold/moved to (for 'remove'), other warehouse for transfers
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', default: null },
+    warehouseName: { type: String, default: '' },
+    transferId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Links the two entries of a transfer
+    purchaseOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder', default: null }, // Receipt against an order
+    salesDocument: { type: mongoose.Schema.Types.ObjectId, ref: 'SalesDocument', default: null }, // Posted invoice / waybill
+    stocktake: { type: mongoose.Schema.Types.ObjectId, ref: 'Stocktake', default: null },  // Approved count it corrects
+    scan: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', default: null }, // Scan it followed (see scans.js)
+    reason: { type: String, default: '' },               // Adjustment reason code, e.g. 'damage'
+    reversalOf: { type: mongoose.Schema.Types.ObjectId, ref: 'StockMovement', default: null },  // Entry this one cancels out
+    reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'StockMovement', default: null },  // Entry that cancelled this one
+    unitCost: { type: Number, default: null },           // Buying price per base unit when it happened
+    unitPrice: { type: Number, default: null },          // Selling price per base unit when it happened
+    priceEstimated: { type: Boolean, default: false },   // Prices backfilled from later product prices
+    costOfGoods: { type: Number, default: null },        // Cost of the stock a removal consumed (costing engine)
+    lots: { type: [movementLotSchema], default: undefined }, // Lots received / taken (see lots.js)
+    serials: { type: [String], default: undefined },     // Serial numbers moved, one per unit (serialized products)
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedByName: { type: String },
+    legacyHistoryId: { type: mongoose.Schema.Types.ObjectId }, // _id of the embedded entry it was backfilled from
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  stockMovementSchema.index({ product: 1, createdAt: 1 });
+  stockMovementSchema.index({ createdAt: -1 });
+  stockMovementSchema.index({ type: 1, createdAt: -1 });
+  stockMovementSchema.index({ supplier: 1 });
+  stockMovementSchema.index({ supplierId: 1, createdAt: -1 });
+  stockMovementSchema.index({ location: 1 });
+  stockMovementSchema.index({ customerId: 1, createdAt: -1 });
+  stockMovementSchema.index({ warehouse: 1, createdAt: -1 });
+  stockMovementSchema.index({ purchaseOrder: 1 }, { sparse: true });
+  stockMovementSchema.index({ salesDocument: 1 }, { sparse: true });
+  stockMovementSchema.index({ stocktake: 1 }, { sparse: true });
+  stockMovementSchema.index({ scan: 1 }, { sparse: true });
+  stockMovementSchema.index({ reason: 1, createdAt: -1 });
+  stockMovementSchema.index({ serials: 1 }, { sparse: true });
+  stockMovementSchema.index({ legacyHistoryId: 1 }, { unique: true, sparse: true });
+
+  // Warehouse schema - storage locations of a company
+  const warehouseSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    code: { type: String, default: '', trim: true },
+    address: { type: String, default: '', trim: true },
+    note: { type: String, default: '' },
+    isDefault: { type: Boolean, default: false }, // Used when a request does not name a warehouse
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+  }, { timestamps: true });
+
+  warehouseSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+  // Stock balance schema - quantity of a product in one warehouse
+  // (Product.currentStock is the total over all warehouses)
+  const stockBalanceSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', required: true },
+    quantity: { type: Number, default: 0, min: 0 },
+    updatedAt: { type: Date, default: Date.now }
+  });
+
+  stockBalanceSchema.index({ product: 1, warehouse: 1 }, { unique: true });
+  stockBalanceSchema.index({ warehouse: 1, quantity: 1 });
+
+  // Lot balance schema - quantity of one lot (lot number and/or expiry date) of a product
+  // in one warehouse. Part of the warehouse balance; stock received without lot details
+  // has no lot balance.
+  const lotBalanceSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', required: true },
+    lotNumber: { type: String, default: '' },
+    expiryDate: { type: Date, default: null },
+    quantity: { type: Number, default: 0 },
+    receivedAt: { type: Date, default: Date.now },       // First receipt, orders undated lots
+    updatedAt: { type: Date, default: Date.now }
+  });
+
+  lotBalanceSchema.index({ product: 1, warehouse: 1, lotNumber: 1, expiryDate: 1 }, { unique: true });
+  lotBalanceSchema.index({ expiryDate: 1, quantity: 1 });
+
+  // Serial number schema - one unit of a serialized product, in stock in a warehouse or
+  // gone out (warehouse is then the one it left). Its history is the ledger entries
+  // naming the serial.
+  const serialNumberSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    serial: { type: String, required: true, trim: true },
+    status: { type: String, enum: SERIAL_STATUSES, default: 'in_stock' },
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', default: null },
+    createdAt: { type: Date, default: Date.now },        // First receipt
+    updatedAt: { type: Date, default: Date.now }
+  });
+
+  serialNumberSchema.index({ product: 1, serial: 1 }, { unique: true });
+  serialNumberSchema.index({ serial: 1 });
+  serialNumberSchema.index({ product: 1, status: 1, warehouse: 1 });
+
+  // Supplier schema - directory of companies goods are bought from
+  const supplierSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    normalizedName: { type: String, required: true, unique: true }, // Duplicate detection key
+    contactName: { type: String, default: '', trim: true },
+    phone: { type: String, default: '', trim: true },
+    email: { type: String, default: '', trim: true, lowercase: true },
+    address: { type: String, default: '', trim: true },
+    taxId: { type: String, default: '', trim: true }, // VÖEN
+    notes: { type: String, default: '' },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+  }, { timestamps: true });
+
+  supplierSchema.pre('validate', function(next) {
+    this.normalizedName = normalizeName(this.name);
+    next();
+  });
+
+  // Customer schema - directory of customers / destinations stock is removed to
+  const customerSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    normalizedName: { type: String, required: true, unique: true }, // Duplicate detection key
+    kind: { type: String, enum: ['customer', 'destination'], default: 'customer' }, // Destination = own site/object
+    contactName: { type: String, default: '', trim: true },
+    phone: { type: String, default: '', trim: true },
+    email: { type: String, default: '', trim: true, lowercase: true },
+    address: { type: String, default: '', trim: true },
+    taxId: { type: String, default: '', trim: true }, // VÖEN
+    notes: { type: String, default: '' },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+  }, { timestamps: true });
+
+  customerSchema.pre('validate', function(next) {
+    this.normalizedName = normalizeName(this.name);
+    next();
+  });
+
+  // Purchase order line - quantities in the product's base unit, price per base unit
+  const purchaseOrderLineSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    barcode: { type: String, default: '' },
+    productName: { type: String, default: '' },
+    unit: { type: String, default: DEFAULT_UNIT },
+    quantity: { type: Number, required: true },          // Ordered
+    enteredQuantity: { type: Number, default: null },    // As entered, in enteredUnit
+    enteredUnit: { type: String, default: '' },
+    unitPrice: { type: Number, default: 0 },             // Expected buying price
+    receivedQuantity: { type: Number, default: 0 }
+  });
+
+  // Purchase order schema - draft -> sent -> partially_received -> received, or cancelled
+  const purchaseOrderSchema = new mongoose.Schema({
+    number: { type: String, required: true, unique: true },
+    supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+    supplierName: { type: String, default: '' },
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', default: null }, // Receiving warehouse
+    warehouseName: { type: String, default: '' },
+    status: {
+      type: String,
+      enum: ['draft', 'sent', 'partially_received', 'received', 'cancelled'],
+      default: 'draft'
+    },
+    lines: { type: [purchaseOrderLineSchema], default: [] },
+    buyingPricePolicy: { type: String, enum: BUYING_PRICE_POLICIES, default: DEFAULT_BUYING_PRICE_POLICY },
+    expectedDate: { type: Date, default: null },
+    note: { type: String, default: '' },
+    sentAt: { type: Date, default: null },
+    receivedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelReason: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+  }, { timestamps: true, optimisticConcurrency: true });
+
+  purchaseOrderSchema.index({ status: 1, expectedDate: 1 });
+  purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+
+  // Sales document line - quantities in the product's base unit, price per base unit at time of sale
+  const salesDocumentLineSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    barcode: { type: String, default: '' },
+    productName: { type: String, default: '' },
+    unit: { type: String, default: DEFAULT_UNIT },
+    quantity: { type: Number, required: true },
+    enteredQuantity: { type: Number, default: null },    // As entered, in enteredUnit
+    enteredUnit: { type: String, default: '' },
+    unitPrice: { type: Number, default: 0 },
+    discountPercent: { type: Number, default: 0, min: 0, max: 100 },
+    serials: { type: [String], default: undefined },     // Serial numbers sold (serialized products)
+    total: { type: Number, default: 0 }                  // After the line discount
+  });
+
+  // Sales document schema (invoice / waybill) - draft -> posted -> voided.
+  // Posting removes the stock of all lines, voiding books it back.
+  const salesDocumentSchema = new mongoose.Schema({
+    number: { type: String, required: true, unique: true },
+    type: { type: String, enum: SALES_DOCUMENT_TYPES, default: 'invoice' },
+    documentName: { type: String, default: '' },         // Company form name / number at creation
+    documentNo: { type: String, default: '' },
+    documentDate: { type: Date, default: Date.now },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+    customerName: { type: String, default: '' },
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', default: null },
+    warehouseName: { type: String, default: '' },
+    status: { type: String, enum: ['draft', 'posted', 'voided'], default: 'draft' },
+    lines: { type: [salesDocumentLineSchema], default: [] },
+    discount: { type: Number, default: 0, min: 0 },     // Amount off the whole document
+    subtotal: { type: Number, default: 0 },
+    discountTotal: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    note: { type: String, default: '' },
+    postedAt: { type: Date, default: null },
+    postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    postedByName: { type: String },
+    voidedAt: { type: Date, default: null },
+    voidReason: { type: String, default: '' },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    voidedByName: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+  }, { timestamps: true, optimisticConcurrency: true });
+
+  salesDocumentSchema.index({ status: 1, documentDate: -1 });
+  salesDocumentSchema.index({ customer: 1, documentDate: -1 });
+
+  // Keep line and document totals in line with the lines
+  salesDocumentSchema.pre('validate', function(next) {
+    const totals = computeSalesTotals(this.lines.map(line => line.toObject()), this.discount);
+    this.lines.forEach((line, i) => { line.total = totals.lines[i].total; });
+    this.subtotal = totals.subtotal;
+    this.discountTotal = totals.discountTotal;
+    this.total = totals.total;
     next();
   });
 
+  // Adjustment reason schema - reason codes stock adjustments are booked with (see adjustments.js)
+  const adjustmentReasonSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    name: { type: String, required: true, trim: true },
+    direction: { type: String, enum: ADJUSTMENT_DIRECTIONS, default: 'both' }, // Whether it adds / removes stock
+    isSystem: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+  }, { timestamps: true });
+
+  // Stocktake schema - physical count of one warehouse, for all products or one category.
+  // open -> approved (variances booked as adjustments) or cancelled.
+  const stocktakeSchema = new mongoose.Schema({
+    number: { type: String, required: true, unique: true },
+    name: { type: String, default: '', trim: true },
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', required: true },
+    warehouseName: { type: String, default: '' },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null }, // null = all products
+    categoryName: { type: String, default: '' },
+    status: { type: String, enum: ['open', 'approved', 'cancelled'], default: 'open' },
+    note: { type: String, default: '' },
+    uncountedAsZero: { type: Boolean, default: false },  // Approved with uncounted products set to 0
+    adjustmentCount: { type: Number, default: 0 },
+    approvedAt: { type: Date, default: null },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedByName: { type: String },
+    cancelledAt: { type: Date, default: null },
+    cancelReason: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+  }, { timestamps: true, optimisticConcurrency: true });
+
+  stocktakeSchema.index({ status: 1, createdAt: -1 });
+  stocktakeSchema.index({ warehouse: 1, status: 1 });
+
+  // Stocktake line schema - what was counted of one product in a session. The expected
+  // quantity and variance are stored when the session is approved.
+  const stocktakeCountSchema = new mongoose.Schema({
+    quantity: { type: Number, required: true },          // Base unit
+    enteredQuantity: { type: Number, default: null },
+    enteredUnit: { type: String, default: '' },
+    mode: { type: String, enum: COUNT_MODES, default: 'add' },
+    scan: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', default: null },
+    serials: { type: [String], default: undefined },     // Serialized products
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    userName: { type: String },
+    countedAt: { type: Date, default: Date.now }
+  }, { _id: false });
+
+  const stocktakeLineSchema = new mongoose.Schema({
+    stocktake: { type: mongoose.Schema.Types.ObjectId, ref: 'Stocktake', required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    barcode: { type: String, default: '' },
+    productName: { type: String, default: '' },
+    categoryName: { type: String, default: '' },
+    unit: { type: String, default: DEFAULT_UNIT },
+    countedQuantity: { type: Number, default: 0 },       // Base unit
+    countedSerials: { type: [String], default: undefined }, // Serialized products - countedQuantity is their number
+    entries: { type: [stocktakeCountSchema], default: [] },
+    expectedQuantity: { type: Number, default: null },
+    variance: { type: Number, default: null },
+    unitCost: { type: Number, default: null },
+    movements: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'StockMovement' }], default: [] }, // Adjustments booked on approval (a serialized product can get one out and one in)
+    updatedAt: { type: Date, default: Date.now }
+  });
+
+  stocktakeLineSchema.index({ stocktake: 1, product: 1 }, { unique: true });
+
+  // Cost layer schema - stock on hand by purchase cost (see costing.js). FIFO keeps one
+  // layer per 'add' movement, average one layer per product (movement null).
+  const costLayerSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    method: { type: String, enum: COSTING_METHODS, required: true },
+    movement: { type: mongoose.Schema.Types.ObjectId, ref: 'StockMovement', default: null }, // null = opening / average layer
+    quantity: { type: Number, default: 0 },              // Base unit
+    remainingQuantity: { type: Number, default: 0 },
+    unitCost: { type: Number, default: 0 },              // Per base unit
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  costLayerSchema.index({ product: 1, method: 1, movement: 1 }, { unique: true });
+  costLayerSchema.index({ product: 1, method: 1, createdAt: 1 });
+
+  // Price history schema - one entry per changed price of a product
+  const priceHistorySchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    barcode: { type: String, default: '' },
+    productName: { type: String, default: '' },
+    field: { type: String, enum: PRICE_FIELDS, required: true },
+    oldValue: { type: Number, default: 0 },
+    newValue: { type: Number, default: 0 },
+    reason: { type: String, default: '' },
+    source: { type: String, enum: PRICE_CHANGE_SOURCES, default: 'manual' },
+    reference: { type: mongoose.Schema.Types.ObjectId, default: null }, // Purchase order / scheduled change
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedByName: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+  // Scheduled price change schema - a selling price that takes effect later (applied by cron)
+  const scheduledPriceChangeSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    barcode: { type: String, default: '' },
+    productName: { type: String, default: '' },
+    sellingPrice: { type: Number, required: true, min: 0 },
+    effectiveAt: { type: Date, required: true },
+    reason: { type: String, default: '' },
+    status: { type: String, enum: ['pending', 'applied', 'cancelled'], default: 'pending' },
+    appliedAt: { type: Date, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+  }, { timestamps: true });
+
+  scheduledPriceChangeSchema.index({ status: 1, effectiveAt: 1 });
+  scheduledPriceChangeSchema.index({ product: 1, effectiveAt: 1 });
+
+  // Notification schema - in-app messages for everyone in the company (e.g. the daily
+  // low-stock digest); readBy holds the users who have seen it
+  const notificationSchema = new mongoose.Schema({
+    type: { type: String, required: true },
+    title: { type: String, required: true },
+    message: { type: String, default: '' },
+    data: { type: mongoose.Schema.Types.Mixed, default: null },
+    readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  notificationSchema.index({ createdAt: -1 });
+  notificationSchema.index({ type: 1, createdAt: -1 });
+
+  // Counter schema - per company document number sequences
+  const counterSchema = new mongoose.Schema({
+    _id: { type: String },
+    seq: { type: Number, default: 0 }
+  });
+
+  // Idempotency key schema - stored responses of write requests, replayed when a
+  // client retries with the same Idempotency-Key header
+  const idempotencyKeySchema = new mongoose.Schema({
+    key: { type: String, required: true, trim: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    fingerprint: { type: String, required: true }, // Hash of method, path and body
+    status: { type: String, enum: ['pending', 'completed'], default: 'pending' },
+    statusCode: { type: Number, default: null },
+    responseBody: { type: mongoose.Schema.Types.Mixed, default: null },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+  });
+
+  idempotencyKeySchema.index({ key: 1, user: 1 }, { unique: true });
+  idempotencyKeySchema.index({ expiresAt: 1 });
+
   // Category schema
   const categorySchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true, unique: true },
@@ -113,24 +552,88 @@ function registerModels(connection) {
 
   // Scan schema
   const scanSchema = new mongoose.Schema({
-    barcode: { type: String, required: true, trim: true },
+    barcode: { type: String, required: true, trim: true }, // Normalised (see symbology.js)
+    rawBarcode: { type: String, default: null }, // As scanned, when it differs from barcode
+    barcodeFormat: { type: String, default: null }, // ean13, ean8, upca, gtin14, gs1, code128
+    lookupBarcode: { type: String, default: null }, // Code the product is found by (see decodeBarcode); unset on older scans
+    barcodeWarning: { type: String, default: null }, // Why the code looks wrong (bad check digit...)
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null }, // Product the code found / led to
+    outcome: { type: String, enum: SCAN_OUTCOMES }, // What came of the scan; unset on scans from before outcomes
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     username: { type: String, required: true },
     userFullName: { type: String, required: true },
     scannedAt: { type: Date, default: Date.now },
     scanMode: { type: String, enum: ['keyboard', 'camera'], default: 'keyboard' },
     deviceInfo: { type: String, default: null },
-    location: { type: String, default: null }
+    location: { type: String, default: null },
+    stocktake: { type: mongoose.Schema.Types.ObjectId, ref: 'Stocktake', default: null } // Scanned while counting
   });
 
   scanSchema.index({ user: 1, scannedAt: -1 });
   scanSchema.index({ barcode: 1 });
   scanSchema.index({ scannedAt: -1 });
+  scanSchema.index({ stocktake: 1 }, { sparse: true });
+  scanSchema.index({ outcome: 1, scannedAt: -1 });
+  scanSchema.index({ lookupBarcode: 1 }, { sparse: true });
 
   // Register models on the connection
   if (!connection.models.Product) {
     connection.model('Product', productSchema);
   }
+  if (!connection.models.StockMovement) {
+    connection.model('StockMovement', stockMovementSchema);
+  }
+  if (!connection.models.Warehouse) {
+    connection.model('Warehouse', warehouseSchema);
+  }
+  if (!connection.models.StockBalance) {
+    connection.model('StockBalance', stockBalanceSchema);
+  }
+  if (!connection.models.LotBalance) {
+    connection.model('LotBalance', lotBalanceSchema);
+  }
+  if (!connection.models.SerialNumber) {
+    connection.model('SerialNumber', serialNumberSchema);
+  }
+  if (!connection.models.Supplier) {
+    connection.model('Supplier', supplierSchema);
+  }
+  if (!connection.models.Customer) {
+    connection.model('Customer', customerSchema);
+  }
+  if (!connection.models.PurchaseOrder) {
+    connection.model('PurchaseOrder', purchaseOrderSchema);
+  }
+  if (!connection.models.SalesDocument) {
+    connection.model('SalesDocument', salesDocumentSchema);
+  }
+  if (!connection.models.AdjustmentReason) {
+    connection.model('AdjustmentReason', adjustmentReasonSchema);
+  }
+  if (!connection.models.Stocktake) {
+    connection.model('Stocktake', stocktakeSchema);
+  }
+  if (!connection.models.StocktakeLine) {
+    connection.model('StocktakeLine', stocktakeLineSchema);
+  }
+  if (!connection.models.CostLayer) {
+    connection.model('CostLayer', costLayerSchema);
+  }
+  if (!connection.models.PriceHistory) {
+    connection.model('PriceHistory', priceHistorySchema);
+  }
+  if (!connection.models.ScheduledPriceChange) {
+    connection.model('ScheduledPriceChange', scheduledPriceChangeSchema);
+  }
+  if (!connection.models.Notification) {
+    connection.model('Notification', notificationSchema);
+  }
+  if (!connection.models.Counter) {
+    connection.model('Counter', counterSchema);
+  }
+  if (!connection.models.IdempotencyKey) {
+    connection.model('IdempotencyKey', idempotencyKeySchema);
+  }
   if (!connection.models.Category) {
     connection.model('Category', categorySchema);
   }
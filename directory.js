@@ -0,0 +1,53 @@
+// Helpers shared by the supplier and customer directories: matching names typed by
+// hand ("Bakı Elektrik" vs "Baki elektrik ") to one directory record.
+
+const mongoose = require('mongoose');
+
+// Azerbaijani / Turkish letters that are commonly typed with their Latin look-alike
+const LETTER_MAP = {
+  'ə': 'e', 'ı': 'i', 'i̇': 'i', 'ş': 's', 'ç': 'c', 'ğ': 'g', 'ö': 'o', 'ü': 'u'
+};
+
+// Key used to detect duplicates: lowercase, look-alike letters folded, punctuation
+// and repeated whitespace removed
+function normalizeName(name) {
+  return (name || '')
+    .toLocaleLowerCase('az')
+    .replace(/i̇|[əışçğöü]/g, ch => LETTER_MAP[ch] || ch)
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Resolve the directory record for a request that may send an id and/or a free-text name.
+// An unknown name creates a new record, so typing a name keeps working as before.
+// Returns the record, null when neither is given, or undefined when the id is unknown.
+async function resolveDirectoryEntry(Model, { id, name }, user) {
+  if (id) {
+    if (!mongoose.isValidObjectId(id)) return undefined;
+    return (await Model.findById(id)) || undefined;
+  }
+
+  const trimmed = (name || '').trim();
+  const normalizedName = normalizeName(trimmed);
+  if (!normalizedName) return null;
+
+  const existing = await Model.findOne({ normalizedName });
+  if (existing) return existing;
+
+  try {
+    return await Model.create({
+      name: trimmed,
+      createdBy: user?._id,
+      createdByName: user?.fullName
+    });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code !== 11000) throw error;
+    return Model.findOne({ normalizedName });
+  }
+}
+
+module.exports = {
+  normalizeName,
+  resolveDirectoryEntry
+};
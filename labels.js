@@ -0,0 +1,523 @@
+// Printable product labels: an A4 sheet of labels as PDF, or ZPL for thermal label
+// printers. A label shows the product name, the price and unit and the barcode - drawn
+// here as bars for the PDF, left to the printer's own barcode fonts in ZPL. Company
+// branding (color stripe, logo) is PDF only; logos are embedded when they are JPEG.
+
+const zlib = require('zlib');
+const { parseBarcodeFormat } = require('./symbology');
+
+const LABEL_FORMATS = ['pdf', 'zpl'];
+const ZPL_DPI = [203, 300];
+
+// Most labels printed by one request (copies included)
+const MAX_LABELS = 1000;
+
+const MM = 72 / 25.4; // PDF points per millimetre
+const A4 = { width: 595.28, height: 841.89 };
+
+// ---------------------------------------------------------------- barcode encoding
+
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+// Parity of the left half of an EAN-13, by its first digit
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code 128 symbols as bar/space widths, by symbol value (103-105 start A/B/C, 106 stop)
+const CODE128 = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_FNC1 = 102;
+
+function ean13Modules(code) {
+  const digits = code.split('').map(Number);
+  const parity = EAN_PARITY[digits[0]];
+  let modules = '101';
+  for (let i = 1; i <= 6; i++) {
+    modules += (parity[i - 1] === 'L' ? EAN_L : EAN_G)[digits[i]];
+  }
+  modules += '01010';
+  for (let i = 7; i <= 12; i++) modules += EAN_R[digits[i]];
+  return modules + '101';
+}
+
+function ean8Modules(code) {
+  const digits = code.split('').map(Number);
+  return '101' + digits.slice(0, 4).map(d => EAN_L[d]).join('') + '01010' +
+    digits.slice(4).map(d => EAN_R[d]).join('') + '101';
+}
+
+function code128Modules(values) {
+  const checksum = values.reduce((sum, value, i) => sum + value * (i === 0 ? 1 : i), 0) % 103;
+  return [...values, checksum, 106]
+    .map(value => CODE128[value].split('').map((width, i) => (i % 2 === 0 ? '1' : '0').repeat(Number(width))).join(''))
+    .join('');
+}
+
+// Code 128 values of text: code set C for even runs of digits only, code set B otherwise
+function code128Values(text) {
+  if (/^(\d\d)+$/.test(text)) {
+    return [CODE128_START_C, ...text.match(/\d\d/g).map(Number)];
+  }
+  return [CODE128_START_B, ...text.split('').map(c => c.charCodeAt(0) - 32)];
+}
+
+// GS1-128: FNC1 after the start, and after every variable length element but the last
+function gs1Values(elements) {
+  const values = [CODE128_START_B, CODE128_FNC1];
+  elements.forEach((element, i) => {
+    for (const c of element.ai + element.value) values.push(c.charCodeAt(0) - 32);
+    if (i < elements.length - 1 && !/^(0[0-4]|1[1-9]|20|3[1-6]|41)/.test(element.ai)) values.push(CODE128_FNC1);
+  });
+  return values;
+}
+
+// How a barcode is drawn: { symbology, modules ('1' bar / '0' space per module), quiet
+// (modules of blank on each side), text (printed under the bars) }, or null when it
+// cannot be drawn
+function encodeBarcode(code) {
+  const read = parseBarcodeFormat(code);
+  if (read.valid && (read.format === 'ean13' || read.format === 'upca') && read.code.length === 13) {
+    return { symbology: 'ean13', modules: ean13Modules(read.code), quiet: 11, text: read.code };
+  }
+  if (read.valid && read.format === 'ean8') {
+    return { symbology: 'ean8', modules: ean8Modules(read.code), quiet: 7, text: read.code };
+  }
+  if (read.valid && read.format === 'gs1') {
+    return { symbology: 'gs1-128', modules: code128Modules(gs1Values(read.elements)), quiet: 10, text: read.code };
+  }
+  if (!/^[\x20-\x7e]+$/.test(code)) return null;
+  return { symbology: 'code128', modules: code128Modules(code128Values(code)), quiet: 10, text: code };
+}
+
+// ---------------------------------------------------------------- template
+
+function readNumber(value, fallback, min, max, name) {
+  if (value === undefined || value === null || value === '') return { value: fallback };
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    return { error: `${name} must be between ${min} and ${max}` };
+  }
+  return { value: number };
+}
+
+// Validate label template settings sent by a client:
+// format                  - pdf (A4 sheet) or zpl (thermal printer)
+// columns, rows, marginMm, gapMm - the A4 label grid (PDF)
+// widthMm, heightMm, dpi  - label size and printer resolution (ZPL)
+// showName, showPrice, showUnit, branding, currency
+// Returns { value } or { error }.
+function parseLabelTemplate(input = {}) {
+  if (typeof input !== 'object' || input === null) {
+    return { error: 'Label template must be an object' };
+  }
+
+  const format = input.format || 'pdf';
+  if (!LABEL_FORMATS.includes(format)) {
+    return { error: `Label format must be one of: ${LABEL_FORMATS.join(', ')}` };
+  }
+
+  const template = { format };
+  const numbers = [
+    ['columns', 3, 1, 10, 'Columns'],
+    ['rows', 8, 1, 30, 'Rows'],
+    ['marginMm', 10, 0, 40, 'Page margin'],
+    ['gapMm', 2, 0, 20, 'Gap between labels'],
+    ['widthMm', 58, 20, 200, 'Label width'],
+    ['heightMm', 40, 10, 200, 'Label height']
+  ];
+  for (const [key, fallback, min, max, name] of numbers) {
+    const parsed = readNumber(input[key], fallback, min, max, name);
+    if (parsed.error) return parsed;
+    template[key] = parsed.value;
+  }
+  template.columns = Math.floor(template.columns);
+  template.rows = Math.floor(template.rows);
+
+  template.dpi = input.dpi === undefined ? 203 : Number(input.dpi);
+  if (!ZPL_DPI.includes(template.dpi)) {
+    return { error: `Printer resolution must be one of: ${ZPL_DPI.join(', ')} dpi` };
+  }
+
+  template.showName = input.showName !== false;
+  template.showPrice = input.showPrice !== false;
+  template.showUnit = input.showUnit !== false;
+  template.branding = input.branding === true;
+  template.currency = typeof input.currency === 'string' ? input.currency.trim().slice(0, 5) : 'AZN';
+
+  if (format === 'pdf') {
+    const size = pdfLabelSize(template);
+    if (size.width < 20 * MM || size.height < 10 * MM) {
+      return { error: 'Labels of this grid are too small - use fewer columns or rows' };
+    }
+  }
+  return { value: template };
+}
+
+function formatPrice(price, currency) {
+  return `${(Number(price) || 0).toFixed(2)}${currency ? ` ${currency}` : ''}`;
+}
+
+// ---------------------------------------------------------------- PDF
+
+// Helvetica widths (1/1000 em) of the printable ASCII characters; others count as 556
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Letters of Azerbaijani / Turkish missing in WinAnsiEncoding, put on codes it leaves
+// unused (see the font's /Differences). Schwa has no glyph in the standard fonts - it is
+// printed as ä, the usual substitute.
+const EXTRA_GLYPHS = [['ğ', 0x81, 'gbreve'], ['Ğ', 0x8d, 'Gbreve'], ['ş', 0x8f, 'scedilla'], ['Ş', 0x90, 'Scedilla'], ['ı', 0x9d, 'dotlessi']];
+const CHAR_SUBSTITUTES = { 'ə': 'ä', 'Ə': 'Ä', 'İ': 'I' };
+
+function pdfTextBytes(text) {
+  const bytes = [];
+  for (const original of text) {
+    const c = CHAR_SUBSTITUTES[original] || original;
+    const extra = EXTRA_GLYPHS.find(g => g[0] === c);
+    const code = c.charCodeAt(0);
+    if (extra) bytes.push(extra[1]);
+    else if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) bytes.push(code);
+    else bytes.push(0x3f); // ?
+  }
+  return bytes;
+}
+
+function textWidth(text, size, bold = false) {
+  let width = 0;
+  for (const c of text) {
+    const code = c.charCodeAt(0);
+    width += (code >= 0x20 && code <= 0x7e) ? HELVETICA_WIDTHS[code - 0x20] : 556;
+  }
+  return width * size / 1000 * (bold ? 1.06 : 1);
+}
+
+// Cut text to fit width, marking the cut with dots
+function fitText(text, size, width, bold) {
+  if (textWidth(text, size, bold) <= width) return text;
+  let cut = text;
+  while (cut.length > 0 && textWidth(`${cut}...`, size, bold) > width) cut = cut.slice(0, -1);
+  return `${cut.trimEnd()}...`;
+}
+
+function pdfText(text, x, y, size, bold = false) {
+  const hex = pdfTextBytes(text).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `BT /${bold ? 'F2' : 'F1'} ${n(size)} Tf ${n(x)} ${n(y)} Td <${hex}> Tj ET\n`;
+}
+
+function n(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function hexToRgb(color) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(color || '').trim());
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => n(c / 255)).join(' ');
+}
+
+function pdfLabelSize(template) {
+  const margin = template.marginMm * MM;
+  const gap = template.gapMm * MM;
+  return {
+    width: (A4.width - 2 * margin - (template.columns - 1) * gap) / template.columns,
+    height: (A4.height - 2 * margin - (template.rows - 1) * gap) / template.rows
+  };
+}
+
+// Bars of a barcode filling width, bottom left at x, y
+function pdfBars(barcode, x, y, width, height) {
+  const moduleWidth = width / (barcode.modules.length + 2 * barcode.quiet);
+  let ops = '';
+  let start = -1;
+  for (let i = 0; i <= barcode.modules.length; i++) {
+    if (barcode.modules[i] === '1' && start === -1) start = i;
+    if (barcode.modules[i] !== '1' && start !== -1) {
+      ops += `${n(x + (barcode.quiet + start) * moduleWidth)} ${n(y)} ${n((i - start) * moduleWidth)} ${n(height)} re\n`;
+      start = -1;
+    }
+  }
+  return `0 g\n${ops}f\n`;
+}
+
+function pdfLabel(label, box, template, branding) {
+  const pad = 2 * MM;
+  let ops = '';
+  let top = box.y + box.height - pad;
+  const bottom = box.y + pad;
+  const innerWidth = box.width - 2 * pad;
+
+  const stripe = template.branding && branding.color;
+  if (stripe) {
+    ops += `${stripe} rg\n${n(box.x)} ${n(box.y + box.height - 1.5 * MM)} ${n(box.width)} ${n(1.5 * MM)} re f\n`;
+    top -= 1.5 * MM;
+  }
+
+  const nameSize = Math.min(Math.max(box.height / 9, 6), 12);
+  if (template.showName || (template.branding && branding.logo)) {
+    let nameX = box.x + pad;
+    if (template.branding && branding.logo) {
+      const logoHeight = nameSize * 1.3;
+      const logoWidth = logoHeight * branding.logo.width / branding.logo.height;
+      ops += `q ${n(logoWidth)} 0 0 ${n(logoHeight)} ${n(nameX)} ${n(top - logoHeight)} cm /Logo Do Q\n`;
+      nameX += logoWidth + 1 * MM;
+    }
+    if (template.showName) {
+      const name = fitText(label.name, nameSize, box.x + box.width - pad - nameX, true);
+      ops += `0 g\n${pdfText(name, nameX, top - nameSize * 0.9, nameSize, true)}`;
+    }
+    top -= nameSize * 1.4;
+  }
+
+  let barsBottom = bottom;
+  if (template.showPrice || template.showUnit) {
+    const priceSize = Math.min(Math.max(box.height / 6, 7), 18);
+    let x = box.x + pad;
+    if (template.showPrice) {
+      const price = formatPrice(label.price, template.currency);
+      ops += pdfText(price, x, bottom + priceSize * 0.15, priceSize, true);
+      x += textWidth(price, priceSize, true);
+    }
+    if (template.showUnit && label.unit) {
+      const unit = template.showPrice ? ` / ${label.unit}` : label.unit;
+      ops += pdfText(fitText(unit, priceSize * 0.6, box.x + box.width - pad - x), x, bottom + priceSize * 0.15, priceSize * 0.6);
+    }
+    barsBottom += priceSize * 1.2;
+  }
+
+  const textSize = Math.min(Math.max(box.height / 12, 5), 9);
+  const barsHeight = top - barsBottom - textSize * 1.2 - 1;
+  if (label.barcode && barsHeight > 3) {
+    const textY = barsBottom;
+    ops += pdfBars(label.barcode, box.x + pad, textY + textSize * 1.1, innerWidth, barsHeight);
+    const text = fitText(label.barcode.text, textSize, innerWidth);
+    ops += pdfText(text, box.x + pad + (innerWidth - textWidth(text, textSize)) / 2, textY, textSize);
+  }
+  return ops;
+}
+
+// PDF file of the page contents (content stream strings), Helvetica fonts and the logo
+function pdfDocument(pageContents, logo) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const differences = EXTRA_GLYPHS.map(([, code, glyph]) => `${code} /${glyph}`).join(' ');
+  const encoding = `<< /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [${differences}] >>`;
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const regularId = add(`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding ${encoding} >>`);
+  const boldId = add(`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding ${encoding} >>`);
+  let logoId = null;
+  if (logo) {
+    const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[logo.components];
+    logoId = add([
+      `<< /Type /XObject /Subtype /Image /Width ${logo.width} /Height ${logo.height} /ColorSpace ${colorSpace} ` +
+        `/BitsPerComponent 8 /Filter /DCTDecode${logo.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : ''} /Length ${logo.data.length} >>\nstream\n`,
+      logo.data,
+      '\nendstream'
+    ]);
+  }
+
+  const resources = `<< /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >>${logoId ? ` /XObject << /Logo ${logoId} 0 R >>` : ''} >>`;
+  const pageIds = pageContents.map(content => {
+    const data = zlib.deflateSync(Buffer.from(content, 'latin1'));
+    const contentId = add([`<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, data, '\nendstream']);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] /Resources ${resources} /Contents ${contentId} 0 R >>`);
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = objects.map((body, i) => {
+    const parts = [`${i + 1} 0 obj\n`, ...(Array.isArray(body) ? body : [body]), '\nendobj\n']
+      .map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1')));
+    const start = offset;
+    for (const part of parts) {
+      chunks.push(part);
+      offset += part.length;
+    }
+    return start;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF\n'
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+// A4 sheets of labels ([{ name, price, unit, code, copies }]) filled row by row, copies
+// side by side. branding is { color, logo } (logo as returned by loadLogo). Returns the
+// PDF as a Buffer.
+function renderLabelsPdf(labels, template, branding = {}) {
+  const size = pdfLabelSize(template);
+  const perPage = template.columns * template.rows;
+  const margin = template.marginMm * MM;
+  const gap = template.gapMm * MM;
+  const brand = { color: hexToRgb(branding.color), logo: branding.logo || null };
+
+  const pages = [];
+  const copies = labels.flatMap(label => {
+    const drawn = { ...label, barcode: label.code ? encodeBarcode(label.code) : null };
+    return Array(label.copies || 1).fill(drawn);
+  });
+  copies.forEach((label, i) => {
+    const slot = i % perPage;
+    if (slot === 0) pages.push('');
+    const column = slot % template.columns;
+    const row = Math.floor(slot / template.columns);
+    const box = {
+      x: margin + column * (size.width + gap),
+      y: A4.height - margin - row * (size.height + gap) - size.height,
+      width: size.width,
+      height: size.height
+    };
+    pages[pages.length - 1] += pdfLabel(label, box, template, brand);
+  });
+  return pdfDocument(pages.length > 0 ? pages : [''], brand.logo);
+}
+
+// JPEG image a company logo points to (data URL or http(s) URL) as { data, width,
+// height, components }, or null when there is none or it is not a JPEG
+async function loadLogo(logo) {
+  if (!logo || typeof logo !== 'string') return null;
+  let data;
+  try {
+    const dataUrl = /^data:image\/jpe?g;base64,(.+)$/i.exec(logo);
+    if (dataUrl) {
+      data = Buffer.from(dataUrl[1], 'base64');
+    } else if (/^https?:\/\//i.test(logo)) {
+      const response = await fetch(logo, { signal: AbortSignal.timeout(5000) });
+      if (!response.ok) return null;
+      data = Buffer.from(await response.arrayBuffer());
+    } else {
+      return null;
+    }
+  } catch (error) {
+    return null;
+  }
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) return null;
+
+  // Size from the start of frame marker (SOF0-SOF15 but DHT, JPG and DAC)
+  let i = 2;
+  while (i + 9 < data.length) {
+    if (data[i] !== 0xff) return null;
+    const marker = data[i + 1];
+    const length = data.readUInt16BE(i + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = data[i + 9];
+      if (![1, 3, 4].includes(components)) return null;
+      return { data, height: data.readUInt16BE(i + 5), width: data.readUInt16BE(i + 7), components };
+    }
+    i += 2 + length;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------- ZPL
+
+// Field data for ^FH: the characters ZPL treats as commands are sent hex escaped
+function zplData(text) {
+  return text.replace(/[_^~]/g, c => `_${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Barcode field of a label: the printer draws it from the data
+function zplBarcode(code, moduleDots, height) {
+  const read = parseBarcodeFormat(code);
+  if (read.valid && (read.format === 'ean13' || read.format === 'upca') && read.code.length === 13) {
+    return `^BY${moduleDots}^BEN,${height},Y,N^FD${read.code.slice(0, 12)}^FS`;
+  }
+  if (read.valid && read.format === 'ean8') {
+    return `^BY${moduleDots}^B8N,${height},Y,N^FD${read.code.slice(0, 7)}^FS`;
+  }
+  if (read.valid && read.format === 'gs1') {
+    // Mode D: AIs in parentheses, FNC1 put in by the printer
+    return `^BY${moduleDots}^BCN,${height},Y,N,N,D^FD${read.code}^FS`;
+  }
+  // > starts an invocation code in ^BC data, >< is a literal >
+  return `^BY${moduleDots}^BCN,${height},Y,N,N^FH^FD${zplData(code).replace(/>/g, '><')}^FS`;
+}
+
+// ZPL of the labels ([{ name, price, unit, code, copies }]), one label format each,
+// printed copies times
+function renderLabelsZpl(labels, template) {
+  const dotsPerMm = template.dpi === 300 ? 12 : 8;
+  const width = Math.round(template.widthMm * dotsPerMm);
+  const height = Math.round(template.heightMm * dotsPerMm);
+  const pad = 2 * dotsPerMm;
+  const innerWidth = width - 2 * pad;
+
+  return labels.map(label => {
+    const lines = ['^XA', '^CI28', `^PW${width}`, `^LL${height}`];
+    let top = pad;
+    let bottom = height - pad;
+
+    if (template.showName) {
+      const size = Math.round(Math.min(Math.max(height / 9, 20), 60));
+      lines.push(`^FO${pad},${top}^A0N,${size},${size}^FB${innerWidth},1,0,L^FH^FD${zplData(label.name)}^FS`);
+      top += Math.round(size * 1.3);
+    }
+    if (template.showPrice || template.showUnit) {
+      const size = Math.round(Math.min(Math.max(height / 6, 24), 90));
+      const parts = [];
+      if (template.showPrice) parts.push(formatPrice(label.price, template.currency));
+      if (template.showUnit && label.unit) parts.push(label.unit);
+      bottom -= size;
+      lines.push(`^FO${pad},${bottom}^A0N,${size},${size}^FB${innerWidth},1,0,L^FH^FD${zplData(parts.join(' / '))}^FS`);
+      bottom -= Math.round(size * 0.2);
+    }
+
+    const barcode = label.code ? encodeBarcode(label.code) : null;
+    // Room for the human readable line the printer adds under the bars
+    const barsHeight = bottom - top - Math.round(height / 10);
+    if (barcode && barsHeight > 10) {
+      const moduleDots = Math.max(1, Math.min(4, Math.floor(innerWidth / (barcode.modules.length + 2 * barcode.quiet))));
+      const x = pad + Math.max(0, Math.floor((innerWidth - barcode.modules.length * moduleDots) / 2));
+      lines.push(`^FO${x},${top}${zplBarcode(label.code, moduleDots, barsHeight)}`);
+    }
+
+    if (label.copies > 1) lines.push(`^PQ${label.copies}`);
+    lines.push('^XZ');
+    return lines.join('\n');
+  }).join('\n') + '\n';
+}
+
+module.exports = {
+  LABEL_FORMATS,
+  MAX_LABELS,
+  encodeBarcode,
+  parseLabelTemplate,
+  renderLabelsPdf,
+  renderLabelsZpl,
+  loadLogo
+};
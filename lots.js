@@ -0,0 +1,183 @@
+// Lots (batches) and expiry dates. Stock received with a lot number and/or expiry date
+// is kept per lot in each warehouse; removals take the lot that expires first (FEFO)
+// unless a lot is named. Stock received without lot details is not tracked per lot
+// and is only taken once the lots are used up.
+
+const { getUnitPrecision, roundQuantity } = require('./units');
+
+// Days ahead the daily expiry alert and the expiring report look by default
+const DEFAULT_EXPIRY_ALERT_DAYS = 30;
+
+// Quantities below this are rounding noise
+const EPSILON = 1e-9;
+
+// Validate lot details sent by a client. Returns { value } with null when neither a lot
+// number nor an expiry date is given, or { error }.
+function parseLot({ lotNumber, expiryDate }) {
+  if (lotNumber !== undefined && lotNumber !== null && !['string', 'number'].includes(typeof lotNumber)) {
+    return { error: 'Lot number must be text' };
+  }
+  const number = lotNumber === undefined || lotNumber === null ? '' : String(lotNumber).trim();
+  if (number.length > 60) {
+    return { error: 'Lot number can have at most 60 characters' };
+  }
+
+  let expiry = null;
+  if (expiryDate !== undefined && expiryDate !== null && expiryDate !== '') {
+    expiry = new Date(expiryDate);
+    if (isNaN(expiry.getTime())) {
+      return { error: 'Invalid expiry date' };
+    }
+  }
+
+  if (!number && !expiry) return { value: null };
+  return { value: { lotNumber: number, expiryDate: expiry } };
+}
+
+function lotFilter(product, warehouse, lot) {
+  return { product: product._id, warehouse, lotNumber: lot.lotNumber || '', expiryDate: lot.expiryDate || null };
+}
+
+function changeLot(LotBalance, product, warehouse, lot, delta, precision) {
+  return LotBalance.updateOne(
+    lotFilter(product, warehouse, lot),
+    [{
+      $set: {
+        quantity: { $round: [{ $add: [{ $ifNull: ['$quantity', 0] }, delta] }, precision] },
+        receivedAt: { $ifNull: ['$receivedAt', new Date()] },
+        updatedAt: new Date()
+      }
+    }],
+    { upsert: delta > 0 }
+  );
+}
+
+// Put received lots ([{ lotNumber, expiryDate, quantity }]) on a warehouse. Returns an undo function.
+async function addLots(LotBalance, product, warehouse, lots) {
+  const precision = getUnitPrecision(product.unit);
+  for (const lot of lots) {
+    await changeLot(LotBalance, product, warehouse, lot, lot.quantity, precision);
+  }
+  return () => revertLots(LotBalance, product, warehouse, lots, -1);
+}
+
+// Give lots back (sign 1) or take them away again (sign -1) while rolling back
+async function revertLots(LotBalance, product, warehouse, lots, sign) {
+  const precision = getUnitPrecision(product.unit);
+  for (const lot of lots) {
+    await changeLot(LotBalance, product, warehouse, lot, sign * lot.quantity, precision);
+  }
+}
+
+// Atomically take quantity from one lot balance. Returns false when it holds less.
+async function takeFromLot(LotBalance, lotId, quantity, precision) {
+  const updated = await LotBalance.findOneAndUpdate(
+    { _id: lotId, quantity: { $gte: quantity } },
+    [{ $set: { quantity: { $round: [{ $subtract: ['$quantity', quantity] }, precision] }, updatedAt: new Date() } }]
+  );
+  return !!updated;
+}
+
+// Take quantity from a product's lots in a warehouse: the given lots exactly
+// ([{ lotNumber, expiryDate, quantity }], e.g. when reversing a receipt), the lots with
+// lotNumber, or FEFO - dated lots by expiry, then undated ones by receipt. Stock outside
+// lots covers what FEFO cannot. Returns { lots, undo }, or { shortage } with the
+// quantity available when the requested lots do not hold enough (nothing is taken then).
+async function consumeLots(LotBalance, product, warehouse, quantity, { lots: requested, lotNumber } = {}) {
+  const precision = getUnitPrecision(product.unit);
+  const taken = [];
+  const undo = () => revertLots(LotBalance, product, warehouse, taken, 1);
+
+  if (requested && requested.length > 0) {
+    for (const lot of requested) {
+      const balance = await LotBalance.findOne(lotFilter(product, warehouse, lot)).lean();
+      if (!balance || !(await takeFromLot(LotBalance, balance._id, lot.quantity, precision))) {
+        await undo();
+        return { shortage: balance ? balance.quantity : 0 };
+      }
+      taken.push({ lotNumber: balance.lotNumber, expiryDate: balance.expiryDate, quantity: lot.quantity });
+    }
+    return { lots: taken, undo };
+  }
+
+  const base = { product: product._id, warehouse, quantity: { $gt: 0 } };
+  if (lotNumber !== undefined) base.lotNumber = lotNumber;
+
+  let remaining = quantity;
+  while (remaining > EPSILON) {
+    const balance = await LotBalance.findOne({ ...base, expiryDate: { $ne: null } }).sort({ expiryDate: 1, receivedAt: 1 }).lean()
+      || await LotBalance.findOne({ ...base, expiryDate: null }).sort({ receivedAt: 1 }).lean();
+    if (!balance) break;
+
+    const take = roundQuantity(Math.min(balance.quantity, remaining), product.unit);
+    // Taken by a concurrent removal in between - look again
+    if (!(await takeFromLot(LotBalance, balance._id, take, precision))) continue;
+
+    taken.push({ lotNumber: balance.lotNumber, expiryDate: balance.expiryDate, quantity: take });
+    remaining = roundQuantity(remaining - take, product.unit);
+  }
+
+  if (lotNumber !== undefined && remaining > EPSILON) {
+    await undo();
+    return { shortage: roundQuantity(quantity - remaining, product.unit) };
+  }
+  return { lots: taken, undo };
+}
+
+// Whole days from now until date (negative once expired)
+function daysUntil(date, now = new Date()) {
+  return Math.ceil((new Date(date).getTime() - now.getTime()) / (24 * 60 * 60 * 1000));
+}
+
+// Lots with stock that expire within days (already expired ones included), soonest first
+async function getExpiringLots({ LotBalance, Product, Warehouse }, { days = DEFAULT_EXPIRY_ALERT_DAYS, warehouse } = {}) {
+  const now = new Date();
+  const until = new Date(now);
+  until.setDate(until.getDate() + days);
+
+  const query = { quantity: { $gt: 0 }, expiryDate: { $ne: null, $lte: until } };
+  if (warehouse) query.warehouse = warehouse;
+
+  const lots = await LotBalance.find(query).sort({ expiryDate: 1 }).lean();
+  if (lots.length === 0) return [];
+
+  const products = await Product.find({ _id: { $in: [...new Set(lots.map(l => l.product.toString()))] } })
+    .select('barcode name unit buyingPrice')
+    .lean();
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+  const warehouses = await Warehouse.find({ _id: { $in: [...new Set(lots.map(l => l.warehouse.toString()))] } })
+    .select('name')
+    .lean();
+  const warehouseMap = new Map(warehouses.map(w => [w._id.toString(), w.name]));
+
+  return lots
+    .filter(lot => productMap.has(lot.product.toString()))
+    .map(lot => {
+      const product = productMap.get(lot.product.toString());
+      const daysLeft = daysUntil(lot.expiryDate, now);
+      return {
+        product: product._id,
+        barcode: product.barcode,
+        productName: product.name,
+        unit: product.unit,
+        warehouse: lot.warehouse,
+        warehouseName: warehouseMap.get(lot.warehouse.toString()) || '',
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        quantity: roundQuantity(lot.quantity, product.unit),
+        daysLeft,
+        expired: daysLeft <= 0,
+        value: Math.round(lot.quantity * (product.buyingPrice || 0) * 100) / 100
+      };
+    });
+}
+
+module.exports = {
+  DEFAULT_EXPIRY_ALERT_DAYS,
+  parseLot,
+  addLots,
+  revertLots,
+  consumeLots,
+  daysUntil,
+  getExpiringLots
+};
@@ -0,0 +1,43 @@
+/**
+ * Product Barcode Index Migration Script
+ *
+ * Products may now have no primary barcode and further barcodes besides it
+ * (Product.barcodes). Brings the product indexes of every company database in
+ * line with the Product model:
+ * 1. Drops the old unique barcode index, which allows only one product without a barcode
+ * 2. Creates the partial unique indexes on the primary and the additional barcodes
+ * 3. Products without a barcodes list get an empty one
+ *
+ * Run it before deploying the version that duplicates products without a barcode.
+ *
+ * Usage: node migrate-barcodes.js [company-slug]
+ * Without a slug all companies in the master database are migrated.
+ */
+
+const { getCompanyConnection } = require('./db-manager');
+const { runCompanyMigration } = require('./migration-runner');
+
+async function migrateCompany(slug) {
+  const connection = await getCompanyConnection(slug);
+  const products = connection.collection('products');
+
+  const indexes = await products.indexes();
+  const oldIndex = indexes.find(index => index.key.barcode === 1 && !index.partialFilterExpression);
+  if (oldIndex) {
+    await products.dropIndex(oldIndex.name);
+  }
+  await connection.model('Product').createIndexes();
+
+  const result = await products.updateMany({ barcodes: { $exists: false } }, { $set: { barcodes: [] } });
+  return { droppedIndex: !!oldIndex, updatedCount: result.modifiedCount };
+}
+
+// Run migration
+runCompanyMigration({
+  title: 'Product Barcode Index Migration Script',
+  migrateCompany,
+  describe: ({ droppedIndex, updatedCount }) => `${droppedIndex ? 'old barcode index replaced, ' : ''}${updatedCount} products updated`,
+  totals: [
+    ['Products updated', r => r.updatedCount]
+  ]
+});
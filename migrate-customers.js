@@ -0,0 +1,79 @@
+/**
+ * Customer Directory Migration Script
+ *
+ * Turns the free-text sell locations of every company database into Customer
+ * records:
+ * 1. Collects Product.sellLocation values and the StockMovement.location of removals
+ * 2. Groups spelling variants ("Gəncə filialı", "Gence filiali") by normalised
+ *    name and creates one customer per group, named after the most used spelling
+ * 3. Links products and movements to that customer and rewrites their names
+ *
+ * Safe to run more than once - existing customers are reused.
+ *
+ * Usage: node migrate-customers.js [company-slug]
+ * Without a slug all companies in the master database are migrated.
+ */
+
+const { getCompanyConnection } = require('./db-manager');
+const { runCompanyMigration } = require('./migration-runner');
+const { normalizeName } = require('./directory');
+
+async function migrateCompany(slug) {
+  const connection = await getCompanyConnection(slug);
+  const Product = connection.model('Product');
+  const StockMovement = connection.model('StockMovement');
+  const Customer = connection.model('Customer');
+
+  // How often each spelling is used
+  const productNames = await Product.aggregate([
+    { $match: { sellLocation: { $nin: ['', null] } } },
+    { $group: { _id: '$sellLocation', count: { $sum: 1 } } }
+  ]);
+  const movementNames = await StockMovement.aggregate([
+    { $match: { type: 'remove', location: { $nin: ['', null] } } },
+    { $group: { _id: '$location', count: { $sum: 1 } } }
+  ]);
+
+  // Group spellings by normalised name
+  const groups = new Map();
+  for (const { _id: spelling, count } of [...productNames, ...movementNames]) {
+    const key = normalizeName(spelling);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, new Map());
+    const spellings = groups.get(key);
+    spellings.set(spelling, (spellings.get(spelling) || 0) + count);
+  }
+
+  let createdCount = 0;
+
+  for (const [normalizedName, spellings] of groups) {
+    let customer = await Customer.findOne({ normalizedName });
+    if (!customer) {
+      const [name] = [...spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+      customer = await Customer.create({ name: name.trim() });
+      createdCount++;
+    }
+
+    const names = [...spellings.keys()];
+    await Product.updateMany(
+      { sellLocation: { $in: names } },
+      { $set: { customer: customer._id, sellLocation: customer.name } }
+    );
+    await StockMovement.updateMany(
+      { type: 'remove', location: { $in: names } },
+      { $set: { customerId: customer._id, location: customer.name } }
+    );
+  }
+
+  return { groupCount: groups.size, createdCount };
+}
+
+// Run migration
+runCompanyMigration({
+  title: 'Customer Directory Migration Script',
+  migrateCompany,
+  describe: ({ groupCount, createdCount }) => `${groupCount} customers found, ${createdCount} created`,
+  totals: [
+    ['Customers created', r => r.createdCount]
+  ]
+});
@@ -0,0 +1,54 @@
+/**
+ * Stock Movement Price Backfill Script
+ *
+ * Stock movements recorded before price snapshots have no unitCost / unitPrice.
+ * For every company database this script:
+ * 1. Sets unitCost / unitPrice of those movements from the product's current
+ *    buyingPrice / sellingPrice
+ * 2. Marks them priceEstimated, since the prices at the time are unknown
+ *
+ * Safe to run more than once - movements that already have prices are left alone.
+ *
+ * Usage: node migrate-movement-prices.js [company-slug]
+ * Without a slug all companies in the master database are migrated.
+ */
+
+const { getCompanyConnection } = require('./db-manager');
+const { runCompanyMigration } = require('./migration-runner');
+
+async function migrateCompany(slug) {
+  const connection = await getCompanyConnection(slug);
+  const Product = connection.model('Product');
+  const StockMovement = connection.model('StockMovement');
+
+  // Only products that have movements without a snapshot
+  const productIds = await StockMovement.distinct('product', { unitCost: null });
+  const cursor = Product.find({ _id: { $in: productIds } }).select('buyingPrice sellingPrice').lean().cursor();
+  let movementCount = 0;
+
+  for await (const product of cursor) {
+    const result = await StockMovement.updateMany(
+      { product: product._id, unitCost: null },
+      {
+        $set: {
+          unitCost: product.buyingPrice || 0,
+          unitPrice: product.sellingPrice || 0,
+          priceEstimated: true
+        }
+      }
+    );
+    movementCount += result.modifiedCount;
+  }
+
+  return { productCount: productIds.length, movementCount };
+}
+
+// Run migration
+runCompanyMigration({
+  title: 'Stock Movement Price Backfill Script',
+  migrateCompany,
+  describe: ({ productCount, movementCount }) => `${movementCount} movements of ${productCount} products priced`,
+  totals: [
+    ['Movements priced (estimated)', r => r.movementCount]
+  ]
+});
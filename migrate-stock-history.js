@@ -0,0 +1,74 @@
+/**
+ * Stock History Migration Script
+ *
+ * Moves the embedded Product.stockHistory arrays into the StockMovement
+ * ledger collection of every company database:
+ * 1. Creates one StockMovement per embedded history entry
+ * 2. Removes the stockHistory array from the product
+ *
+ * Safe to run more than once - entries that were already copied are
+ * recognised by their original _id (legacyHistoryId) and skipped.
+ *
+ * Usage: node migrate-stock-history.js [company-slug]
+ * Without a slug all companies in the master database are migrated.
+ */
+
+const mongoose = require('mongoose');
+const { getCompanyConnection } = require('./db-manager');
+const { runCompanyMigration } = require('./migration-runner');
+
+async function migrateCompany(slug) {
+  const connection = await getCompanyConnection(slug);
+  const StockMovement = connection.model('StockMovement');
+  // Use the raw collection - stockHistory is no longer part of the Product schema
+  const products = connection.collection('products');
+
+  const cursor = products.find({ 'stockHistory.0': { $exists: true } });
+  let productCount = 0;
+  let movementCount = 0;
+
+  for await (const product of cursor) {
+    const movements = product.stockHistory.map(entry => ({
+      product: product._id,
+      barcode: product.barcode || '',
+      productName: product.name || '',
+      quantity: entry.quantity,
+      type: entry.type,
+      note: entry.note || '',
+      supplier: entry.supplier || '',
+      location: entry.location || '',
+      addedBy: entry.addedBy,
+      addedByName: entry.addedByName,
+      legacyHistoryId: entry._id || new mongoose.Types.ObjectId(),
+      createdAt: entry.createdAt || product.createdAt || new Date()
+    }));
+
+    try {
+      const inserted = await StockMovement.insertMany(movements, { ordered: false });
+      movementCount += inserted.length;
+    } catch (error) {
+      // Duplicate key errors mean the entry was copied by an earlier run
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(e => (e.code || e.err?.code) !== 11000)) {
+        throw error;
+      }
+      movementCount += movements.length - writeErrors.length;
+    }
+
+    await products.updateOne({ _id: product._id }, { $unset: { stockHistory: '' } });
+    productCount++;
+  }
+
+  return { productCount, movementCount };
+}
+
+// Run migration
+runCompanyMigration({
+  title: 'Stock History Migration Script',
+  migrateCompany,
+  describe: ({ productCount, movementCount }) => `${movementCount} movements from ${productCount} products`,
+  totals: [
+    ['Products migrated', r => r.productCount],
+    ['Movements created', r => r.movementCount]
+  ]
+});
@@ -0,0 +1,79 @@
+/**
+ * Supplier Directory Migration Script
+ *
+ * Turns the free-text supplier names of every company database into Supplier
+ * records:
+ * 1. Collects Product.boughtFrom and StockMovement.supplier values
+ * 2. Groups spelling variants ("Bakı Elektrik", "Baki elektrik") by normalised
+ *    name and creates one supplier per group, named after the most used spelling
+ * 3. Links products and movements to that supplier and rewrites their names
+ *
+ * Safe to run more than once - existing suppliers are reused.
+ *
+ * Usage: node migrate-suppliers.js [company-slug]
+ * Without a slug all companies in the master database are migrated.
+ */
+
+const { getCompanyConnection } = require('./db-manager');
+const { runCompanyMigration } = require('./migration-runner');
+const { normalizeName } = require('./directory');
+
+async function migrateCompany(slug) {
+  const connection = await getCompanyConnection(slug);
+  const Product = connection.model('Product');
+  const StockMovement = connection.model('StockMovement');
+  const Supplier = connection.model('Supplier');
+
+  // How often each spelling is used
+  const productNames = await Product.aggregate([
+    { $match: { boughtFrom: { $nin: ['', null] } } },
+    { $group: { _id: '$boughtFrom', count: { $sum: 1 } } }
+  ]);
+  const movementNames = await StockMovement.aggregate([
+    { $match: { supplier: { $nin: ['', null] } } },
+    { $group: { _id: '$supplier', count: { $sum: 1 } } }
+  ]);
+
+  // Group spellings by normalised name
+  const groups = new Map();
+  for (const { _id: spelling, count } of [...productNames, ...movementNames]) {
+    const key = normalizeName(spelling);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, new Map());
+    const spellings = groups.get(key);
+    spellings.set(spelling, (spellings.get(spelling) || 0) + count);
+  }
+
+  let createdCount = 0;
+
+  for (const [normalizedName, spellings] of groups) {
+    let supplier = await Supplier.findOne({ normalizedName });
+    if (!supplier) {
+      const [name] = [...spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+      supplier = await Supplier.create({ name: name.trim() });
+      createdCount++;
+    }
+
+    const names = [...spellings.keys()];
+    await Product.updateMany(
+      { boughtFrom: { $in: names } },
+      { $set: { supplier: supplier._id, boughtFrom: supplier.name } }
+    );
+    await StockMovement.updateMany(
+      { supplier: { $in: names } },
+      { $set: { supplierId: supplier._id, supplier: supplier.name } }
+    );
+  }
+
+  return { groupCount: groups.size, createdCount };
+}
+
+// Run migration
+runCompanyMigration({
+  title: 'Supplier Directory Migration Script',
+  migrateCompany,
+  describe: ({ groupCount, createdCount }) => `${groupCount} suppliers found, ${createdCount} created`,
+  totals: [
+    ['Suppliers created', r => r.createdCount]
+  ]
+});
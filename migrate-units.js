@@ -0,0 +1,51 @@
+/**
+ * Unit Normalisation Migration Script
+ *
+ * Replaces the old one-off unit fix scripts. Brings the stored unit names of
+ * every company database in line with the Product model:
+ * 1. Empty / missing units and aliases like "pcs" become the canonical name ("ədəd")
+ * 2. Alternate unit names are normalised the same way
+ * 3. Products without an alternateUnits list get an empty one
+ *
+ * Usage: node migrate-units.js [company-slug]
+ * Without a slug all companies in the master database are migrated.
+ */
+
+const { getCompanyConnection } = require('./db-manager');
+const { runCompanyMigration } = require('./migration-runner');
+const { normalizeUnit } = require('./units');
+
+async function migrateCompany(slug) {
+  const connection = await getCompanyConnection(slug);
+  // Use the raw collection so the stored values are seen as they are, not through setters
+  const products = connection.collection('products');
+
+  const cursor = products.find({}, { projection: { unit: 1, alternateUnits: 1 } });
+  let updatedCount = 0;
+
+  for await (const product of cursor) {
+    const unit = normalizeUnit(product.unit);
+    const alternateUnits = (product.alternateUnits || []).map(u => ({ ...u, name: normalizeUnit(u.name) }));
+
+    const changed = unit !== product.unit
+      || !Array.isArray(product.alternateUnits)
+      || alternateUnits.some((u, i) => u.name !== product.alternateUnits[i].name);
+
+    if (changed) {
+      await products.updateOne({ _id: product._id }, { $set: { unit, alternateUnits } });
+      updatedCount++;
+    }
+  }
+
+  return updatedCount;
+}
+
+// Run migration
+runCompanyMigration({
+  title: 'Unit Normalisation Migration Script',
+  migrateCompany,
+  describe: updatedCount => `${updatedCount} products updated`,
+  totals: [
+    ['Products updated', updatedCount => updatedCount]
+  ]
+});
@@ -0,0 +1,49 @@
+/**
+ * Warehouse Migration Script
+ *
+ * Books the stock that existed before warehouses were introduced:
+ * 1. Creates the default warehouse of every company database
+ * 2. Puts the current stock of every product without warehouse balances
+ *    on that default warehouse
+ *
+ * Products that are not migrated are handled lazily on their next stock
+ * movement, but warehouse filters only see them after this script ran.
+ *
+ * Usage: node migrate-warehouses.js [company-slug]
+ * Without a slug all companies in the master database are migrated.
+ */
+
+const { getCompanyConnection } = require('./db-manager');
+const { runCompanyMigration } = require('./migration-runner');
+const { getDefaultWarehouse, ensureOpeningBalance } = require('./stock-ledger');
+
+async function migrateCompany(slug) {
+  const connection = await getCompanyConnection(slug);
+  const models = {
+    Warehouse: connection.model('Warehouse'),
+    StockBalance: connection.model('StockBalance')
+  };
+
+  await getDefaultWarehouse(models.Warehouse);
+
+  const cursor = connection.model('Product').find({ currentStock: { $gt: 0 } }).select('currentStock').cursor();
+  let updatedCount = 0;
+
+  for await (const product of cursor) {
+    if (await models.StockBalance.exists({ product: product._id })) continue;
+    await ensureOpeningBalance(models, product);
+    updatedCount++;
+  }
+
+  return updatedCount;
+}
+
+// Run migration
+runCompanyMigration({
+  title: 'Warehouse Migration Script',
+  migrateCompany,
+  describe: updatedCount => `${updatedCount} products booked on the default warehouse`,
+  totals: [
+    ['Products booked', updatedCount => updatedCount]
+  ]
+});
@@ -58,7 +58,7 @@ async function migrate() {
           sellLocation: oldProduct.sellLocation,
           imageUrl: oldProduct.imageUrl,
           category: oldProduct.category,
-          lowStockThreshold: oldProduct.lowStockThreshold || 10,
+          minStock: oldProduct.lowStockThreshold ?? 0,
           stockHistory: oldProduct.stockHistory || [],
           createdAt: oldProduct.createdAt,
           updatedAt: oldProduct.updatedAt
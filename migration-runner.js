@@ -0,0 +1,61 @@
+// Shared frame of the per-company migration scripts (migrate-*.js): connect to the
+// master database, run the script's migrateCompany(slug) on the company named on the
+// command line or on every company, and print one line per company and the totals.
+
+const mongoose = require('mongoose');
+const config = require('./config');
+const Company = require('./models/Company');
+const { closeAllConnections } = require('./db-manager');
+
+// title        - banner of the script
+// migrateCompany(slug) - migrates one company database, returns its result
+// describe(result)     - line printed for a company
+// totals       - [label, result => number] summed over the companies
+async function runCompanyMigration({ title, migrateCompany, describe, totals = [] }) {
+  console.log('========================================');
+  console.log(title);
+  console.log('========================================\n');
+
+  try {
+    // Connect to the master database to read the company list
+    let masterUri = config.MONGODB_URI;
+    if (masterUri.includes('?')) {
+      masterUri = masterUri.replace('/?', '/' + config.MASTER_DB_NAME + '?');
+    } else {
+      masterUri = masterUri.replace(/\/$/, '') + '/' + config.MASTER_DB_NAME;
+    }
+    await mongoose.connect(masterUri);
+
+    const onlySlug = process.argv[2];
+    const slugs = onlySlug
+      ? [onlySlug]
+      : (await Company.find().select('slug')).map(c => c.slug);
+
+    console.log(`Migrating ${slugs.length} company database(s)...\n`);
+
+    const sums = totals.map(() => 0);
+
+    for (const slug of slugs) {
+      try {
+        const result = await migrateCompany(slug);
+        console.log(`✓ ${slug}: ${describe(result)}`);
+        totals.forEach(([, count], i) => { sums[i] += count(result); });
+      } catch (err) {
+        console.error(`❌ ${slug}: ${err.message}`);
+      }
+    }
+
+    console.log('\n========================================');
+    console.log('Migration Complete!');
+    console.log('========================================');
+    totals.forEach(([label], i) => console.log(`- ${label}: ${sums[i]}`));
+
+    await closeAllConnections();
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('\nMigration failed:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = { runCompanyMigration };
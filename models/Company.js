@@ -36,6 +36,43 @@ const companySchema = new mongoose.Schema({
     default: 'SHAL-ANB-F-038-13',
     trim: true
   },
+  // How stock leaving the company is costed (see costing.js)
+  costingMethod: {
+    type: String,
+    enum: ['fifo', 'average'],
+    default: 'average'
+  },
+  // What happens to barcodes with a wrong check digit or unknown characters (see symbology.js)
+  barcodePolicy: {
+    type: String,
+    enum: ['off', 'warn', 'reject'],
+    default: 'warn'
+  },
+  // Numbering of the barcodes generated for products without one (see barcode-generator.js)
+  barcodeGenerator: {
+    format: {
+      type: String,
+      enum: ['instore', 'ean13'],
+      default: 'instore'
+    },
+    prefix: {
+      type: String,
+      default: '20',
+      trim: true
+    }
+  },
+  // How scale barcodes with the weight or price inside are read; unset for the defaults
+  // (see DEFAULT_EMBEDDED_BARCODES in symbology.js)
+  embeddedBarcodes: {
+    type: [{
+      _id: false,
+      prefix: { type: String, required: true },
+      content: { type: String, enum: ['weight', 'price'], default: 'weight' },
+      itemDigits: { type: Number, default: 5 },
+      decimals: { type: Number, default: 3 }
+    }],
+    default: undefined
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -29,6 +29,16 @@ const productSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  minStock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reorderQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   note: { 
     type: String, 
     default: '' 
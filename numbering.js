@@ -0,0 +1,24 @@
+// Sequential numbers for company documents (purchase orders, ...). Each company
+// database keeps one counter per sequence name, so numbers never repeat even when
+// documents are deleted.
+
+// Next number of a sequence, starting at 1. Atomic, so concurrent requests never
+// get the same number.
+async function nextSequence(Counter, name) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+}
+
+// Format a document number, e.g. formatDocumentNumber('PO', 42) -> "PO-000042"
+function formatDocumentNumber(prefix, seq, width = 6) {
+  return `${prefix}-${String(seq).padStart(width, '0')}`;
+}
+
+module.exports = {
+  nextSequence,
+  formatDocumentNumber
+};
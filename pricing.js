@@ -0,0 +1,72 @@
+// Product price history and scheduled price changes.
+
+const PRICE_FIELDS = ['buyingPrice', 'sellingPrice'];
+
+// Where a price change came from
+const PRICE_CHANGE_SOURCES = ['manual', 'purchase_order', 'scheduled'];
+
+// Record every price of the product that differs from before ({ buyingPrice, sellingPrice }).
+// Returns the number of history entries written.
+async function recordPriceChanges(PriceHistory, product, before, { reason = '', source = 'manual', user, reference = null } = {}) {
+  const entries = PRICE_FIELDS
+    .filter(field => (before[field] || 0) !== (product[field] || 0))
+    .map(field => ({
+      product: product._id,
+      barcode: product.barcode,
+      productName: product.name,
+      field,
+      oldValue: before[field] || 0,
+      newValue: product[field] || 0,
+      reason,
+      source,
+      reference,
+      changedBy: user?._id,
+      changedByName: user?.fullName
+    }));
+
+  if (entries.length > 0) {
+    await PriceHistory.insertMany(entries);
+  }
+  return entries.length;
+}
+
+// Apply the scheduled selling prices that are due, oldest first. Each change is claimed
+// atomically, so overlapping runs never apply one twice. Returns the number applied.
+async function applyDueScheduledPrices({ Product, PriceHistory, ScheduledPriceChange }, now = new Date()) {
+  let appliedCount = 0;
+
+  for (;;) {
+    const change = await ScheduledPriceChange.findOneAndUpdate(
+      { status: 'pending', effectiveAt: { $lte: now } },
+      { $set: { status: 'applied', appliedAt: new Date() } },
+      { sort: { effectiveAt: 1, _id: 1 }, new: true }
+    );
+    if (!change) break;
+
+    const product = await Product.findById(change.product);
+    if (!product) {
+      await ScheduledPriceChange.updateOne({ _id: change._id }, { $set: { status: 'cancelled', appliedAt: null } });
+      continue;
+    }
+
+    const before = { buyingPrice: product.buyingPrice, sellingPrice: product.sellingPrice };
+    product.sellingPrice = change.sellingPrice;
+    await Product.updateOne({ _id: product._id }, { $set: { sellingPrice: change.sellingPrice, updatedAt: new Date() } });
+    await recordPriceChanges(PriceHistory, product, before, {
+      reason: change.reason,
+      source: 'scheduled',
+      reference: change._id,
+      user: { _id: change.createdBy, fullName: change.createdByName }
+    });
+    appliedCount++;
+  }
+
+  return appliedCount;
+}
+
+module.exports = {
+  PRICE_FIELDS,
+  PRICE_CHANGE_SOURCES,
+  recordPriceChanges,
+  applyDueScheduledPrices
+};
@@ -0,0 +1,65 @@
+// Purchase order rules: prices, receiving progress and how a receipt changes the
+// product's buying price.
+
+// How receiving an order changes Product.buyingPrice:
+// keep    - leave the buying price as it is
+// last    - use the price of the latest receipt
+// average - weighted average of the stock on hand and the received quantity
+const BUYING_PRICE_POLICIES = ['keep', 'last', 'average'];
+const DEFAULT_BUYING_PRICE_POLICY = 'last';
+
+// Orders that can still receive goods
+const OPEN_ORDER_STATUSES = ['sent', 'partially_received'];
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Parse a price sent by a client ("2.5", "2,5" or 2.5). Returns { value } or { error }.
+function parsePrice(input) {
+  const text = typeof input === 'string' ? input.trim().replace(',', '.') : input;
+  const value = typeof text === 'number' ? text : Number(text);
+
+  if (text === '' || text === null || text === undefined || !Number.isFinite(value)) {
+    return { error: 'Valid price is required' };
+  }
+  if (value < 0) {
+    return { error: 'Price cannot be negative' };
+  }
+  return { value };
+}
+
+// Quantity of an order line that has not been received yet
+function outstandingQuantity(line) {
+  return Math.max(0, (line.quantity || 0) - (line.receivedQuantity || 0));
+}
+
+// Status of an open order after a receipt
+function statusAfterReceipt(lines) {
+  return lines.every(line => outstandingQuantity(line) <= 1e-9) ? 'received' : 'partially_received';
+}
+
+// Buying price after receiving quantity at unitPrice (both in the base unit).
+// stockBefore is the product's stock before the receipt.
+function nextBuyingPrice(policy, currentPrice, stockBefore, quantity, unitPrice) {
+  if (policy === 'last') {
+    return roundMoney(unitPrice);
+  }
+  if (policy === 'average') {
+    const stock = Math.max(0, stockBefore || 0);
+    if (stock + quantity <= 0) return roundMoney(unitPrice);
+    return roundMoney((stock * (currentPrice || 0) + quantity * unitPrice) / (stock + quantity));
+  }
+  return currentPrice || 0;
+}
+
+module.exports = {
+  BUYING_PRICE_POLICIES,
+  DEFAULT_BUYING_PRICE_POLICY,
+  OPEN_ORDER_STATUSES,
+  roundMoney,
+  parsePrice,
+  outstandingQuantity,
+  statusAfterReceipt,
+  nextBuyingPrice
+};
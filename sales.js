@@ -0,0 +1,43 @@
+// Sales document (invoice / waybill) rules: discounts and totals.
+
+const { roundMoney } = require('./purchasing');
+
+const SALES_DOCUMENT_TYPES = ['invoice', 'waybill'];
+
+// Parse a line discount in percent ("5", "2,5" or 5). Returns { value } or { error }.
+function parseDiscountPercent(input) {
+  if (input === undefined || input === null || input === '') return { value: 0 };
+
+  const text = typeof input === 'string' ? input.trim().replace(',', '.') : input;
+  const value = typeof text === 'number' ? text : Number(text);
+  if (!Number.isFinite(value) || value < 0 || value > 100) {
+    return { error: 'Discount must be between 0 and 100 percent' };
+  }
+  return { value };
+}
+
+// Line totals and document totals. Line prices are per base unit; discount is an
+// amount taken off the whole document after the line discounts.
+function computeSalesTotals(lines, discount = 0) {
+  const totalLines = lines.map(line => {
+    const gross = line.quantity * line.unitPrice;
+    return { ...line, total: roundMoney(gross * (1 - (line.discountPercent || 0) / 100)) };
+  });
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0));
+  const linesTotal = roundMoney(totalLines.reduce((sum, line) => sum + line.total, 0));
+  const documentDiscount = roundMoney(Math.min(discount || 0, linesTotal));
+
+  return {
+    lines: totalLines,
+    subtotal,
+    discountTotal: roundMoney(subtotal - linesTotal + documentDiscount),
+    total: roundMoney(linesTotal - documentDiscount)
+  };
+}
+
+module.exports = {
+  SALES_DOCUMENT_TYPES,
+  parseDiscountPercent,
+  computeSalesTotals
+};
@@ -0,0 +1,103 @@
+// Scans and what came of them. Every scan gets an outcome - the code found a product,
+// a product was created from it, stock was added or removed (the ledger entry names the
+// scan) or the code matched nothing. Scans are deleted after a few days; the ones that
+// matched nothing are kept longer for the unresolved scans report.
+
+const mongoose = require('mongoose');
+const { barcodeLookupForms } = require('./symbology');
+const { barcodeQuery, productBarcodes } = require('./barcodes');
+
+const SCAN_OUTCOMES = ['unknown', 'found', 'created', 'stock_added', 'stock_removed'];
+
+// Days scans are kept, and scans whose code matched nothing
+const SCAN_RETENTION_DAYS = 3;
+const UNRESOLVED_SCAN_RETENTION_DAYS = 30;
+
+// The scan a request follows up on (scanId sent with it). Returns the scan, null when no
+// scan is named or it was deleted meanwhile, or { error } for an id that is not one.
+async function findScan(Scan, scanId) {
+  if (scanId === undefined || scanId === null || scanId === '') return null;
+  if (!mongoose.isValidObjectId(scanId)) {
+    return { error: 'Invalid scan id' };
+  }
+  return Scan.findById(scanId);
+}
+
+// Record what came of a scan: outcome, and the product it led to
+async function recordScanOutcome(Scan, scan, outcome, product) {
+  if (!scan) return;
+  await Scan.updateOne({ _id: scan._id }, { $set: { outcome, product: product ? product._id : scan.product } });
+}
+
+// Delete scans older than days; ones that matched nothing are kept for
+// UNRESOLVED_SCAN_RETENTION_DAYS (when that is longer)
+function deleteOldScans(Scan, days = SCAN_RETENTION_DAYS) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+  const unresolvedCutoff = new Date();
+  unresolvedCutoff.setDate(unresolvedCutoff.getDate() - Math.max(days, UNRESOLVED_SCAN_RETENTION_DAYS));
+
+  return Scan.deleteMany({
+    scannedAt: { $lt: cutoff },
+    $or: [{ outcome: { $ne: 'unknown' } }, { scannedAt: { $lt: unresolvedCutoff } }]
+  });
+}
+
+// Codes scanned that matched no product, with how often and when they were scanned and
+// by whom, most scanned first. Scans are grouped by the code the product is looked up by
+// (all scale barcodes of one item are one code), with the codes as scanned. Codes that
+// have found a product since (created without the scan, or added to a product as a
+// further barcode) are left out.
+async function getUnresolvedScans({ Scan, Product }, { from, to } = {}) {
+  const match = { outcome: 'unknown' };
+  if (from || to) {
+    match.scannedAt = {};
+    if (from) match.scannedAt.$gte = from;
+    if (to) match.scannedAt.$lte = to;
+  }
+
+  const groups = await Scan.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ['$lookupBarcode', '$barcode'] },
+        barcodes: { $addToSet: '$barcode' },
+        scans: { $sum: 1 },
+        firstScannedAt: { $min: '$scannedAt' },
+        lastScannedAt: { $max: '$scannedAt' },
+        users: { $addToSet: '$userFullName' },
+        formats: { $addToSet: '$barcodeFormat' }
+      }
+    },
+    { $sort: { scans: -1, lastScannedAt: -1 } }
+  ]);
+  if (groups.length === 0) return [];
+
+  // Found by the lookup code or, as findScannedProduct does, by a code as scanned
+  const groupForms = g => [...new Set([g._id, ...g.barcodes].flatMap(barcodeLookupForms))];
+  const forms = [...new Set(groups.flatMap(groupForms))];
+  const products = await Product.find(barcodeQuery(forms)).select('barcode barcodes').lean();
+  const known = new Set(products.flatMap(productBarcodes));
+
+  return groups
+    .filter(g => !groupForms(g).some(form => known.has(form)))
+    .map(g => ({
+      barcode: g._id,
+      scannedBarcodes: g.barcodes.sort(),
+      format: g.formats.find(Boolean) || null,
+      scans: g.scans,
+      firstScannedAt: g.firstScannedAt,
+      lastScannedAt: g.lastScannedAt,
+      users: g.users.filter(Boolean).sort()
+    }));
+}
+
+module.exports = {
+  SCAN_OUTCOMES,
+  SCAN_RETENTION_DAYS,
+  UNRESOLVED_SCAN_RETENTION_DAYS,
+  findScan,
+  recordScanOutcome,
+  deleteOldScans,
+  getUnresolvedScans
+};
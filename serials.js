@@ -0,0 +1,149 @@
+// Serial numbers of serialized products (equipment and the like). Every unit of such a
+// product in stock has a serial number record saying whether it is in stock and in which
+// warehouse; every movement of the product names exactly the serials it moves, so the
+// ledger holds the full history of each serial.
+
+const { getUnitPrecision } = require('./units');
+
+const SERIAL_STATUSES = ['in_stock', 'out'];
+
+// Serials are listed one per unit - at most this many in one movement
+const MAX_SERIALS_PER_MOVEMENT = 1000;
+
+// Validate serial numbers sent by a client: an array, or one string with one serial per
+// line / comma separated (pasted from a scanner). Returns { value } with an empty array
+// when none are given, or { error }.
+function parseSerials(input) {
+  if (input === undefined || input === null || input === '') return { value: [] };
+
+  const list = Array.isArray(input) ? input : String(input).split(/[\n,;]+/);
+  const serials = [];
+  for (const item of list) {
+    const serial = typeof item === 'string' ? item.trim() : (item ? String(item) : '');
+    if (!serial) continue;
+    if (serial.length > 100) {
+      return { error: 'Serial number can have at most 100 characters' };
+    }
+    if (serials.includes(serial)) {
+      return { error: `Serial number "${serial}" is listed more than once` };
+    }
+    serials.push(serial);
+  }
+
+  if (serials.length > MAX_SERIALS_PER_MOVEMENT) {
+    return { error: `At most ${MAX_SERIALS_PER_MOVEMENT} serial numbers can be moved at once` };
+  }
+  return { value: serials };
+}
+
+// Serialized products are counted in whole units
+function canBeSerialized(unit) {
+  return getUnitPrecision(unit) === 0;
+}
+
+// Put received serials in stock in a warehouse. Returns { undo }, or { conflict } with
+// the first serial that is already in stock (nothing is changed then).
+async function receiveSerials(SerialNumber, product, warehouse, serials) {
+  const previous = [];
+  const undo = async () => {
+    for (const { serial, before } of previous.reverse()) {
+      if (before) {
+        await SerialNumber.updateOne({ product: product._id, serial }, { $set: { status: before.status, warehouse: before.warehouse } });
+      } else {
+        await SerialNumber.deleteOne({ product: product._id, serial });
+      }
+    }
+  };
+
+  for (const serial of serials) {
+    try {
+      // Returns the record as it was, null for a serial seen for the first time
+      const before = await SerialNumber.findOneAndUpdate(
+        { product: product._id, serial, status: { $ne: 'in_stock' } },
+        { $set: { status: 'in_stock', warehouse, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      ).lean();
+      previous.push({ serial, before });
+    } catch (error) {
+      // The filter skipped a record that is in stock and the insert hit the unique index
+      if (error.code !== 11000) throw error;
+      await undo();
+      return { conflict: serial };
+    }
+  }
+  return { undo };
+}
+
+// Take serials out of stock from a warehouse. Returns { undo }, or { missing } with the
+// first serial that is not in stock there (nothing is changed then).
+async function issueSerials(SerialNumber, product, warehouse, serials) {
+  const issued = [];
+  const undo = async () => {
+    for (const serial of issued) {
+      await SerialNumber.updateOne({ product: product._id, serial, status: 'out' }, { $set: { status: 'in_stock', warehouse } });
+    }
+  };
+
+  for (const serial of serials) {
+    const updated = await SerialNumber.findOneAndUpdate(
+      { product: product._id, serial, status: 'in_stock', warehouse },
+      { $set: { status: 'out', updatedAt: new Date() } }
+    );
+    if (!updated) {
+      await undo();
+      return { missing: serial };
+    }
+    issued.push(serial);
+  }
+  return { undo };
+}
+
+// Move serials in stock from one warehouse to another. Returns { undo } or { missing }.
+async function moveSerials(SerialNumber, product, from, to, serials) {
+  const moved = [];
+  const undo = async () => {
+    for (const serial of moved) {
+      await SerialNumber.updateOne({ product: product._id, serial, warehouse: to }, { $set: { warehouse: from } });
+    }
+  };
+
+  for (const serial of serials) {
+    const updated = await SerialNumber.findOneAndUpdate(
+      { product: product._id, serial, status: 'in_stock', warehouse: from },
+      { $set: { warehouse: to, updatedAt: new Date() } }
+    );
+    if (!updated) {
+      await undo();
+      return { missing: serial };
+    }
+    moved.push(serial);
+  }
+  return { undo };
+}
+
+// Undo the serial changes of a movement whose ledger entry was dropped: serials that
+// left go back in stock (incoming false), received ones go out again and are forgotten
+// when no other ledger entry names them.
+async function revertSerials({ SerialNumber, StockMovement }, product, warehouse, serials, incoming) {
+  if (!incoming) {
+    await SerialNumber.updateMany({ product: product._id, serial: { $in: serials } }, { $set: { status: 'in_stock', warehouse } });
+    return;
+  }
+
+  await SerialNumber.updateMany({ product: product._id, serial: { $in: serials } }, { $set: { status: 'out' } });
+  const stillUsed = await StockMovement.distinct('serials', { product: product._id, serials: { $in: serials } });
+  const unused = serials.filter(serial => !stillUsed.includes(serial));
+  if (unused.length > 0) {
+    await SerialNumber.deleteMany({ product: product._id, serial: { $in: unused }, status: 'out' });
+  }
+}
+
+module.exports = {
+  SERIAL_STATUSES,
+  parseSerials,
+  canBeSerialized,
+  receiveSerials,
+  issueSerials,
+  moveSerials,
+  revertSerials
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -7,6 +8,81 @@ const config = require('./config');
 const User = require('./models/User');
 const Company = require('./models/Company');
 const { getCompanyConnection, getConnectionStatus } = require('./db-manager');
+const {
+  stockError,
+  sendStockError,
+  runWithRollback,
+  applyStockMovement,
+  transferStock,
+  getDefaultWarehouse,
+  ensureOpeningBalance
+} = require('./stock-ledger');
+const {
+  UNIT_PRECISION,
+  DEFAULT_PRECISION,
+  normalizeUnit,
+  roundQuantity,
+  parseQuantity,
+  parseAlternateUnits,
+  toBaseQuantity,
+  formatQuantity
+} = require('./units');
+const { normalizeName, resolveDirectoryEntry } = require('./directory');
+const { nextSequence, formatDocumentNumber } = require('./numbering');
+const {
+  BUYING_PRICE_POLICIES,
+  OPEN_ORDER_STATUSES,
+  roundMoney,
+  parsePrice,
+  outstandingQuantity,
+  statusAfterReceipt,
+  nextBuyingPrice
+} = require('./purchasing');
+const { SALES_DOCUMENT_TYPES, parseDiscountPercent } = require('./sales');
+const { COSTING_METHODS, OUTGOING_TYPES, getCostingMethod, rebuildCostLayers, getLayerValuation } = require('./costing');
+const { recordPriceChanges, applyDueScheduledPrices } = require('./pricing');
+const { LOW_STOCK_QUERY, isLowStock, parseReorderSettings, getLowStockItems } = require('./stock-alerts');
+const {
+  STOCKTAKE_REASON,
+  COUNT_MODES,
+  stocktakeProductFilter,
+  recordCount,
+  getStocktakeVariances,
+  getSerialVariance,
+  summarizeVariances
+} = require('./stocktake');
+const { DEFAULT_EXPIRY_ALERT_DAYS, parseLot, daysUntil, getExpiringLots } = require('./lots');
+const { SERIAL_STATUSES, parseSerials, canBeSerialized } = require('./serials');
+const {
+  barcodeQuery,
+  findProductByBarcode,
+  findScannedProduct,
+  stockPrefill,
+  MAX_PRODUCT_BARCODES,
+  productBarcodes,
+  parseBarcode,
+  parseBarcodeList,
+  findBarcodeConflict
+} = require('./barcodes');
+const {
+  BARCODE_POLICIES,
+  barcodeLookupForms,
+  parseEmbeddedBarcodes,
+  decodeBarcode,
+  getEmbeddedBarcodes,
+  readBarcode,
+  getBarcodePolicy
+} = require('./symbology');
+const { scaleBarcodeOverlap, parseBarcodeGenerator, generateBarcode } = require('./barcode-generator');
+const { MAX_LABELS, parseLabelTemplate, renderLabelsPdf, renderLabelsZpl, loadLogo } = require('./labels');
+const { SCAN_RETENTION_DAYS, findScan, recordScanOutcome, deleteOldScans, getUnresolvedScans } = require('./scans');
+const {
+  DEFAULT_ADJUSTMENT_REASONS,
+  adjustmentType,
+  ensureAdjustmentReasons,
+  resolveAdjustmentReason,
+  parseAdjustmentReason
+} = require('./adjustments');
 
 // Legacy model imports (for backward compatibility during migration)
 const Scan = require('./models/Scan');
@@ -36,9 +112,24 @@ mongoose.connect(getMasterDbUri())
   .then(() => console.log('Connected to MongoDB (master database)'))
   .catch(err => console.error('MongoDB connection error:', err));
 
+// Run a scheduled task against every active company database
+async function forEachCompanyDb(task) {
+  const companies = await Company.find({ isActive: true }).select('slug name');
+  for (const company of companies) {
+    try {
+      const companyDb = await getCompanyConnection(company.slug);
+      await task(companyDb, company);
+    } catch (error) {
+      console.error(`[CRON] Error for company ${company.slug}:`, error);
+    }
+  }
+}
+
 // ============ AUTO CLEANUP SCHEDULER ============
-// Production: Delete scans older than 3 days, runs once daily at midnight
-const CLEANUP_INTERVAL_DAYS = 3;
+// Production: Delete scans older than 3 days, runs once daily at midnight. Scans that
+// matched no product are kept longer for the unresolved scans report (see scans.js).
+const CLEANUP_INTERVAL_DAYS = SCAN_RETENTION_DAYS;
+const NOTIFICATION_RETENTION_DAYS = 90;
 
 cron.schedule('0 0 * * *', async () => {
   try {
@@ -52,6 +143,26 @@ cron.schedule('0 0 * * *', async () => {
     if (result.deletedCount > 0) {
       console.log(`[CLEANUP] Deleted ${result.deletedCount} scans older than ${CLEANUP_INTERVAL_DAYS} day(s)`);
     }
+    
+    // Old scans, expired idempotency keys and old notifications of every company
+    await forEachCompanyDb(async (companyDb, company) => {
+      const scans = await deleteOldScans(companyDb.model('Scan'), CLEANUP_INTERVAL_DAYS);
+      if (scans.deletedCount > 0) {
+        console.log(`[CLEANUP] Deleted ${scans.deletedCount} old scans in ${company.slug}`);
+      }
+      
+      const keys = await companyDb.model('IdempotencyKey').deleteMany({ expiresAt: { $lt: new Date() } });
+      if (keys.deletedCount > 0) {
+        console.log(`[CLEANUP] Deleted ${keys.deletedCount} expired idempotency keys in ${company.slug}`);
+      }
+      
+      const notificationCutoff = new Date();
+      notificationCutoff.setDate(notificationCutoff.getDate() - NOTIFICATION_RETENTION_DAYS);
+      const notifications = await companyDb.model('Notification').deleteMany({ createdAt: { $lt: notificationCutoff } });
+      if (notifications.deletedCount > 0) {
+        console.log(`[CLEANUP] Deleted ${notifications.deletedCount} old notifications in ${company.slug}`);
+      }
+    });
   } catch (error) {
     console.error('[CLEANUP] Error:', error);
   }
@@ -59,6 +170,88 @@ cron.schedule('0 0 * * *', async () => {
 
 console.log(`[CLEANUP] Auto-cleanup scheduled: daily at midnight, deleting scans older than ${CLEANUP_INTERVAL_DAYS} days`);
 
+// ============ LOW STOCK DIGEST ============
+
+// Items listed in one digest notification (the total is stored with it)
+const DIGEST_MAX_ITEMS = 200;
+
+// Every morning each company gets one notification listing the products at or below
+// their minimum stock
+cron.schedule('0 8 * * *', async () => {
+  try {
+    await forEachCompanyDb(async (companyDb, company) => {
+      const items = await getLowStockItems({
+        Product: companyDb.model('Product'),
+        PurchaseOrder: companyDb.model('PurchaseOrder')
+      });
+      if (items.length === 0) return;
+      
+      const outOfStock = items.filter(i => i.currentStock <= 0).length;
+      await companyDb.model('Notification').create({
+        type: 'low_stock',
+        title: `${items.length} products at or below minimum stock`,
+        message: outOfStock > 0 ? `${outOfStock} of them are out of stock` : '',
+        data: {
+          total: items.length,
+          items: items.slice(0, DIGEST_MAX_ITEMS)
+        }
+      });
+      console.log(`[LOW STOCK] ${items.length} low-stock products in ${company.slug}`);
+    });
+  } catch (error) {
+    console.error('[LOW STOCK] Error:', error);
+  }
+});
+
+// ============ EXPIRY ALERTS ============
+// Every morning each company with stock expiring within DEFAULT_EXPIRY_ALERT_DAYS (or
+// already expired) gets one notification listing those lots
+cron.schedule('0 8 * * *', async () => {
+  try {
+    await forEachCompanyDb(async (companyDb, company) => {
+      const lots = await getExpiringLots({
+        LotBalance: companyDb.model('LotBalance'),
+        Product: companyDb.model('Product'),
+        Warehouse: companyDb.model('Warehouse')
+      });
+      if (lots.length === 0) return;
+      
+      const expired = lots.filter(l => l.expired).length;
+      await companyDb.model('Notification').create({
+        type: 'expiring_stock',
+        title: `${lots.length} lots expire within ${DEFAULT_EXPIRY_ALERT_DAYS} days`,
+        message: expired > 0 ? `${expired} of them have already expired` : '',
+        data: {
+          total: lots.length,
+          lots: lots.slice(0, DIGEST_MAX_ITEMS)
+        }
+      });
+      console.log(`[EXPIRY] ${lots.length} expiring lots in ${company.slug}`);
+    });
+  } catch (error) {
+    console.error('[EXPIRY] Error:', error);
+  }
+});
+
+// ============ SCHEDULED PRICE CHANGES ============
+// Apply selling prices scheduled for a later time, checked every minute
+cron.schedule('* * * * *', async () => {
+  try {
+    await forEachCompanyDb(async (companyDb, company) => {
+      const appliedCount = await applyDueScheduledPrices({
+        Product: companyDb.model('Product'),
+        PriceHistory: companyDb.model('PriceHistory'),
+        ScheduledPriceChange: companyDb.model('ScheduledPriceChange')
+      });
+      if (appliedCount > 0) {
+        console.log(`[PRICES] Applied ${appliedCount} scheduled price changes in ${company.slug}`);
+      }
+    });
+  } catch (error) {
+    console.error('[PRICES] Error:', error);
+  }
+});
+
 // Generate JWT token
 const generateToken = (userId) => {
   return jwt.sign({ id: userId }, config.JWT_SECRET, {
@@ -132,6 +325,23 @@ const companyMiddleware = async (req, res, next) => {
     req.Product = companyDb.model('Product');
     req.Category = companyDb.model('Category');
     req.Scan = companyDb.model('Scan');
+    req.StockMovement = companyDb.model('StockMovement');
+    req.Warehouse = companyDb.model('Warehouse');
+    req.StockBalance = companyDb.model('StockBalance');
+    req.LotBalance = companyDb.model('LotBalance');
+    req.SerialNumber = companyDb.model('SerialNumber');
+    req.Supplier = companyDb.model('Supplier');
+    req.Customer = companyDb.model('Customer');
+    req.PurchaseOrder = companyDb.model('PurchaseOrder');
+    req.SalesDocument = companyDb.model('SalesDocument');
+    req.CostLayer = companyDb.model('CostLayer');
+    req.PriceHistory = companyDb.model('PriceHistory');
+    req.ScheduledPriceChange = companyDb.model('ScheduledPriceChange');
+    req.Notification = companyDb.model('Notification');
+    req.AdjustmentReason = companyDb.model('AdjustmentReason');
+    req.Stocktake = companyDb.model('Stocktake');
+    req.StocktakeLine = companyDb.model('StocktakeLine');
+    req.Counter = companyDb.model('Counter');
     
     next();
   } catch (error) {
@@ -140,6 +350,501 @@ const companyMiddleware = async (req, res, next) => {
   }
 };
 
+// Idempotency middleware - a retried write with the same Idempotency-Key header gets
+// the original response instead of running again (must run after companyMiddleware)
+const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  if (!key) {
+    return next();
+  }
+  
+  try {
+    const IdempotencyKey = req.companyDb.model('IdempotencyKey');
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify([req.method, req.path, req.body]))
+      .digest('hex');
+    
+    let record = null;
+    // Second attempt only happens after removing an expired key that cleanup has not reached yet
+    for (let attempt = 0; attempt < 2 && !record; attempt++) {
+      try {
+        record = await IdempotencyKey.create({
+          key,
+          user: req.user._id,
+          fingerprint,
+          expiresAt: new Date(Date.now() + config.IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        
+        const existing = await IdempotencyKey.findOne({ key, user: req.user._id });
+        if (!existing) continue;
+        if (existing.expiresAt < new Date()) {
+          await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+          continue;
+        }
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+        }
+        if (existing.status === 'pending') {
+          res.set('Retry-After', '1');
+          return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed', retryable: true });
+        }
+        
+        res.set('Idempotent-Replayed', 'true');
+        if (existing.responseBody === null) {
+          return res.status(existing.statusCode).end();
+        }
+        return res.status(existing.statusCode).json(existing.responseBody);
+      }
+    }
+    if (!record) {
+      res.set('Retry-After', '1');
+      return res.status(409).json({ message: 'Idempotency-Key is in use, please retry', retryable: true });
+    }
+    
+    // Store the response before sending it. Server errors and conflicts are not
+    // remembered, so a retry of those runs the request again.
+    let stored = false;
+    const storeResponse = (statusCode, body) => {
+      stored = true;
+      return (statusCode >= 500 || statusCode === 409)
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne({ _id: record._id }, {
+          status: 'completed',
+          statusCode,
+          responseBody: body === undefined || body === null ? null : JSON.parse(JSON.stringify(body))
+        });
+    };
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      storeResponse(res.statusCode, body)
+        .catch(error => console.error('Idempotency store error:', error))
+        .finally(() => originalJson(body));
+      return res;
+    };
+    // Responses sent without res.json (res.send / res.end) are remembered by status
+    // only, so the key does not stay pending until it expires
+    res.on('finish', () => {
+      if (stored) return;
+      storeResponse(res.statusCode, null).catch(error => console.error('Idempotency store error:', error));
+    });
+    
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({ message: 'Failed to process Idempotency-Key' });
+  }
+};
+
+// ============ STOCK LEDGER HELPERS ============
+
+// Shape a StockMovement like the old embedded stockHistory entry (what clients expect)
+function toHistoryEntry(movement) {
+  return {
+    _id: movement._id,
+    quantity: movement.quantity,
+    enteredQuantity: movement.enteredQuantity ?? movement.quantity,
+    enteredUnit: movement.enteredUnit || '',
+    type: movement.type,
+    note: movement.note,
+    supplier: movement.supplier,
+    supplierId: movement.supplierId || null,
+    location: movement.location,
+    customerId: movement.customerId || null,
+    warehouse: movement.warehouse || null,
+    warehouseName: movement.warehouseName || '',
+    transferId: movement.transferId || null,
+    purchaseOrder: movement.purchaseOrder || null,
+    salesDocument: movement.salesDocument || null,
+    stocktake: movement.stocktake || null,
+    scan: movement.scan || null,
+    reason: movement.reason || '',
+    reversalOf: movement.reversalOf || null,
+    reversedBy: movement.reversedBy || null,
+    unitCost: movement.unitCost ?? null,
+    unitPrice: movement.unitPrice ?? null,
+    priceEstimated: !!movement.priceEstimated,
+    costOfGoods: movement.costOfGoods ?? null,
+    lots: movement.lots || [],
+    serials: movement.serials || [],
+    version: movement.__v || 0,
+    addedBy: movement.addedBy,
+    addedByName: movement.addedByName,
+    createdAt: movement.createdAt
+  };
+}
+
+// $group accumulators valuing movements at a price snapshot (e.g. '$unitPrice'). Movements
+// recorded before snapshots existed are summed in unpricedQuantity, valued by the caller
+// at the product's current price.
+function snapshotValueAccumulators(price) {
+  return {
+    value: { $sum: { $multiply: ['$quantity', { $ifNull: [price, 0] }] } },
+    unpricedQuantity: { $sum: { $cond: [{ $eq: [{ $ifNull: [price, null] }, null] }, '$quantity', 0] } }
+  };
+}
+
+// Find an active warehouse by id, or the company's default warehouse when no id is given.
+// Returns null if the id does not match an active warehouse.
+async function resolveWarehouse(req, warehouseId) {
+  if (!warehouseId) {
+    return getDefaultWarehouse(req.Warehouse);
+  }
+  if (!mongoose.isValidObjectId(warehouseId)) {
+    return null;
+  }
+  return req.Warehouse.findOne({ _id: warehouseId, isActive: true });
+}
+
+// Find the product a /api/products/:product route addresses - by its id. Older clients
+// address products by barcode: that still works (any of the product's barcodes) but is
+// deprecated, the Link header names the route by id.
+async function findProductParam(req, res) {
+  const key = String(req.params.product || '').trim();
+  // Not isValidObjectId - it also accepts any 12 character string, e.g. a UPC-A barcode
+  if (/^[0-9a-f]{24}$/i.test(key)) {
+    const product = await req.Product.findById(key);
+    if (product) return product;
+  }
+  
+  const product = await findProductByBarcode(req.Product, key);
+  if (product) {
+    setDeprecated(res, req.route.path.replace(/:(\w+)/g, (param, name) =>
+      (name === 'product' ? product._id : encodeURIComponent(req.params[name]))));
+  }
+  return product;
+}
+
+// Stock request prefills (stockPrefill) naming the scan they come from
+function withScanId(prefill, scanId) {
+  return {
+    ...prefill,
+    addStock: { ...prefill.addStock, scanId },
+    removeStock: { ...prefill.removeStock, scanId }
+  };
+}
+
+// What a decoded barcode (decodeBarcode) holds besides the code itself
+function decodedFields(decoded) {
+  const { lookup, weight, count, price, lotNumber, expiryDate, serial } = decoded;
+  return { lookup, weight, count, price, lotNumber, expiryDate, serial };
+}
+
+// Quantity and serial numbers of a stock request. A serialized product may leave out the
+// quantity - it is the number of serials scanned. Returns { value, serials } or { error }.
+function parseStockQuantity(product, { quantity, unit, serials }) {
+  const serialList = parseSerials(serials);
+  if (serialList.error) return serialList;
+  
+  const parsed = toBaseQuantity(product, quantity ?? (serialList.value.length || undefined), unit);
+  if (parsed.error) return parsed;
+  return { ...parsed, serials: serialList.value };
+}
+
+// Get a product's stock per warehouse
+async function getStockByWarehouse(req, product) {
+  await ensureOpeningBalance(req, product);
+  const balances = await req.StockBalance.find({ product: product._id, quantity: { $gt: 0 } })
+    .populate('warehouse', 'name code isDefault')
+    .lean();
+  return balances
+    .filter(b => b.warehouse)
+    .map(b => ({
+      warehouse: b.warehouse._id,
+      warehouseName: b.warehouse.name,
+      warehouseCode: b.warehouse.code,
+      quantity: roundQuantity(b.quantity, product.unit)
+    }));
+}
+
+// Get a product's stock history from the ledger, oldest first (same order as the old array)
+async function getStockHistory(StockMovement, productId) {
+  const movements = await StockMovement.find({ product: productId })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  return movements.map(toHistoryEntry);
+}
+
+// Copy all ledger entries of one product onto another product (possibly in another company database)
+async function copyStockMovements(SourceMovement, TargetMovement, sourceProductId, targetProduct) {
+  const movements = await SourceMovement.find({ product: sourceProductId }).sort({ createdAt: 1, _id: 1 }).lean();
+  if (movements.length === 0) return 0;
+  
+  // Warehouses, suppliers, customers and documents belong to one company - another company only keeps their names
+  const sameCompany = SourceMovement.db === TargetMovement.db;
+  
+  await TargetMovement.insertMany(movements.map(({ _id, __v, legacyHistoryId, ...movement }) => ({
+    ...movement,
+    warehouse: sameCompany ? movement.warehouse : null,
+    supplierId: sameCompany ? movement.supplierId : null,
+    customerId: sameCompany ? movement.customerId : null,
+    purchaseOrder: sameCompany ? movement.purchaseOrder : null,
+    salesDocument: sameCompany ? movement.salesDocument : null,
+    stocktake: sameCompany ? movement.stocktake : null,
+    product: targetProduct._id,
+    barcode: targetProduct.barcode,
+    productName: targetProduct.name
+  })));
+  return movements.length;
+}
+
+// Movement type that cancels out a movement of the given type
+const REVERSAL_TYPES = {
+  add: 'remove',
+  remove: 'add',
+  adjustment_in: 'adjustment_out',
+  adjustment_out: 'adjustment_in'
+};
+
+// Why a ledger entry cannot be reversed, or null if it can
+function reversalBlocker(entry) {
+  if (!REVERSAL_TYPES[entry.type]) return 'Transfers between warehouses cannot be reversed';
+  if (entry.reversalOf) return 'Reversal entries cannot be reversed';
+  if (entry.reversedBy) return 'Stock history entry has already been reversed';
+  if (entry.salesDocument) return 'Entries of a sales document cannot be reversed - void the document instead';
+  if (entry.purchaseOrder) return 'Receipts of a purchase order cannot be reversed';
+  return null;
+}
+
+// Cancel out a ledger entry with a reversal entry in the opposite direction. The entry
+// itself stays in the ledger, linked to its reversal. Reversing a receipt fails with
+// Insufficient stock when the stock has already left.
+async function reverseStockMovement(req, product, entry, note) {
+  // Entries from before warehouses existed were booked on the default warehouse
+  const warehouse = entry.warehouse
+    ? { _id: entry.warehouse, name: entry.warehouseName }
+    : await getDefaultWarehouse(req.Warehouse);
+  
+  const { product: updatedProduct, movement, undo } = await applyStockMovement(req, product, {
+    warehouse: warehouse._id,
+    warehouseName: warehouse.name,
+    quantity: entry.quantity,
+    enteredQuantity: entry.enteredQuantity,
+    enteredUnit: entry.enteredUnit,
+    type: REVERSAL_TYPES[entry.type],
+    note: note || `Reversal of ${formatQuantity(entry.enteredQuantity ?? entry.quantity, entry.enteredUnit || product.unit)} ${entry.type}`,
+    supplier: entry.supplier,
+    supplierId: entry.supplierId,
+    location: entry.location,
+    customerId: entry.customerId,
+    reason: entry.reason,
+    lots: entry.lots,
+    serials: entry.serials,
+    reversalOf: entry._id,
+    // Stock that comes back goes into the cost layers at what it cost when it left
+    unitCost: OUTGOING_TYPES.includes(entry.type) && entry.costOfGoods != null && entry.quantity > 0
+      ? entry.costOfGoods / entry.quantity
+      : entry.unitCost,
+    unitPrice: entry.unitPrice,
+    priceEstimated: entry.priceEstimated,
+    addedBy: req.user._id,
+    addedByName: req.user.fullName
+  });
+  
+  // An entry is reversed once - the loser of two concurrent reversals is undone
+  const linked = await req.StockMovement.updateOne(
+    { _id: entry._id, reversedBy: null },
+    { $set: { reversedBy: movement._id }, $inc: { __v: 1 } }
+  );
+  if (linked.modifiedCount === 0) {
+    await undo();
+    throw stockError(409, 'Stock history entry was changed by another request, please retry', 'MOVEMENT_CONFLICT');
+  }
+  
+  return { product: updatedProduct, movement };
+}
+
+// ETag of a stock movement - its version, which every edit of the entry increments
+function movementETag(movement) {
+  return `"${movement.__v || 0}"`;
+}
+
+// Version of a stock movement the client read before editing it: the If-Match header
+// (an ETag from GET /api/stock-movements/:id) or body.version. Returns undefined when
+// neither is sent, '*' for any version and NaN for a malformed value.
+function expectedMovementVersion(req) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    const tag = ifMatch.trim();
+    if (tag === '*') return '*';
+    const match = tag.replace(/^W\//, '').match(/^"(\d+)"$/);
+    return match ? Number(match[1]) : NaN;
+  }
+  if (req.body?.version !== undefined && req.body.version !== null && req.body.version !== '') {
+    return Number(req.body.version);
+  }
+  return undefined;
+}
+
+// Answer 412 when the entry is not in the version the client expects. Returns true if sent.
+function sendVersionMismatch(res, movement, version) {
+  if (version === undefined || version === '*' || version === (movement.__v || 0)) return false;
+  res.set('ETag', movementETag(movement));
+  res.status(412).json({
+    message: 'Stock history entry was changed by another request, reload it and try again',
+    code: 'VERSION_MISMATCH',
+    movement: toHistoryEntry(movement)
+  });
+  return true;
+}
+
+// Update the note of a ledger entry, only if it is still in the expected version (any
+// version without one). Returns the updated entry, or null if it changed or is gone.
+function updateMovementNote(StockMovement, movement, note, version) {
+  const filter = { _id: movement._id };
+  if (version !== undefined && version !== '*') {
+    filter.__v = version === 0 ? { $in: [0, null] } : version;
+  }
+  return StockMovement.findOneAndUpdate(
+    filter,
+    { $set: { note: note || '' }, $inc: { __v: 1 } },
+    { new: true }
+  ).lean();
+}
+
+// Stock history entry addressed by its position (oldest first) - used by the deprecated
+// index routes. Returns null for an index out of range.
+async function findMovementByIndex(StockMovement, productId, index) {
+  const historyIndex = parseInt(index);
+  if (isNaN(historyIndex) || historyIndex < 0) return null;
+  return StockMovement.findOne({ product: productId })
+    .sort({ createdAt: 1, _id: 1 })
+    .skip(historyIndex)
+    .lean();
+}
+
+// Mark a response as coming from a deprecated route and point to its replacement
+function setDeprecated(res, successor) {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successor}>; rel="successor-version"`);
+}
+
+// Build export rows for all stock movements of a company database within a date range,
+// optionally only those of one warehouse
+async function getTransactionRows(companyDb, start, end, { warehouse } = {}) {
+  const ProductModel = companyDb.model('Product');
+  const StockMovementModel = companyDb.model('StockMovement');
+  
+  const filter = { createdAt: { $gte: start, $lte: end } };
+  if (warehouse) filter.warehouse = warehouse;
+  
+  const movements = await StockMovementModel.find(filter)
+    .sort({ createdAt: -1 })
+    .lean();
+  if (movements.length === 0) return [];
+  
+  const productIds = [...new Set(movements.map(m => m.product.toString()))];
+  const products = await ProductModel.find({ _id: { $in: productIds } })
+    .select('barcode name category categoryName buyingPrice sellingPrice unit')
+    .lean();
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+  
+  const rows = [];
+  for (const movement of movements) {
+    const product = productMap.get(movement.product.toString());
+    if (!product) continue;
+    
+    // Prices in effect at the time of the movement; current prices for old entries without a snapshot
+    const buyingPrice = movement.unitCost ?? product.buyingPrice ?? 0;
+    const sellingPrice = movement.unitPrice ?? product.sellingPrice ?? 0;
+    
+    rows.push({
+      date: movement.createdAt,
+      barcode: product.barcode,
+      productName: product.name,
+      category: product.categoryName || 'Uncategorized',
+      type: movement.type,
+      reason: movement.reason || '',
+      lotNumber: (movement.lots || []).map(l => l.lotNumber).filter(Boolean).join(', '),
+      expiryDate: (movement.lots || []).map(l => l.expiryDate && l.expiryDate.toISOString().slice(0, 10)).filter(Boolean).join(', '),
+      serials: (movement.serials || []).join(', '),
+      quantity: roundQuantity(movement.quantity, product.unit),
+      unit: normalizeUnit(product.unit),
+      enteredQuantity: movement.enteredQuantity ?? movement.quantity,
+      enteredUnit: movement.enteredUnit || normalizeUnit(product.unit),
+      buyingPrice,
+      sellingPrice,
+      totalCost: movement.type === 'add' ? (movement.quantity * buyingPrice) : 0,
+      totalRevenue: movement.type === 'remove' ? (movement.quantity * sellingPrice) : 0,
+      costOfGoods: OUTGOING_TYPES.includes(movement.type) ? (movement.costOfGoods ?? movement.quantity * buyingPrice) : 0,
+      grossMargin: movement.type === 'remove'
+        ? roundMoney(movement.quantity * sellingPrice - (movement.costOfGoods ?? movement.quantity * buyingPrice))
+        : 0,
+      priceEstimated: !!movement.priceEstimated || movement.unitCost == null,
+      supplier: movement.supplier || '',
+      location: movement.location || '',
+      customer: movement.type === 'remove' ? (movement.location || '') : '',
+      warehouse: movement.warehouseName || '',
+      note: movement.note || '',
+      addedBy: movement.addedByName || 'Unknown',
+      createdAt: movement.createdAt
+    });
+  }
+  return rows;
+}
+
+// Validate document lines (purchase orders, sales documents) sent by a client. A line names
+// a product by id or barcode and a quantity in any of the product's units; unitPrice is per
+// entered unit and defaults to the product's priceField. Returns { value } (base units) or { error }.
+async function parseDocumentLines(req, input, priceField) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'At least one order line is required' };
+  }
+  
+  const lines = [];
+  for (const item of input) {
+    const product = mongoose.isValidObjectId(item?.product)
+      ? await req.Product.findById(item.product)
+      : await findProductByBarcode(req.Product, String(item?.barcode || ''));
+    if (!product) {
+      return { error: `Product not found: ${item?.barcode || item?.product || ''}` };
+    }
+    if (lines.some(line => line.product.equals(product._id))) {
+      return { error: `"${product.name}" is listed more than once` };
+    }
+    
+    const parsed = toBaseQuantity(product, item.quantity, item.unit);
+    if (parsed.error) {
+      return { error: `${product.name}: ${parsed.error}` };
+    }
+    const price = (item.unitPrice === undefined || item.unitPrice === '')
+      ? { value: (product[priceField] || 0) * parsed.factor }
+      : parsePrice(item.unitPrice);
+    if (price.error) {
+      return { error: `${product.name}: ${price.error}` };
+    }
+    
+    lines.push({
+      product: product._id,
+      barcode: product.barcode,
+      productName: product.name,
+      unit: product.unit,
+      quantity: parsed.value,
+      enteredQuantity: parsed.enteredQuantity,
+      enteredUnit: parsed.enteredUnit,
+      unitPrice: price.value / parsed.factor
+    });
+  }
+  return { value: lines };
+}
+
+// Purchase order with per line outstanding quantity and the order totals
+function toPurchaseOrderResponse(order) {
+  const data = order.toJSON ? order.toJSON() : order;
+  const lines = data.lines.map(line => ({
+    ...line,
+    outstandingQuantity: roundQuantity(outstandingQuantity(line), line.unit),
+    total: roundMoney(line.quantity * line.unitPrice)
+  }));
+  return {
+    ...data,
+    lines,
+    totalValue: roundMoney(lines.reduce((sum, line) => sum + line.total, 0)),
+    receivedValue: roundMoney(lines.reduce((sum, line) => sum + line.receivedQuantity * line.unitPrice, 0))
+  };
+}
+
 // Routes
 
 // Login
@@ -418,12 +1123,43 @@ app.post('/api/companies', authMiddleware, superAdminMiddleware, async (req, res
 // Update company (Super admin only)
 app.put('/api/companies/:id', authMiddleware, superAdminMiddleware, async (req, res) => {
   try {
-    const { name, logo, color, description, documentName, documentNo, isActive } = req.body;
+    const { name, logo, color, description, documentName, documentNo, costingMethod, barcodePolicy, barcodeGenerator, embeddedBarcodes, isActive } = req.body;
     
     const company = await Company.findById(req.params.id);
     if (!company) {
       return res.status(404).json({ message: 'Company not found' });
     }
+    if (costingMethod !== undefined && !COSTING_METHODS.includes(costingMethod)) {
+      return res.status(400).json({ message: `Costing method must be one of: ${COSTING_METHODS.join(', ')}` });
+    }
+    if (barcodePolicy !== undefined && !BARCODE_POLICIES.includes(barcodePolicy)) {
+      return res.status(400).json({ message: `Barcode policy must be one of: ${BARCODE_POLICIES.join(', ')}` });
+    }
+    // Scale barcode rules - null goes back to the defaults
+    let scaleRules = null;
+    if (embeddedBarcodes) {
+      const parsed = parseEmbeddedBarcodes(embeddedBarcodes);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      scaleRules = parsed.value;
+    }
+    const rules = embeddedBarcodes === undefined ? company.embeddedBarcodes : scaleRules;
+    // Generated in-store barcodes must not be read as scale barcodes
+    let generatorSettings = null;
+    if (barcodeGenerator !== undefined) {
+      const parsed = parseBarcodeGenerator(barcodeGenerator, company.barcodeGenerator, rules);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      generatorSettings = parsed.value;
+    } else if (embeddedBarcodes !== undefined) {
+      const overlap = scaleBarcodeOverlap(company.barcodeGenerator, rules);
+      if (overlap) {
+        return res.status(400).json({ message: `Barcode prefix ${company.barcodeGenerator.prefix} is read as a scale barcode (prefix ${overlap.prefix})` });
+      }
+    }
+    const costingMethodChanged = costingMethod !== undefined && costingMethod !== company.costingMethod;
     
     // Update fields
     if (name !== undefined) company.name = name.trim();
@@ -432,11 +1168,21 @@ app.put('/api/companies/:id', authMiddleware, superAdminMiddleware, async (req,
     if (description !== undefined) company.description = description;
     if (documentName !== undefined) company.documentName = documentName.trim();
     if (documentNo !== undefined) company.documentNo = documentNo.trim();
+    if (costingMethod !== undefined) company.costingMethod = costingMethod;
+    if (barcodePolicy !== undefined) company.barcodePolicy = barcodePolicy;
+    if (generatorSettings) company.barcodeGenerator = generatorSettings;
+    if (embeddedBarcodes !== undefined) company.embeddedBarcodes = scaleRules || undefined;
     if (isActive !== undefined) company.isActive = isActive;
     // Note: slug cannot be changed as it's used as database name
     
     await company.save();
     
+    // Cost layers of the old method no longer apply - they are rebuilt from the ledger on next use
+    if (costingMethodChanged) {
+      const companyDb = await getCompanyConnection(company.slug);
+      await companyDb.model('CostLayer').deleteMany({});
+    }
+    
     res.json({
       success: true,
       message: 'Company updated successfully',
@@ -590,7 +1336,7 @@ app.post('/api/migrate', async (req, res) => {
           sellLocation: oldProduct.sellLocation,
           imageUrl: oldProduct.imageUrl,
           category: oldProduct.category,
-          lowStockThreshold: oldProduct.lowStockThreshold || 10,
+          minStock: oldProduct.lowStockThreshold ?? 0,
           stockHistory: oldProduct.stockHistory || [],
           createdAt: oldProduct.createdAt,
           updatedAt: oldProduct.updatedAt
@@ -783,7 +1529,7 @@ app.delete('/api/users/:id', authMiddleware, adminMiddleware, async (req, res) =
 // ============ SCAN ROUTES ============
 
 // Save a new scan
-app.post('/api/scans', authMiddleware, companyMiddleware, async (req, res) => {
+app.post('/api/scans', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
     const { barcode, scanMode, deviceInfo, location } = req.body;
     
@@ -791,8 +1537,24 @@ app.post('/api/scans', authMiddleware, companyMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Barcode data is required' });
     }
     
+    // Misreads are caught by the check digit; the same code is saved in one form
+    const read = readBarcode(barcode, await getBarcodePolicy(req));
+    if (read.error) {
+      return res.status(400).json({ message: read.error });
+    }
+    
+    // GS1 and scale barcodes name the product inside the code, with quantity, lot...
+    const decoded = decodeBarcode(barcode, await getEmbeddedBarcodes(req));
+    const product = await findScannedProduct(req.Product, decoded);
+    
     const scan = new req.Scan({
-      barcode: barcode.trim(),
+      barcode: read.value.code,
+      rawBarcode: read.value.code !== String(barcode).trim() ? String(barcode).trim() : null,
+      barcodeFormat: read.value.format,
+      lookupBarcode: decoded.lookup,
+      barcodeWarning: read.value.warning,
+      product: product ? product._id : null,
+      outcome: product ? 'found' : 'unknown',
       user: req.user._id,
       username: req.user.username,
       userFullName: req.user.fullName,
@@ -809,9 +1571,16 @@ app.post('/api/scans', authMiddleware, companyMiddleware, async (req, res) => {
       scan: {
         id: scan._id,
         barcode: scan.barcode,
+        barcodeFormat: scan.barcodeFormat,
+        warning: scan.barcodeWarning,
+        outcome: scan.outcome,
         scannedAt: scan.scannedAt,
         scanMode: scan.scanMode
-      }
+      },
+      decoded: decodedFields(decoded),
+      product: product ? { id: product._id, name: product.name, unit: product.unit, serialized: !!product.serialized } : null,
+      // The stock requests name the scan, linking their ledger entries to it
+      prefill: product ? withScanId(stockPrefill(product, decoded), scan._id) : null
     });
   } catch (error) {
     console.error('Save scan error:', error);
@@ -910,16 +1679,40 @@ app.get('/api/scans/stats', authMiddleware, companyMiddleware, async (req, res)
   }
 });
 
-// Delete scans older than X days
-app.delete('/api/scans/cleanup', authMiddleware, companyMiddleware, async (req, res) => {
+// Barcodes scanned that never matched a product (most scanned first) - products still to
+// be created. startDate / endDate limit the scans looked at.
+app.get('/api/scans/unresolved', authMiddleware, companyMiddleware, async (req, res) => {
   try {
-    const days = parseInt(req.query.days) || 3;
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
+    const { startDate, endDate } = req.query;
     
-    const result = await req.Scan.deleteMany({
-      scannedAt: { $lt: cutoffDate }
+    const from = startDate ? new Date(startDate) : null;
+    const to = endDate ? new Date(endDate) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    if (from) from.setHours(0, 0, 0, 0);
+    if (to) to.setHours(23, 59, 59, 999);
+    
+    const barcodes = await getUnresolvedScans(req, { from, to });
+    
+    res.json({
+      success: true,
+      barcodes,
+      total: barcodes.length,
+      totalScans: barcodes.reduce((sum, b) => sum + b.scans, 0)
     });
+  } catch (error) {
+    console.error('Get unresolved scans error:', error);
+    res.status(500).json({ message: 'Failed to get unresolved scans' });
+  }
+});
+
+// Delete scans older than X days
+app.delete('/api/scans/cleanup', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || SCAN_RETENTION_DAYS;
+    // Scans that matched no product are kept for the unresolved scans report
+    const result = await deleteOldScans(req.Scan, days);
     
     res.json({
       success: true,
@@ -934,11 +1727,25 @@ app.delete('/api/scans/cleanup', authMiddleware, companyMiddleware, async (req,
 
 // ============ PRODUCT/INVENTORY ROUTES ============
 
-// Check if product exists by barcode
+// Check if product exists by any of its barcodes. A scanned serial number finds the
+// product it belongs to.
 app.get('/api/products/check/:barcode', authMiddleware, companyMiddleware, async (req, res) => {
   try {
     const { barcode } = req.params;
-    const product = await req.Product.findOne({ barcode: barcode.trim() });
+    // GS1 and scale barcodes are looked up by the product code inside them
+    const decoded = decodeBarcode(barcode, await getEmbeddedBarcodes(req));
+    let product = await findScannedProduct(req.Product, decoded);
+    
+    let serialNumber = null;
+    if (!product) {
+      // The same serial may exist for several products - prefer the one in stock
+      serialNumber = await req.SerialNumber.findOne({ serial: barcode.trim() })
+        .sort({ status: 1, updatedAt: -1 })
+        .lean();
+      if (serialNumber) {
+        product = await req.Product.findById(serialNumber.product);
+      }
+    }
     
     if (product) {
       res.json({
@@ -947,18 +1754,40 @@ app.get('/api/products/check/:barcode', authMiddleware, companyMiddleware, async
         product: {
           id: product._id,
           barcode: product.barcode,
+          barcodes: product.barcodes,
+          matchedBarcode: serialNumber ? null : productBarcodes(product).find(c =>
+            barcodeLookupForms(decoded.lookup).includes(c) || barcodeLookupForms(barcode).includes(c)) || null,
           name: product.name,
           currentStock: product.currentStock,
+          unit: product.unit,
+          alternateUnits: product.alternateUnits,
+          serialized: !!product.serialized,
           note: product.note,
           createdAt: product.createdAt,
           updatedAt: product.updatedAt
-        }
+        },
+        serial: serialNumber ? {
+          serial: serialNumber.serial,
+          status: serialNumber.status,
+          warehouse: serialNumber.warehouse
+        } : null,
+        format: decoded.format,
+        warning: decoded.warning,
+        decoded: decodedFields(decoded),
+        // Bodies to send to add-stock / remove-stock of the product
+        prefill: stockPrefill(product, serialNumber ? { ...decoded, serial: serialNumber.serial } : decoded)
       });
     } else {
+      // An unknown code is about to become a new product - say what is wrong with it
+      const policy = await getBarcodePolicy(req);
       res.json({
         success: true,
         exists: false,
-        barcode: barcode.trim()
+        barcode: policy === 'off' || !decoded.valid ? barcode.trim() : decoded.code,
+        format: decoded.format,
+        valid: policy === 'off' || decoded.valid,
+        warning: policy === 'off' ? null : decoded.warning,
+        decoded: decodedFields(decoded)
       });
     }
   } catch (error) {
@@ -968,21 +1797,107 @@ app.get('/api/products/check/:barcode', authMiddleware, companyMiddleware, async
 });
 
 // Create new product
-app.post('/api/products', authMiddleware, companyMiddleware, async (req, res) => {
+app.post('/api/products', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
-    const { barcode, name, quantity, note, buyingPrice, sellingPrice, boughtFrom, sellLocation, category, unit } = req.body;
+    const { barcode, barcodes, generateBarcode: generate, name, quantity, note, buyingPrice, sellingPrice, boughtFrom, supplierId, sellLocation, customerId, category, unit, alternateUnits, warehouse, serialized, serials, scanId } = req.body;
     
-    if (!barcode || !name) {
+    // A product without a barcode of its own gets one from the company's generator
+    const generateMissing = generate === true && !barcode;
+    if ((!barcode && !generateMissing) || !name) {
       return res.status(400).json({ message: 'Barcode and name are required' });
     }
     
-    // Check if product already exists
-    const existingProduct = await req.Product.findOne({ barcode: barcode.trim() });
-    if (existingProduct) {
-      return res.status(409).json({ message: 'Product with this barcode already exists' });
+    // Barcodes are checked and stored normalised, as the company's barcode policy says
+    const barcodePolicy = await getBarcodePolicy(req);
+    const primary = generateMissing ? { value: { code: '', warning: null } } : readBarcode(barcode, barcodePolicy);
+    if (primary.error) {
+      return res.status(400).json({ message: primary.error });
+    }
+    
+    // Further barcodes the product is known by (manufacturer EAN, supplier codes...)
+    const barcodeList = parseBarcodeList(barcodes, primary.value.code, barcodePolicy);
+    if (barcodeList.error) {
+      return res.status(400).json({ message: barcodeList.error });
+    }
+    const barcodeWarnings = [
+      ...(primary.value.warning ? [`${primary.value.code}: ${primary.value.warning}`] : []),
+      ...barcodeList.warnings
+    ];
+    
+    // Check if product already exists - every barcode finds one product
+    const conflict = await findBarcodeConflict(req.Product, [primary.value.code, ...barcodeList.value.map(b => b.code)].filter(Boolean));
+    if (conflict) {
+      return res.status(409).json({
+        message: `Product with the barcode "${conflict.code}" already exists`,
+        product: { id: conflict.product._id, name: conflict.product.name }
+      });
+    }
+    
+    const productUnit = normalizeUnit(unit);
+    
+    // Equipment and the like is tracked by serial number, counted in whole units
+    const isSerialized = serialized === true;
+    if (isSerialized && !canBeSerialized(productUnit)) {
+      return res.status(400).json({ message: `Products counted in ${productUnit} cannot be tracked by serial number` });
+    }
+    const serialList = parseSerials(serials);
+    if (serialList.error) {
+      return res.status(400).json({ message: serialList.error });
     }
     
-    const initialQuantity = parseInt(quantity) || 0;
+    // Quantity may be decimal, within the precision of the product's unit. A serialized
+    // product may leave it out - it is the number of serials scanned.
+    let initialQuantity = isSerialized ? serialList.value.length : 0;
+    if (quantity !== undefined && quantity !== null && quantity !== '') {
+      const parsed = parseQuantity(quantity, productUnit, { allowZero: true });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      initialQuantity = parsed.value;
+    }
+    if (!isSerialized && serialList.value.length > 0) {
+      return res.status(400).json({ message: 'Only serialized products take serial numbers' });
+    }
+    if (isSerialized && serialList.value.length !== initialQuantity) {
+      return res.status(400).json({ message: `One serial number per unit is required: ${initialQuantity} required, ${serialList.value.length} given` });
+    }
+    
+    // Reorder point and usual order quantity for low-stock alerts
+    const reorderSettings = parseReorderSettings(req.body, productUnit);
+    if (reorderSettings.error) {
+      return res.status(400).json({ message: reorderSettings.error });
+    }
+    
+    // Other units the product is bought/sold in, e.g. 1 qutu = 24 ədəd
+    let productAlternateUnits = [];
+    if (alternateUnits !== undefined) {
+      const parsedUnits = parseAlternateUnits(alternateUnits, productUnit);
+      if (parsedUnits.error) {
+        return res.status(400).json({ message: parsedUnits.error });
+      }
+      productAlternateUnits = parsedUnits.value;
+    }
+    
+    // Warehouse receiving the initial stock
+    let warehouseDoc = null;
+    if (initialQuantity > 0) {
+      warehouseDoc = await resolveWarehouse(req, warehouse);
+      if (!warehouseDoc) {
+        return res.status(404).json({ message: 'Warehouse not found' });
+      }
+    }
+    
+    // Default supplier - picked from the directory, or a typed name matched/added to it
+    const supplierDoc = await resolveDirectoryEntry(req.Supplier, { id: supplierId, name: boughtFrom }, req.user);
+    if (supplierDoc === undefined) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    
+    // Default customer / destination for removals, resolved the same way
+    const customerDoc = await resolveDirectoryEntry(req.Customer, { id: customerId, name: sellLocation }, req.user);
+    if (customerDoc === undefined) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
     
     // Get category info if provided
     let categoryDoc = null;
@@ -990,116 +1905,202 @@ app.post('/api/products', authMiddleware, companyMiddleware, async (req, res) =>
       categoryDoc = await req.Category.findById(category);
     }
     
-    const product = new req.Product({
-      barcode: barcode.trim(),
+    // Scan of the unknown code the product is created for
+    const scan = await findScan(req.Scan, scanId);
+    if (scan?.error) {
+      return res.status(400).json({ message: scan.error });
+    }
+    
+    // Drawn last, so requests refused above do not use up numbers
+    let primaryBarcode = primary.value.code;
+    if (generateMissing) {
+      const generated = await generateBarcode(req);
+      if (generated.error) {
+        return res.status(400).json({ message: generated.error });
+      }
+      primaryBarcode = generated.value;
+    }
+    
+    let product = new req.Product({
+      barcode: primaryBarcode,
+      barcodes: barcodeList.value,
       name: name.trim(),
-      currentStock: initialQuantity,
+      currentStock: 0,
       note: note || '',
       buyingPrice: parseFloat(buyingPrice) || 0,
       sellingPrice: parseFloat(sellingPrice) || 0,
-      boughtFrom: boughtFrom?.trim() || '',
-      sellLocation: sellLocation?.trim() || '',
-      unit: unit?.trim() || 'ədəd',
+      boughtFrom: supplierDoc ? supplierDoc.name : '',
+      supplier: supplierDoc ? supplierDoc._id : null,
+      sellLocation: customerDoc ? customerDoc.name : '',
+      customer: customerDoc ? customerDoc._id : null,
+      unit: productUnit,
+      alternateUnits: productAlternateUnits,
+      serialized: isSerialized,
+      ...reorderSettings.value,
       category: categoryDoc ? categoryDoc._id : null,
       categoryName: categoryDoc ? categoryDoc.name : '',
-      stockHistory: initialQuantity > 0 ? [{
-        quantity: initialQuantity,
-        type: 'add',
-        note: note || 'Initial stock',
-        supplier: boughtFrom?.trim() || '',
-        addedBy: req.user._id,
-        addedByName: req.user.fullName
-      }] : [],
       createdBy: req.user._id,
       createdByName: req.user.fullName
     });
     
     await product.save();
     
+    if (initialQuantity > 0) {
+      ({ product } = await applyStockMovement(req, product, {
+        quantity: initialQuantity,
+        type: 'add',
+        note: note || 'Initial stock',
+        supplier: supplierDoc ? supplierDoc.name : '',
+        supplierId: supplierDoc ? supplierDoc._id : null,
+        warehouse: warehouseDoc._id,
+        warehouseName: warehouseDoc.name,
+        serials: serialList.value,
+        scan: scan ? scan._id : null,
+        addedBy: req.user._id,
+        addedByName: req.user.fullName
+      }));
+    }
+    await recordScanOutcome(req.Scan, scan, 'created', product);
+    
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
       product: {
         id: product._id,
         barcode: product.barcode,
+        barcodes: product.barcodes,
         name: product.name,
         currentStock: product.currentStock,
         note: product.note,
         buyingPrice: product.buyingPrice,
         sellingPrice: product.sellingPrice,
         boughtFrom: product.boughtFrom,
+        supplier: product.supplier,
         sellLocation: product.sellLocation,
+        customer: product.customer,
         unit: product.unit,
+        alternateUnits: product.alternateUnits,
+        serialized: product.serialized,
+        minStock: product.minStock,
+        reorderQuantity: product.reorderQuantity,
+        lowStock: isLowStock(product),
         category: product.category,
         categoryName: product.categoryName
-      }
+      },
+      warnings: barcodeWarnings
     });
   } catch (error) {
+    if (sendStockError(res, error)) return;
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Product with this barcode already exists' });
+    }
     console.error('Create product error:', error);
     res.status(500).json({ message: 'Failed to create product' });
   }
 });
 
 // Duplicate product
-app.post('/api/products/:barcode/duplicate', authMiddleware, companyMiddleware, async (req, res) => {
+app.post('/api/products/:product/duplicate', authMiddleware, companyMiddleware, async (req, res) => {
   try {
-    const { barcode } = req.params;
     
     // Find original product
-    const originalProduct = await req.Product.findOne({ barcode: barcode.trim() });
+    const { barcode, barcodes } = req.body;
+    
+    const originalProduct = await findProductParam(req, res);
     if (!originalProduct) {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    // Generate new barcode with (1), (2), etc. suffix
-    let newBarcode = `${barcode}(1)`;
-    let counter = 1;
-    
-    // Check if barcode with suffix already exists, increment counter until we find a free one
-    while (await req.Product.findOne({ barcode: newBarcode })) {
-      counter++;
-      newBarcode = `${barcode}(${counter})`;
+    // The original keeps its barcodes - the copy gets the ones sent, or none and is
+    // addressed by its id until it gets barcodes of its own
+    const barcodePolicy = await getBarcodePolicy(req);
+    let newBarcode = '';
+    if (typeof barcode === 'string' && barcode.trim()) {
+      const primary = readBarcode(barcode, barcodePolicy);
+      if (primary.error) {
+        return res.status(400).json({ message: primary.error });
+      }
+      newBarcode = primary.value.code;
+    }
+    const barcodeList = parseBarcodeList(barcodes, newBarcode, barcodePolicy);
+    if (barcodeList.error) {
+      return res.status(400).json({ message: barcodeList.error });
+    }
+    const conflict = await findBarcodeConflict(req.Product, [newBarcode, ...barcodeList.value.map(b => b.code)].filter(Boolean));
+    if (conflict) {
+      return res.status(409).json({ message: `Product with the barcode "${conflict.code}" already exists` });
     }
     
-    // Create duplicated product - copy all fields including stockHistory
-    const copiedStockHistory = originalProduct.stockHistory ? JSON.parse(JSON.stringify(originalProduct.stockHistory)) : [];
-    
+    // Create duplicated product - copy all fields but the barcodes
     const duplicatedProduct = new req.Product({
       barcode: newBarcode,
+      barcodes: barcodeList.value,
       name: originalProduct.name,
       currentStock: originalProduct.currentStock,
       note: originalProduct.note, // Keep original note as-is
       buyingPrice: originalProduct.buyingPrice,
       sellingPrice: originalProduct.sellingPrice,
       boughtFrom: originalProduct.boughtFrom,
+      supplier: originalProduct.supplier,
       sellLocation: originalProduct.sellLocation,
+      customer: originalProduct.customer,
       imageUrl: originalProduct.imageUrl,
       unit: originalProduct.unit,
+      alternateUnits: originalProduct.alternateUnits,
+      serialized: originalProduct.serialized,
       category: originalProduct.category, // Keep the same category (same company)
       categoryName: originalProduct.categoryName,
-      // Copy the entire stockHistory from original product as-is
-      stockHistory: copiedStockHistory,
       createdBy: req.user._id,
       createdByName: req.user.fullName
     });
     
     await duplicatedProduct.save();
     
+    // Copy the entire stock history, warehouse and lot balances and serial numbers from original product as-is
+    await copyStockMovements(req.StockMovement, req.StockMovement, originalProduct._id, duplicatedProduct);
+    await ensureOpeningBalance(req, originalProduct);
+    const balances = await req.StockBalance.find({ product: originalProduct._id }).lean();
+    if (balances.length > 0) {
+      await req.StockBalance.insertMany(balances.map(({ _id, __v, ...balance }) => ({
+        ...balance,
+        product: duplicatedProduct._id
+      })));
+    }
+    const lots = await req.LotBalance.find({ product: originalProduct._id }).lean();
+    if (lots.length > 0) {
+      await req.LotBalance.insertMany(lots.map(({ _id, __v, ...lot }) => ({
+        ...lot,
+        product: duplicatedProduct._id
+      })));
+    }
+    const serialNumbers = await req.SerialNumber.find({ product: originalProduct._id }).lean();
+    if (serialNumbers.length > 0) {
+      await req.SerialNumber.insertMany(serialNumbers.map(({ _id, __v, ...serial }) => ({
+        ...serial,
+        product: duplicatedProduct._id
+      })));
+    }
+    
     res.status(201).json({
       success: true,
       message: 'Product duplicated successfully',
       product: {
         id: duplicatedProduct._id,
         barcode: duplicatedProduct.barcode,
+        barcodes: duplicatedProduct.barcodes,
         name: duplicatedProduct.name,
         currentStock: duplicatedProduct.currentStock,
         note: duplicatedProduct.note,
         buyingPrice: duplicatedProduct.buyingPrice,
         sellingPrice: duplicatedProduct.sellingPrice,
         boughtFrom: duplicatedProduct.boughtFrom,
+        supplier: duplicatedProduct.supplier,
         sellLocation: duplicatedProduct.sellLocation,
+        customer: duplicatedProduct.customer,
         imageUrl: duplicatedProduct.imageUrl,
         unit: duplicatedProduct.unit,
+        alternateUnits: duplicatedProduct.alternateUnits,
+        serialized: duplicatedProduct.serialized,
         category: duplicatedProduct.category,
         categoryName: duplicatedProduct.categoryName
       }
@@ -1111,9 +2112,8 @@ app.post('/api/products/:barcode/duplicate', authMiddleware, companyMiddleware,
 });
 
 // Transfer product to another company
-app.post('/api/products/:barcode/transfer', authMiddleware, companyMiddleware, async (req, res) => {
+app.post('/api/products/:product/transfer', authMiddleware, companyMiddleware, async (req, res) => {
   try {
-    const { barcode } = req.params;
     const { targetCompanySlug, keepOriginal } = req.body;
     
     if (!targetCompanySlug) {
@@ -1139,7 +2139,7 @@ app.post('/api/products/:barcode/transfer', authMiddleware, companyMiddleware, a
     }
     
     // Find source product
-    const sourceProduct = await req.Product.findOne({ barcode: barcode.trim() });
+    const sourceProduct = await findProductParam(req, res);
     if (!sourceProduct) {
       return res.status(404).json({ message: 'Product not found' });
     }
@@ -1148,6 +2148,7 @@ app.post('/api/products/:barcode/transfer', authMiddleware, companyMiddleware, a
     const targetDb = await getCompanyConnection(targetCompanySlug);
     const TargetProduct = targetDb.model('Product');
     const TargetCategory = targetDb.model('Category');
+    const TargetStockMovement = targetDb.model('StockMovement');
     
     // Try to find matching category in target company by name
     let targetCategory = null;
@@ -1162,56 +2163,109 @@ app.post('/api/products/:barcode/transfer', authMiddleware, companyMiddleware, a
       }
     }
     
-    // Check if barcode exists in target company
-    let targetBarcode = sourceProduct.barcode;
-    const existingInTarget = await TargetProduct.findOne({ barcode: targetBarcode });
-    if (existingInTarget) {
-      // Generate new barcode with suffix
-      let counter = 1;
-      targetBarcode = `${sourceProduct.barcode}(${counter})`;
-      while (await TargetProduct.findOne({ barcode: targetBarcode })) {
-        counter++;
-        targetBarcode = `${sourceProduct.barcode}(${counter})`;
-      }
-    }
-    
-    // Create product in target company - copy all fields including stockHistory
-    const copiedStockHistory = sourceProduct.stockHistory ? JSON.parse(JSON.stringify(sourceProduct.stockHistory)) : [];
-    
+    // Match supplier and customer in the target company's directories by name (added if missing)
+    const targetSupplier = await resolveDirectoryEntry(targetDb.model('Supplier'), { name: sourceProduct.boughtFrom }, req.user);
+    const targetCustomer = await resolveDirectoryEntry(targetDb.model('Customer'), { name: sourceProduct.sellLocation }, req.user);
+    
+    // Barcodes a product of the target company already has stay behind. The first free one
+    // becomes the primary barcode; with none free the product is addressed by its id.
+    const sourceBarcodes = productBarcodes(sourceProduct);
+    const usedInTarget = (await TargetProduct.find(barcodeQuery(sourceBarcodes)).select('barcode barcodes').lean())
+      .flatMap(productBarcodes);
+    const freeBarcodes = [
+      ...(sourceProduct.barcode ? [{ code: sourceProduct.barcode }] : []),
+      ...sourceProduct.barcodes.map(b => b.toObject())
+    ].filter(b => !usedInTarget.includes(b.code));
+    const droppedBarcodes = sourceBarcodes.filter(code => usedInTarget.includes(code));
+    
+    // Create product in target company - copy all fields
     const transferredProduct = new TargetProduct({
-      barcode: targetBarcode,
+      barcode: freeBarcodes.length > 0 ? freeBarcodes[0].code : '',
+      barcodes: freeBarcodes.slice(1).map(b => ({ code: b.code, type: b.type || 'other', note: b.note || '' })),
       name: sourceProduct.name,
       currentStock: sourceProduct.currentStock,
       note: sourceProduct.note, // Keep original note as-is
       buyingPrice: sourceProduct.buyingPrice,
       sellingPrice: sourceProduct.sellingPrice,
-      boughtFrom: sourceProduct.boughtFrom,
-      sellLocation: sourceProduct.sellLocation,
+      boughtFrom: targetSupplier ? targetSupplier.name : '',
+      supplier: targetSupplier ? targetSupplier._id : null,
+      sellLocation: targetCustomer ? targetCustomer.name : '',
+      customer: targetCustomer ? targetCustomer._id : null,
       imageUrl: sourceProduct.imageUrl,
       unit: sourceProduct.unit,
+      alternateUnits: sourceProduct.alternateUnits,
+      serialized: sourceProduct.serialized,
       category: targetCategory ? targetCategory._id : null, // Use matched category ID if found
       categoryName: targetCategoryName, // Keep category name
-      // Copy the entire stockHistory from source product as-is
-      stockHistory: copiedStockHistory,
       createdBy: req.user._id,
       createdByName: req.user.fullName || req.user.username
     });
     
     await transferredProduct.save();
     
+    // Copy the entire stock history from source product as-is
+    await copyStockMovements(req.StockMovement, TargetStockMovement, sourceProduct._id, transferredProduct);
+    
+    // All stock arrives in the target company's default warehouse
+    await ensureOpeningBalance({
+      StockBalance: targetDb.model('StockBalance'),
+      Warehouse: targetDb.model('Warehouse')
+    }, transferredProduct);
+    
+    // Lots and serial numbers come along - in the default warehouse with the rest of the
+    // stock. A lot held in several warehouses becomes one.
+    const targetWarehouse = await getDefaultWarehouse(targetDb.model('Warehouse'));
+    const lots = new Map();
+    for (const { _id, __v, ...lot } of await req.LotBalance.find({ product: sourceProduct._id, quantity: { $gt: 0 } }).lean()) {
+      const key = `${lot.lotNumber}|${lot.expiryDate ? lot.expiryDate.getTime() : ''}`;
+      const merged = lots.get(key);
+      if (merged) {
+        merged.quantity += lot.quantity;
+        if (lot.receivedAt < merged.receivedAt) merged.receivedAt = lot.receivedAt;
+      } else {
+        lots.set(key, { ...lot, product: transferredProduct._id, warehouse: targetWarehouse._id });
+      }
+    }
+    if (lots.size > 0) {
+      await targetDb.model('LotBalance').insertMany([...lots.values()].map(lot => ({
+        ...lot,
+        quantity: roundQuantity(lot.quantity, transferredProduct.unit)
+      })));
+    }
+    
+    const serialNumbers = await req.SerialNumber.find({ product: sourceProduct._id }).lean();
+    if (serialNumbers.length > 0) {
+      await targetDb.model('SerialNumber').insertMany(serialNumbers.map(({ _id, __v, ...serial }) => ({
+        ...serial,
+        product: transferredProduct._id,
+        warehouse: serial.status === 'in_stock' ? targetWarehouse._id : null
+      })));
+    }
+    
     // Delete from source company if not keeping original
     if (!keepOriginal) {
-      await req.Product.deleteOne({ barcode: barcode.trim() });
+      await req.Product.deleteOne({ _id: sourceProduct._id });
+      await req.StockMovement.deleteMany({ product: sourceProduct._id });
+      await req.StockBalance.deleteMany({ product: sourceProduct._id });
+      await req.LotBalance.deleteMany({ product: sourceProduct._id });
+      await req.SerialNumber.deleteMany({ product: sourceProduct._id });
+      await req.CostLayer.deleteMany({ product: sourceProduct._id });
+      await req.PriceHistory.deleteMany({ product: sourceProduct._id });
+      await req.ScheduledPriceChange.deleteMany({ product: sourceProduct._id });
+      await req.StocktakeLine.deleteMany({ product: sourceProduct._id });
     }
     
     res.json({
       success: true,
       message: keepOriginal ? 'Product copied to target company' : 'Product transferred to target company',
       product: {
+        id: transferredProduct._id,
         barcode: transferredProduct.barcode,
+        barcodes: transferredProduct.barcodes,
         name: transferredProduct.name,
         targetCompany: targetCompanySlug
-      }
+      },
+      droppedBarcodes
     });
   } catch (error) {
     console.error('Transfer product error:', error);
@@ -1220,135 +2274,349 @@ app.post('/api/products/:barcode/transfer', authMiddleware, companyMiddleware, a
 });
 
 // Add stock to existing product
-app.post('/api/products/:barcode/add-stock', authMiddleware, companyMiddleware, async (req, res) => {
+app.post('/api/products/:product/add-stock', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
-    const { barcode } = req.params;
-    const { quantity, note, supplier } = req.body;
+    const { quantity, unit, note, supplier, supplierId, warehouse, lotNumber, expiryDate, serials, scanId } = req.body;
+    
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
     
-    console.log('Add stock request - supplier:', supplier, 'quantity:', quantity);
+    // Quantity may be given in any of the product's units - the ledger stores the base unit.
+    // Serialized products list the serials received, one per unit.
+    const parsed = parseStockQuantity(product, { quantity, unit, serials });
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const addQuantity = parsed.value;
     
-    const addQuantity = parseInt(quantity);
-    if (!addQuantity || addQuantity <= 0) {
-      return res.status(400).json({ message: 'Valid quantity is required' });
+    // Optional lot number / expiry date the stock is tracked under
+    const lot = parseLot({ lotNumber, expiryDate });
+    if (lot.error) {
+      return res.status(400).json({ message: lot.error });
     }
     
-    const product = await req.Product.findOne({ barcode: barcode.trim() });
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+    // Warehouse receiving the stock (company default if not given)
+    const warehouseDoc = await resolveWarehouse(req, warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    // Use provided supplier or fall back to product's default supplier
+    const supplierDoc = (supplierId || supplier?.trim())
+      ? await resolveDirectoryEntry(req.Supplier, { id: supplierId, name: supplier }, req.user)
+      : await resolveDirectoryEntry(req.Supplier, { id: product.supplier, name: product.boughtFrom }, req.user);
+    if (supplierDoc === undefined && supplierId) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    
+    // Scan the stock was added after, linked to the ledger entry
+    const scan = await findScan(req.Scan, scanId);
+    if (scan?.error) {
+      return res.status(400).json({ message: scan.error });
     }
     
-    product.currentStock += addQuantity;
-    product.stockHistory.push({
+    const { product: updatedProduct } = await applyStockMovement(req, product, {
+      warehouse: warehouseDoc._id,
+      warehouseName: warehouseDoc.name,
       quantity: addQuantity,
+      enteredQuantity: parsed.enteredQuantity,
+      enteredUnit: parsed.enteredUnit,
       type: 'add',
       note: note || '',
-      // Use provided supplier or fall back to product's default supplier
-      supplier: supplier?.trim() || product.boughtFrom || '',
+      lots: lot.value ? [{ ...lot.value, quantity: addQuantity }] : undefined,
+      serials: parsed.serials,
+      supplier: supplierDoc ? supplierDoc.name : '',
+      supplierId: supplierDoc ? supplierDoc._id : null,
+      scan: scan ? scan._id : null,
       addedBy: req.user._id,
       addedByName: req.user.fullName
     });
-    
-    await product.save();
+    await recordScanOutcome(req.Scan, scan, 'stock_added', product);
     
     res.json({
       success: true,
-      message: `Added ${addQuantity} to stock`,
+      message: `Added ${formatQuantity(parsed.enteredQuantity, parsed.enteredUnit)} to stock`,
       product: {
-        id: product._id,
-        barcode: product.barcode,
-        name: product.name,
-        currentStock: product.currentStock
+        id: updatedProduct._id,
+        barcode: updatedProduct.barcode,
+        name: updatedProduct.name,
+        currentStock: updatedProduct.currentStock
       }
     });
   } catch (error) {
+    if (sendStockError(res, error)) return;
     console.error('Add stock error:', error);
     res.status(500).json({ message: 'Failed to add stock' });
   }
 });
 
 // Remove stock from product
-app.post('/api/products/:barcode/remove-stock', authMiddleware, companyMiddleware, async (req, res) => {
+app.post('/api/products/:product/remove-stock', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
-    const { barcode } = req.params;
-    const { quantity, note, location } = req.body;
-    
-    console.log('Remove stock request - location:', location, 'quantity:', quantity);
+    const { quantity, unit, note, location, customerId, warehouse, lotNumber, serials, scanId } = req.body;
     
-    const removeQuantity = parseInt(quantity);
-    if (!removeQuantity || removeQuantity <= 0) {
-      return res.status(400).json({ message: 'Valid quantity is required' });
-    }
-    
-    const product = await req.Product.findOne({ barcode: barcode.trim() });
+    const product = await findProductParam(req, res);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    if (product.currentStock < removeQuantity) {
-      return res.status(400).json({ message: 'Insufficient stock' });
+    // Quantity may be given in any of the product's units - the ledger stores the base unit.
+    // Serialized products name the serials that leave, one per unit.
+    const parsed = parseStockQuantity(product, { quantity, unit, serials });
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const removeQuantity = parsed.value;
+    
+    // Only stock of the given lot leaves (lots expiring first if none)
+    const lot = parseLot({ lotNumber });
+    if (lot.error) {
+      return res.status(400).json({ message: lot.error });
+    }
+    
+    // Warehouse the stock leaves from (company default if not given)
+    const warehouseDoc = await resolveWarehouse(req, warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    // Use provided customer / location or fall back to product's default sell location
+    const customerDoc = (customerId || location?.trim())
+      ? await resolveDirectoryEntry(req.Customer, { id: customerId, name: location }, req.user)
+      : await resolveDirectoryEntry(req.Customer, { id: product.customer, name: product.sellLocation }, req.user);
+    if (customerDoc === undefined && customerId) {
+      return res.status(404).json({ message: 'Customer not found' });
     }
     
-    product.currentStock -= removeQuantity;
-    product.stockHistory.push({
+    const scan = await findScan(req.Scan, scanId);
+    if (scan?.error) {
+      return res.status(400).json({ message: scan.error });
+    }
+    
+    // Stock is checked atomically together with the update (400 Insufficient stock).
+    // Lots expiring first are taken unless a lot number is given.
+    const { product: updatedProduct, movement } = await applyStockMovement(req, product, {
+      warehouse: warehouseDoc._id,
+      warehouseName: warehouseDoc.name,
       quantity: removeQuantity,
+      enteredQuantity: parsed.enteredQuantity,
+      enteredUnit: parsed.enteredUnit,
       type: 'remove',
       note: note || '',
-      // Use provided location or fall back to product's default sell location
-      location: location?.trim() || product.sellLocation || '',
+      location: customerDoc ? customerDoc.name : (product.sellLocation || ''),
+      customerId: customerDoc ? customerDoc._id : null,
+      serials: parsed.serials,
+      scan: scan ? scan._id : null,
       addedBy: req.user._id,
       addedByName: req.user.fullName
+    }, { lotNumber: lot.value?.lotNumber || undefined });
+    await recordScanOutcome(req.Scan, scan, 'stock_removed', product);
+    
+    res.json({
+      success: true,
+      message: `Removed ${formatQuantity(parsed.enteredQuantity, parsed.enteredUnit)} from stock`,
+      product: {
+        id: updatedProduct._id,
+        barcode: updatedProduct.barcode,
+        name: updatedProduct.name,
+        currentStock: updatedProduct.currentStock
+      },
+      lots: movement.lots || [],
+      serials: movement.serials || []
     });
+  } catch (error) {
+    if (sendStockError(res, error)) return;
+    console.error('Remove stock error:', error);
+    res.status(500).json({ message: 'Failed to remove stock' });
+  }
+});
+
+// Adjust stock for a reason other than a purchase or sale (damage, theft, count
+// correction...). direction is 'in' or 'out', reason an adjustment reason code.
+app.post('/api/products/:product/adjust-stock', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const { quantity, unit, direction, reason, note, warehouse, lotNumber, expiryDate, serials } = req.body;
     
-    await product.save();
+    if (direction !== 'in' && direction !== 'out') {
+      return res.status(400).json({ message: "Direction must be 'in' or 'out'" });
+    }
+    
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    // Quantity may be given in any of the product's units - the ledger stores the base unit.
+    // Serialized products name the serials found / lost.
+    const parsed = parseStockQuantity(product, { quantity, unit, serials });
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    
+    const resolvedReason = await resolveAdjustmentReason(req.AdjustmentReason, reason, direction);
+    if (resolvedReason.error) {
+      return res.status(400).json({ message: resolvedReason.error });
+    }
+    const reasonDoc = resolvedReason.value;
+    if (reasonDoc.isSystem) {
+      return res.status(400).json({ message: `Reason "${reasonDoc.name}" is only booked by the app itself` });
+    }
+    
+    // Stock found is put on the given lot, stock lost taken from it (lots expiring first if none)
+    const lot = parseLot({ lotNumber, expiryDate: direction === 'in' ? expiryDate : undefined });
+    if (lot.error) {
+      return res.status(400).json({ message: lot.error });
+    }
+    
+    const warehouseDoc = await resolveWarehouse(req, warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    // Outgoing adjustments are checked atomically like removals (400 Insufficient stock)
+    const { product: updatedProduct, movement } = await applyStockMovement(req, product, {
+      warehouse: warehouseDoc._id,
+      warehouseName: warehouseDoc.name,
+      quantity: parsed.value,
+      enteredQuantity: parsed.enteredQuantity,
+      enteredUnit: parsed.enteredUnit,
+      type: adjustmentType(direction),
+      reason: reasonDoc.code,
+      note: note || '',
+      lots: direction === 'in' && lot.value ? [{ ...lot.value, quantity: parsed.value }] : undefined,
+      serials: parsed.serials,
+      addedBy: req.user._id,
+      addedByName: req.user.fullName
+    }, { lotNumber: direction === 'out' && lot.value?.lotNumber ? lot.value.lotNumber : undefined });
+    
+    res.json({
+      success: true,
+      message: `${direction === 'in' ? 'Added' : 'Removed'} ${formatQuantity(parsed.enteredQuantity, parsed.enteredUnit)} (${reasonDoc.name})`,
+      product: {
+        id: updatedProduct._id,
+        barcode: updatedProduct.barcode,
+        name: updatedProduct.name,
+        currentStock: updatedProduct.currentStock
+      },
+      movement: toHistoryEntry(movement)
+    });
+  } catch (error) {
+    if (sendStockError(res, error)) return;
+    console.error('Adjust stock error:', error);
+    res.status(500).json({ message: 'Failed to adjust stock' });
+  }
+});
+
+// Move stock of a product from one warehouse to another
+app.post('/api/products/:product/transfer-stock', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const { quantity, unit, note, fromWarehouse, toWarehouse, lotNumber, serials } = req.body;
+    
+    if (!toWarehouse) {
+      return res.status(400).json({ message: 'Target warehouse is required' });
+    }
+    
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    // Serialized products name the serials that move
+    const parsed = parseStockQuantity(product, { quantity, unit, serials });
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    
+    // Only stock of the given lot moves (lots expiring first if none)
+    const lot = parseLot({ lotNumber });
+    if (lot.error) {
+      return res.status(400).json({ message: lot.error });
+    }
+    
+    const from = await resolveWarehouse(req, fromWarehouse);
+    const to = await resolveWarehouse(req, toWarehouse);
+    if (!from || !to) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    if (from._id.equals(to._id)) {
+      return res.status(400).json({ message: 'Source and target warehouse must be different' });
+    }
+    
+    const { movements } = await transferStock(req, product, from, to, {
+      quantity: parsed.value,
+      enteredQuantity: parsed.enteredQuantity,
+      enteredUnit: parsed.enteredUnit,
+      note: note || '',
+      serials: parsed.serials,
+      addedBy: req.user._id,
+      addedByName: req.user.fullName
+    }, { lotNumber: lot.value?.lotNumber || undefined });
     
     res.json({
       success: true,
-      message: `Removed ${removeQuantity} from stock`,
+      message: `Moved ${formatQuantity(parsed.enteredQuantity, parsed.enteredUnit)} from ${from.name} to ${to.name}`,
       product: {
         id: product._id,
         barcode: product.barcode,
         name: product.name,
-        currentStock: product.currentStock
-      }
+        currentStock: product.currentStock,
+        stockByWarehouse: await getStockByWarehouse(req, product)
+      },
+      movements: movements.map(toHistoryEntry)
     });
   } catch (error) {
-    console.error('Remove stock error:', error);
-    res.status(500).json({ message: 'Failed to remove stock' });
+    if (sendStockError(res, error)) return;
+    console.error('Transfer stock error:', error);
+    res.status(500).json({ message: 'Failed to transfer stock' });
   }
 });
 
 // Update stock history note (admin only)
-app.patch('/api/products/:barcode/stock-history/:index', authMiddleware, companyMiddleware, async (req, res) => {
+// Deprecated: entries are addressed by position - use PATCH /api/stock-movements/:id
+app.patch('/api/products/:product/stock-history/:index', authMiddleware, companyMiddleware, async (req, res) => {
   try {
     // Only allow admin or super admin
     if (req.user.role !== 'admin' && !req.user.isSuperAdmin) {
       return res.status(403).json({ message: 'Only admins can edit stock history' });
     }
     
-    const { barcode, index } = req.params;
+    const { index } = req.params;
     const { note } = req.body;
     
-    const product = await req.Product.findOne({ barcode: barcode.trim() });
+    const product = await findProductParam(req, res);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    const historyIndex = parseInt(index);
-    if (isNaN(historyIndex) || historyIndex < 0 || historyIndex >= product.stockHistory.length) {
+    const entry = await findMovementByIndex(req.StockMovement, product._id, index);
+    if (!entry) {
       return res.status(400).json({ message: 'Invalid history index' });
     }
+    setDeprecated(res, `/api/stock-movements/${entry._id}`);
     
-    // Update the note
-    product.stockHistory[historyIndex].note = note || '';
-    await product.save();
+    const version = expectedMovementVersion(req);
+    if (sendVersionMismatch(res, entry, version)) return;
     
+    const updated = await updateMovementNote(req.StockMovement, entry, note, version);
+    if (!updated) {
+      // Changed or deleted between reading and updating it
+      const current = await req.StockMovement.findById(entry._id).lean();
+      if (!current || !sendVersionMismatch(res, current, version)) {
+        res.status(404).json({ message: 'Stock history entry not found' });
+      }
+      return;
+    }
+    
+    res.set('ETag', movementETag(updated));
     res.json({
       success: true,
       message: 'Stock history note updated successfully',
       product: {
         id: product._id,
         barcode: product.barcode,
-        stockHistory: product.stockHistory
+        stockHistory: await getStockHistory(req.StockMovement, product._id)
       }
     });
   } catch (error) {
@@ -1357,205 +2625,3328 @@ app.patch('/api/products/:barcode/stock-history/:index', authMiddleware, company
   }
 });
 
-// Delete stock history entry (admin only)
-app.delete('/api/products/:barcode/stock-history/:index', authMiddleware, companyMiddleware, async (req, res) => {
+// Reverse a stock history entry (admin only). The ledger is append-only: the entry stays
+// and a reversal entry in the opposite direction cancels out its stock change.
+// Deprecated: entries are addressed by position - use POST /api/stock-movements/:id/reverse
+app.delete('/api/products/:product/stock-history/:index', authMiddleware, companyMiddleware, async (req, res) => {
   try {
     // Only allow admin or super admin
     if (req.user.role !== 'admin' && !req.user.isSuperAdmin) {
-      return res.status(403).json({ message: 'Only admins can delete stock history' });
+      return res.status(403).json({ message: 'Only admins can reverse stock history' });
     }
     
-    const { barcode, index } = req.params;
+    const { index } = req.params;
     
-    const product = await req.Product.findOne({ barcode: barcode.trim() });
+    const product = await findProductParam(req, res);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    const historyIndex = parseInt(index);
-    if (isNaN(historyIndex) || historyIndex < 0 || historyIndex >= product.stockHistory.length) {
+    const entry = await findMovementByIndex(req.StockMovement, product._id, index);
+    if (!entry) {
       return res.status(400).json({ message: 'Invalid history index' });
     }
+    setDeprecated(res, `/api/stock-movements/${entry._id}/reverse`);
+    
+    if (sendVersionMismatch(res, entry, expectedMovementVersion(req))) return;
+    
+    const blocker = reversalBlocker(entry);
+    if (blocker) {
+      return res.status(400).json({ message: blocker });
+    }
+    
+    const { product: updatedProduct } = await reverseStockMovement(req, product, entry, req.body?.note);
+    
+    res.json({
+      success: true,
+      message: 'Stock history entry reversed successfully',
+      product: {
+        id: product._id,
+        barcode: product.barcode,
+        currentStock: updatedProduct.currentStock,
+        stockHistory: await getStockHistory(req.StockMovement, product._id)
+      }
+    });
+  } catch (error) {
+    if (sendStockError(res, error)) return;
+    console.error('Reverse stock history error:', error);
+    res.status(500).json({ message: 'Failed to reverse stock history entry' });
+  }
+});
+
+// Get all products
+app.get('/api/products', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+    const search = req.query.search || '';
+    const categoryFilter = req.query.category || '';
+    const warehouseFilter = req.query.warehouse || '';
+    
+    let query = req.query.lowStock === 'true' ? { ...LOW_STOCK_QUERY } : {};
+    
+    // Search filter
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { barcode: { $regex: search, $options: 'i' } },
+        { 'barcodes.code': { $regex: search, $options: 'i' } }
+      ];
+    }
+    
+    // Category filter
+    if (categoryFilter) {
+      if (categoryFilter === 'uncategorized') {
+        query.category = null;
+      } else {
+        query.category = categoryFilter;
+      }
+    }
+    
+    // Warehouse filter - only products with stock in that warehouse
+    let warehouseBalances = null;
+    if (warehouseFilter) {
+      if (!mongoose.isValidObjectId(warehouseFilter)) {
+        return res.status(400).json({ message: 'Invalid warehouse' });
+      }
+      const balances = await req.StockBalance.find({ warehouse: warehouseFilter, quantity: { $gt: 0 } })
+        .select('product quantity')
+        .lean();
+      warehouseBalances = new Map(balances.map(b => [b.product.toString(), b.quantity]));
+      query._id = { $in: balances.map(b => b.product) };
+    }
+    
+    let products = await req.Product.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-stockHistory');
+    
+    products = products.map(p => ({
+      ...p.toJSON(),
+      lowStock: isLowStock(p),
+      ...(warehouseBalances && { warehouseStock: warehouseBalances.get(p._id.toString()) || 0 })
+    }));
+    
+    const total = await req.Product.countDocuments(query);
+    
+    res.json({
+      success: true,
+      products,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ message: 'Failed to get products' });
+  }
+});
+
+// Get products at or below their minimum stock (must be declared before /:product)
+app.get('/api/products/low-stock', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { supplier } = req.query;
+    if (supplier && !mongoose.isValidObjectId(supplier)) {
+      return res.status(400).json({ message: 'Invalid supplier' });
+    }
+    
+    const items = await getLowStockItems(req, { supplier });
+    
+    res.json({
+      success: true,
+      items,
+      summary: {
+        products: items.length,
+        outOfStock: items.filter(i => i.currentStock <= 0).length,
+        toOrder: items.filter(i => i.suggestedQuantity > 0).length,
+        // Cost of ordering the suggested quantities at current buying prices
+        suggestedOrderValue: roundMoney(items.reduce((sum, i) => sum + i.suggestedQuantity * i.buyingPrice, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get low stock error:', error);
+    res.status(500).json({ message: 'Failed to get low stock products' });
+  }
+});
+
+// Get single product with history
+app.get('/api/products/:product', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const product = await findProductParam(req, res);
+    
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    res.json({
+      success: true,
+      product: {
+        ...product.toJSON(),
+        stockByWarehouse: await getStockByWarehouse(req, product),
+        stockHistory: await getStockHistory(req.StockMovement, product._id)
+      }
+    });
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({ message: 'Failed to get product' });
+  }
+});
+
+// Update product info
+app.put('/api/products/:product', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { name, note, buyingPrice, sellingPrice, priceChangeReason, boughtFrom, supplierId, sellLocation, customerId, imageUrl, category, newBarcode, barcodes, unit, alternateUnits, serialized } = req.body;
+    
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    const pricesBefore = { buyingPrice: product.buyingPrice, sellingPrice: product.sellingPrice };
+    
+    // Primary barcode ('' for none) and the further barcodes (the whole list is replaced),
+    // checked and normalised under the company's barcode policy
+    const barcodePolicy = await getBarcodePolicy(req);
+    const barcodeWarnings = [];
+    if (newBarcode !== undefined) {
+      if (String(newBarcode || '').trim()) {
+        const primary = readBarcode(newBarcode, barcodePolicy);
+        if (primary.error) {
+          return res.status(400).json({ message: primary.error });
+        }
+        product.barcode = primary.value.code;
+        if (primary.value.warning) barcodeWarnings.push(`${primary.value.code}: ${primary.value.warning}`);
+      } else {
+        product.barcode = '';
+      }
+    }
+    if (barcodes !== undefined) {
+      const barcodeList = parseBarcodeList(barcodes, product.barcode, barcodePolicy);
+      if (barcodeList.error) {
+        return res.status(400).json({ message: barcodeList.error });
+      }
+      product.barcodes = barcodeList.value;
+      barcodeWarnings.push(...barcodeList.warnings);
+    } else if (newBarcode !== undefined) {
+      // A barcode promoted to primary is no longer listed as an additional one
+      product.barcodes = product.barcodes.filter(b => b.code !== product.barcode);
+    }
+    if (newBarcode !== undefined || barcodes !== undefined) {
+      const conflict = await findBarcodeConflict(req.Product, productBarcodes(product), product._id);
+      if (conflict) {
+        return res.status(400).json({ message: `A product with the barcode "${conflict.code}" already exists` });
+      }
+    }
+    
+    // Update fields if provided
+    if (name !== undefined) product.name = name.trim();
+    if (note !== undefined) product.note = note.trim();
+    if (buyingPrice !== undefined) product.buyingPrice = parseFloat(buyingPrice) || 0;
+    if (sellingPrice !== undefined) product.sellingPrice = parseFloat(sellingPrice) || 0;
+    if (boughtFrom !== undefined || supplierId !== undefined) {
+      const supplierDoc = await resolveDirectoryEntry(req.Supplier, { id: supplierId, name: boughtFrom }, req.user);
+      if (supplierDoc === undefined) {
+        return res.status(404).json({ message: 'Supplier not found' });
+      }
+      product.supplier = supplierDoc ? supplierDoc._id : null;
+      product.boughtFrom = supplierDoc ? supplierDoc.name : '';
+    }
+    if (sellLocation !== undefined || customerId !== undefined) {
+      const customerDoc = await resolveDirectoryEntry(req.Customer, { id: customerId, name: sellLocation }, req.user);
+      if (customerDoc === undefined) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+      product.customer = customerDoc ? customerDoc._id : null;
+      product.sellLocation = customerDoc ? customerDoc.name : '';
+    }
+    if (imageUrl !== undefined) product.imageUrl = imageUrl;
+    if (unit !== undefined) product.unit = normalizeUnit(unit);
+    if (alternateUnits !== undefined) {
+      const parsedUnits = parseAlternateUnits(alternateUnits, product.unit);
+      if (parsedUnits.error) {
+        return res.status(400).json({ message: parsedUnits.error });
+      }
+      product.alternateUnits = parsedUnits.value;
+    } else if (unit !== undefined && product.alternateUnits.some(u => u.name.toLowerCase() === product.unit.toLowerCase())) {
+      return res.status(400).json({ message: `"${product.unit}" is already an alternate unit of this product` });
+    }
     
-    // Get the entry to adjust stock
-    const entry = product.stockHistory[historyIndex];
-    const quantityChange = entry.type === 'add' ? -entry.quantity : entry.quantity;
+    // Serial tracking is switched while there is no stock - stock received without serials
+    // could not be taken out by serial
+    if (serialized !== undefined && (serialized === true) !== !!product.serialized) {
+      if (product.currentStock > 0) {
+        return res.status(400).json({ message: 'Serial tracking can only be switched on or off while the product has no stock' });
+      }
+      product.serialized = serialized === true;
+    }
+    if (product.serialized && !canBeSerialized(product.unit)) {
+      return res.status(400).json({ message: `Products counted in ${product.unit} cannot be tracked by serial number` });
+    }
     
-    // Adjust current stock
-    product.currentStock = Math.max(0, product.currentStock + quantityChange);
+    const reorderSettings = parseReorderSettings(req.body, product.unit);
+    if (reorderSettings.error) {
+      return res.status(400).json({ message: reorderSettings.error });
+    }
+    Object.assign(product, reorderSettings.value);
     
-    // Remove the entry from history
-    product.stockHistory.splice(historyIndex, 1);
+    // Update category
+    if (category !== undefined) {
+      if (category === null || category === '') {
+        product.category = null;
+        product.categoryName = '';
+      } else {
+        const categoryDoc = await req.Category.findById(category);
+        if (categoryDoc) {
+          product.category = categoryDoc._id;
+          product.categoryName = categoryDoc.name;
+        }
+      }
+    }
     
     await product.save();
+    await recordPriceChanges(req.PriceHistory, product, pricesBefore, {
+      reason: priceChangeReason?.trim() || '',
+      user: req.user
+    });
     
     res.json({
       success: true,
-      message: 'Stock history entry deleted successfully',
+      message: 'Product updated successfully',
+      product,
+      warnings: barcodeWarnings
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A product with this barcode already exists' });
+    }
+    console.error('Update product error:', error);
+    res.status(500).json({ message: 'Failed to update product' });
+  }
+});
+
+// Add a barcode to a product ({ code, type, note }) - e.g. a supplier's code for it
+app.post('/api/products/:product/barcodes', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const parsed = parseBarcode(req.body, await getBarcodePolicy(req));
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (productBarcodes(product).includes(parsed.value.code)) {
+      return res.status(400).json({ message: `The product already has the barcode "${parsed.value.code}"` });
+    }
+    if (product.barcode && product.barcodes.length >= MAX_PRODUCT_BARCODES) {
+      return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_BARCODES} additional barcodes` });
+    }
+    
+    const conflict = await findBarcodeConflict(req.Product, [parsed.value.code], product._id);
+    if (conflict) {
+      return res.status(409).json({
+        message: `Barcode "${conflict.code}" belongs to "${conflict.product.name}"`,
+        product: { id: conflict.product._id, name: conflict.product.name }
+      });
+    }
+    
+    // A product without a barcode gets it as its primary barcode
+    if (!product.barcode) {
+      product.barcode = parsed.value.code;
+    } else {
+      product.barcodes.push(parsed.value);
+    }
+    await product.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Barcode added',
       product: {
         id: product._id,
         barcode: product.barcode,
-        currentStock: product.currentStock,
-        stockHistory: product.stockHistory
-      }
+        barcodes: product.barcodes
+      },
+      warning: parsed.warning
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A product with this barcode already exists' });
+    }
+    console.error('Add product barcode error:', error);
+    res.status(500).json({ message: 'Failed to add barcode' });
+  }
+});
+
+// Generate a barcode for a product and assign it - as its primary barcode when it has
+// none, as an internal code besides it otherwise
+app.post('/api/products/:product/barcodes/generate', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (product.barcode && product.barcodes.length >= MAX_PRODUCT_BARCODES) {
+      return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_BARCODES} additional barcodes` });
+    }
+    
+    const generated = await generateBarcode(req);
+    if (generated.error) {
+      return res.status(400).json({ message: generated.error });
+    }
+    
+    if (!product.barcode) {
+      product.barcode = generated.value;
+    } else {
+      product.barcodes.push({ code: generated.value, type: 'internal', note: typeof req.body.note === 'string' ? req.body.note.trim() : '' });
+    }
+    await product.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Barcode generated',
+      barcode: generated.value,
+      product: {
+        id: product._id,
+        barcode: product.barcode,
+        barcodes: product.barcodes
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'The generated barcode was taken meanwhile - try again' });
+    }
+    console.error('Generate product barcode error:', error);
+    res.status(500).json({ message: 'Failed to generate barcode' });
+  }
+});
+
+// Remove a barcode from a product. Removing the primary barcode promotes the next one.
+app.delete('/api/products/:product/barcodes/:code', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    // The code may be given in any of its equivalent forms
+    const forms = barcodeLookupForms(req.params.code);
+    const code = productBarcodes(product).find(c => forms.includes(c));
+    if (!code) {
+      return res.status(404).json({ message: 'Barcode not found on this product' });
+    }
+    
+    if (product.barcode === code) {
+      const next = product.barcodes.shift();
+      product.barcode = next ? next.code : '';
+    } else {
+      product.barcodes = product.barcodes.filter(b => b.code !== code);
+    }
+    await product.save();
+    
+    res.json({
+      success: true,
+      message: 'Barcode removed',
+      product: {
+        id: product._id,
+        barcode: product.barcode,
+        barcodes: product.barcodes
+      }
+    });
+  } catch (error) {
+    console.error('Remove product barcode error:', error);
+    res.status(500).json({ message: 'Failed to remove barcode' });
+  }
+});
+
+// Get price history of a product, newest first
+app.get('/api/products/:product/price-history', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const query = { product: product._id };
+    if (req.query.field) query.field = req.query.field;
+    
+    const history = await req.PriceHistory.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit);
+    const scheduled = await req.ScheduledPriceChange.find({ product: product._id, status: 'pending' })
+      .sort({ effectiveAt: 1 });
+    
+    res.json({
+      success: true,
+      product: {
+        id: product._id,
+        barcode: product.barcode,
+        name: product.name,
+        buyingPrice: product.buyingPrice,
+        sellingPrice: product.sellingPrice
+      },
+      history,
+      scheduled
+    });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ message: 'Failed to get price history' });
+  }
+});
+
+// Schedule a future selling price for a product
+app.post('/api/products/:product/scheduled-prices', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { sellingPrice, effectiveAt, reason } = req.body;
+    
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const price = parsePrice(sellingPrice);
+    if (price.error) {
+      return res.status(400).json({ message: price.error });
+    }
+    const effectiveDate = new Date(effectiveAt);
+    if (!effectiveAt || isNaN(effectiveDate.getTime())) {
+      return res.status(400).json({ message: 'Valid effective date is required' });
+    }
+    if (effectiveDate <= new Date()) {
+      return res.status(400).json({ message: 'Effective date must be in the future - change the price directly instead' });
+    }
+    
+    const change = await req.ScheduledPriceChange.create({
+      product: product._id,
+      barcode: product.barcode,
+      productName: product.name,
+      sellingPrice: price.value,
+      effectiveAt: effectiveDate,
+      reason: reason?.trim() || '',
+      createdBy: req.user._id,
+      createdByName: req.user.fullName
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Price change scheduled successfully',
+      change
+    });
+  } catch (error) {
+    console.error('Schedule price change error:', error);
+    res.status(500).json({ message: 'Failed to schedule price change' });
+  }
+});
+
+// Cancel a pending scheduled price change
+app.delete('/api/products/:product/scheduled-prices/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const change = mongoose.isValidObjectId(id)
+      ? await req.ScheduledPriceChange.findOneAndUpdate(
+        { _id: id, product: product._id, status: 'pending' },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+      )
+      : null;
+    if (!change) {
+      return res.status(404).json({ message: 'Pending price change not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Scheduled price change cancelled',
+      change
+    });
+  } catch (error) {
+    console.error('Cancel scheduled price change error:', error);
+    res.status(500).json({ message: 'Failed to cancel scheduled price change' });
+  }
+});
+
+// Delete product
+app.delete('/api/products/:product', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    await req.Product.findByIdAndDelete(product._id);
+    await req.StockMovement.deleteMany({ product: product._id });
+    await req.StockBalance.deleteMany({ product: product._id });
+    await req.LotBalance.deleteMany({ product: product._id });
+    await req.SerialNumber.deleteMany({ product: product._id });
+    await req.CostLayer.deleteMany({ product: product._id });
+    await req.PriceHistory.deleteMany({ product: product._id });
+    await req.ScheduledPriceChange.deleteMany({ product: product._id });
+    await req.StocktakeLine.deleteMany({ product: product._id });
+    
+    res.json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(500).json({ message: 'Failed to delete product' });
+  }
+});
+
+// ============ STOCK MOVEMENT ROUTES ============
+// Stock history entries addressed by their own id. Edits must send the entry's ETag in
+// If-Match (or its version in the body) and fail with 412 when it changed in between.
+
+// Get a single stock history entry (ETag header carries its version)
+app.get('/api/stock-movements/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const movement = mongoose.isValidObjectId(req.params.id) ? await req.StockMovement.findById(req.params.id).lean() : null;
+    if (!movement) {
+      return res.status(404).json({ message: 'Stock history entry not found' });
+    }
+    
+    res.set('ETag', movementETag(movement));
+    res.json({
+      success: true,
+      movement: {
+        ...toHistoryEntry(movement),
+        product: movement.product,
+        barcode: movement.barcode,
+        productName: movement.productName
+      }
+    });
+  } catch (error) {
+    console.error('Get stock movement error:', error);
+    res.status(500).json({ message: 'Failed to get stock history entry' });
+  }
+});
+
+// Update the note of a stock history entry (admin only)
+app.patch('/api/stock-movements/:id', authMiddleware, adminMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const movement = mongoose.isValidObjectId(req.params.id) ? await req.StockMovement.findById(req.params.id).lean() : null;
+    if (!movement) {
+      return res.status(404).json({ message: 'Stock history entry not found' });
+    }
+    
+    const version = expectedMovementVersion(req);
+    if (version === undefined) {
+      return res.status(428).json({ message: 'If-Match header with the entry\'s ETag is required', code: 'VERSION_REQUIRED' });
+    }
+    if (sendVersionMismatch(res, movement, version)) return;
+    
+    const updated = await updateMovementNote(req.StockMovement, movement, req.body.note, version);
+    if (!updated) {
+      // Changed or deleted between reading and updating it
+      const current = await req.StockMovement.findById(movement._id).lean();
+      if (!current || !sendVersionMismatch(res, current, version)) {
+        res.status(404).json({ message: 'Stock history entry not found' });
+      }
+      return;
+    }
+    
+    res.set('ETag', movementETag(updated));
+    res.json({
+      success: true,
+      message: 'Stock history note updated successfully',
+      movement: toHistoryEntry(updated)
+    });
+  } catch (error) {
+    console.error('Update stock movement error:', error);
+    res.status(500).json({ message: 'Failed to update stock history note' });
+  }
+});
+
+// Reverse a stock history entry (admin only) - books a reversal entry in the opposite direction
+app.post('/api/stock-movements/:id/reverse', authMiddleware, adminMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const movement = mongoose.isValidObjectId(req.params.id) ? await req.StockMovement.findById(req.params.id).lean() : null;
+    if (!movement) {
+      return res.status(404).json({ message: 'Stock history entry not found' });
+    }
+    
+    const version = expectedMovementVersion(req);
+    if (version === undefined) {
+      return res.status(428).json({ message: 'If-Match header with the entry\'s ETag is required', code: 'VERSION_REQUIRED' });
+    }
+    if (sendVersionMismatch(res, movement, version)) return;
+    
+    const blocker = reversalBlocker(movement);
+    if (blocker) {
+      return res.status(400).json({ message: blocker });
+    }
+    
+    const product = await req.Product.findById(movement.product);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const { product: updatedProduct, movement: reversal } = await reverseStockMovement(req, product, movement, req.body.note);
+    const reversed = await req.StockMovement.findById(movement._id).lean();
+    
+    res.set('ETag', movementETag(reversed));
+    res.json({
+      success: true,
+      message: 'Stock history entry reversed successfully',
+      movement: toHistoryEntry(reversed),
+      reversal: toHistoryEntry(reversal),
+      product: {
+        id: updatedProduct._id,
+        barcode: updatedProduct.barcode,
+        currentStock: updatedProduct.currentStock
+      }
+    });
+  } catch (error) {
+    if (sendStockError(res, error)) return;
+    console.error('Reverse stock movement error:', error);
+    res.status(500).json({ message: 'Failed to reverse stock history entry' });
+  }
+});
+
+// ============ LOT ROUTES ============
+
+// Get a product's stock per lot (lots expiring first on top)
+app.get('/api/products/:product/lots', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const query = { product: product._id, quantity: { $gt: 0 } };
+    if (req.query.warehouse) {
+      if (!mongoose.isValidObjectId(req.query.warehouse)) {
+        return res.status(400).json({ message: 'Invalid warehouse' });
+      }
+      query.warehouse = req.query.warehouse;
+    }
+    
+    const lots = await req.LotBalance.find(query)
+      .populate('warehouse', 'name code')
+      .lean();
+    // Same order removals take them in: dated lots by expiry, then undated ones
+    lots.sort((a, b) => (a.expiryDate ? 0 : 1) - (b.expiryDate ? 0 : 1)
+      || (a.expiryDate - b.expiryDate) || (a.receivedAt - b.receivedAt));
+    
+    const lotQuantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    
+    res.json({
+      success: true,
+      product: {
+        id: product._id,
+        barcode: product.barcode,
+        name: product.name,
+        unit: normalizeUnit(product.unit)
+      },
+      lots: lots.map(lot => ({
+        id: lot._id,
+        warehouse: lot.warehouse?._id || null,
+        warehouseName: lot.warehouse?.name || '',
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        daysLeft: lot.expiryDate ? daysUntil(lot.expiryDate) : null,
+        quantity: roundQuantity(lot.quantity, product.unit),
+        receivedAt: lot.receivedAt
+      })),
+      lotQuantity: roundQuantity(lotQuantity, product.unit)
+    });
+  } catch (error) {
+    console.error('Get product lots error:', error);
+    res.status(500).json({ message: 'Failed to get product lots' });
+  }
+});
+
+// Get lots expiring within ?days (default 30), already expired ones included
+app.get('/api/lots/expiring', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : DEFAULT_EXPIRY_ALERT_DAYS;
+    if (isNaN(days) || days < 0) {
+      return res.status(400).json({ message: 'Days must be zero or more' });
+    }
+    if (req.query.warehouse && !mongoose.isValidObjectId(req.query.warehouse)) {
+      return res.status(400).json({ message: 'Invalid warehouse' });
+    }
+    
+    const lots = await getExpiringLots(req, { days, warehouse: req.query.warehouse });
+    
+    res.json({
+      success: true,
+      days,
+      lots,
+      summary: {
+        lots: lots.length,
+        expired: lots.filter(l => l.expired).length,
+        value: roundMoney(lots.reduce((sum, l) => sum + l.value, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get expiring lots error:', error);
+    res.status(500).json({ message: 'Failed to get expiring lots' });
+  }
+});
+
+// ============ SERIAL NUMBER ROUTES ============
+
+// Get a serialized product's serial numbers - ?status=in_stock|out, ?warehouse=
+app.get('/api/products/:product/serials', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const product = await findProductParam(req, res);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const query = { product: product._id };
+    if (req.query.status) {
+      if (!SERIAL_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `Status must be one of: ${SERIAL_STATUSES.join(', ')}` });
+      }
+      query.status = req.query.status;
+    }
+    if (req.query.warehouse) {
+      if (!mongoose.isValidObjectId(req.query.warehouse)) {
+        return res.status(400).json({ message: 'Invalid warehouse' });
+      }
+      query.warehouse = req.query.warehouse;
+    }
+    
+    const serials = await req.SerialNumber.find(query)
+      .sort({ serial: 1 })
+      .populate('warehouse', 'name code')
+      .lean();
+    
+    res.json({
+      success: true,
+      product: {
+        id: product._id,
+        barcode: product.barcode,
+        name: product.name,
+        serialized: !!product.serialized
+      },
+      serials: serials.map(s => ({
+        serial: s.serial,
+        status: s.status,
+        warehouse: s.warehouse?._id || null,
+        warehouseName: s.warehouse?.name || '',
+        receivedAt: s.createdAt,
+        updatedAt: s.updatedAt
+      })),
+      inStock: serials.filter(s => s.status === 'in_stock').length
+    });
+  } catch (error) {
+    console.error('Get product serials error:', error);
+    res.status(500).json({ message: 'Failed to get serial numbers' });
+  }
+});
+
+// Look up a serial number: where it is now and every stock movement that moved it,
+// oldest first. The same serial may exist for several products.
+app.get('/api/serials/:serial', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const serial = req.params.serial.trim();
+    
+    const records = await req.SerialNumber.find({ serial })
+      .populate('warehouse', 'name code')
+      .lean();
+    if (records.length === 0) {
+      return res.status(404).json({ message: 'Serial number not found' });
+    }
+    
+    const products = await req.Product.find({ _id: { $in: records.map(r => r.product) } })
+      .select('barcode name unit')
+      .lean();
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    
+    const results = [];
+    for (const record of records) {
+      const product = productMap.get(record.product.toString());
+      if (!product) continue;
+      
+      const history = await req.StockMovement.find({ product: product._id, serials: serial })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+      results.push({
+        product: {
+          id: product._id,
+          barcode: product.barcode,
+          name: product.name
+        },
+        serial: record.serial,
+        status: record.status,
+        warehouse: record.warehouse?._id || null,
+        warehouseName: record.warehouse?.name || '',
+        receivedAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        history: history.map(toHistoryEntry)
+      });
+    }
+    if (results.length === 0) {
+      return res.status(404).json({ message: 'Serial number not found' });
+    }
+    
+    res.json({
+      success: true,
+      serial,
+      results
+    });
+  } catch (error) {
+    console.error('Get serial number error:', error);
+    res.status(500).json({ message: 'Failed to get serial number' });
+  }
+});
+
+// ============ LABEL ROUTES ============
+
+// Print labels for products: { items: [{ product, barcode, copies }], template }.
+// product is the product's id (or one of its barcodes), barcode the code to print when
+// not its primary barcode. Returns a PDF sheet or ZPL, as template.format says.
+app.post('/api/labels', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { items } = req.body;
+    
+    const template = parseLabelTemplate(req.body.template || {});
+    if (template.error) {
+      return res.status(400).json({ message: template.error });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'At least one label is required' });
+    }
+    
+    const labels = [];
+    let total = 0;
+    for (const item of items) {
+      const key = String(item?.product || item?.barcode || '').trim();
+      const product = /^[0-9a-f]{24}$/i.test(key)
+        ? await req.Product.findById(key)
+        : await findProductByBarcode(req.Product, key);
+      if (!product) {
+        return res.status(404).json({ message: `Product not found: ${key}` });
+      }
+      
+      let code = product.barcode;
+      if (item.barcode) {
+        const forms = barcodeLookupForms(item.barcode);
+        code = productBarcodes(product).find(c => forms.includes(c));
+        if (!code) {
+          return res.status(400).json({ message: `"${item.barcode}" is not a barcode of ${product.name}` });
+        }
+      }
+      if (!code) {
+        return res.status(400).json({ message: `${product.name} has no barcode - generate one first` });
+      }
+      
+      const copies = item.copies === undefined ? 1 : Number(item.copies);
+      if (!Number.isInteger(copies) || copies < 1) {
+        return res.status(400).json({ message: 'Copies must be a whole number of at least 1' });
+      }
+      total += copies;
+      if (total > MAX_LABELS) {
+        return res.status(400).json({ message: `At most ${MAX_LABELS} labels can be printed at once` });
+      }
+      
+      labels.push({ name: product.name, price: product.sellingPrice, unit: product.unit, code, copies });
+    }
+    
+    if (template.value.format === 'zpl') {
+      res.set('Content-Disposition', 'attachment; filename="labels.zpl"');
+      return res.type('text/plain').send(renderLabelsZpl(labels, template.value));
+    }
+    
+    let branding = {};
+    if (template.value.branding) {
+      const company = await Company.findOne({ slug: req.companySlug }).select('logo color').lean();
+      branding = { color: company?.color, logo: await loadLogo(company?.logo) };
+    }
+    res.set('Content-Disposition', 'inline; filename="labels.pdf"');
+    res.type('application/pdf').send(renderLabelsPdf(labels, template.value, branding));
+  } catch (error) {
+    console.error('Print labels error:', error);
+    res.status(500).json({ message: 'Failed to print labels' });
+  }
+});
+
+// ============ WAREHOUSE ROUTES ============
+
+// Get all warehouses
+app.get('/api/warehouses', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    // Make sure every company has at least its default warehouse
+    await getDefaultWarehouse(req.Warehouse);
+    
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const warehouses = await req.Warehouse.find(query).sort({ isDefault: -1, name: 1 });
+    res.json({
+      success: true,
+      warehouses
+    });
+  } catch (error) {
+    console.error('Get warehouses error:', error);
+    res.status(500).json({ message: 'Failed to get warehouses' });
+  }
+});
+
+// Create new warehouse
+app.post('/api/warehouses', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { name, code, address, note } = req.body;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Warehouse name is required' });
+    }
+    
+    // Check if warehouse already exists
+    const existingWarehouse = await req.Warehouse.findOne({ name: name.trim() });
+    if (existingWarehouse) {
+      return res.status(400).json({ message: 'Warehouse already exists' });
+    }
+    
+    const warehouse = new req.Warehouse({
+      name: name.trim(),
+      code: code?.trim() || '',
+      address: address?.trim() || '',
+      note: note || '',
+      createdBy: req.user._id,
+      createdByName: req.user.fullName
+    });
+    
+    await warehouse.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Warehouse created successfully',
+      warehouse
+    });
+  } catch (error) {
+    console.error('Create warehouse error:', error);
+    res.status(500).json({ message: 'Failed to create warehouse' });
+  }
+});
+
+// Update warehouse
+app.put('/api/warehouses/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, code, address, note, isActive, isDefault } = req.body;
+    
+    const warehouse = mongoose.isValidObjectId(id) ? await req.Warehouse.findById(id) : null;
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    if (name !== undefined) {
+      // Check if new name conflicts with existing warehouse
+      const existingWarehouse = await req.Warehouse.findOne({ name: name.trim(), _id: { $ne: id } });
+      if (existingWarehouse) {
+        return res.status(400).json({ message: 'Warehouse name already exists' });
+      }
+    }
+    if (isActive !== undefined && !isActive && warehouse.isDefault) {
+      return res.status(400).json({ message: 'The default warehouse cannot be deactivated' });
+    }
+    
+    const renamed = name !== undefined && name.trim() !== warehouse.name;
+    if (name !== undefined) warehouse.name = name.trim();
+    if (code !== undefined) warehouse.code = code.trim();
+    if (address !== undefined) warehouse.address = address.trim();
+    if (note !== undefined) warehouse.note = note;
+    if (isActive !== undefined) warehouse.isActive = isActive;
+    
+    // Making a warehouse the default takes the flag from the current default
+    if (isDefault === true && !warehouse.isDefault) {
+      await req.Warehouse.updateMany({ isDefault: true }, { isDefault: false });
+      warehouse.isDefault = true;
+      warehouse.isActive = true;
+    }
+    
+    await warehouse.save();
+    
+    // Keep the name on ledger entries in sync
+    if (renamed) {
+      await req.StockMovement.updateMany({ warehouse: warehouse._id }, { warehouseName: warehouse.name });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Warehouse updated successfully',
+      warehouse
+    });
+  } catch (error) {
+    console.error('Update warehouse error:', error);
+    res.status(500).json({ message: 'Failed to update warehouse' });
+  }
+});
+
+// Delete warehouse - only when it holds no stock; warehouses with history are deactivated
+app.delete('/api/warehouses/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const warehouse = await req.Warehouse.findById(id);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    if (warehouse.isDefault) {
+      return res.status(400).json({ message: 'The default warehouse cannot be deleted' });
+    }
+    
+    const stockCount = await req.StockBalance.countDocuments({ warehouse: id, quantity: { $gt: 0 } });
+    if (stockCount > 0) {
+      return res.status(400).json({ message: `Warehouse still holds stock of ${stockCount} products. Transfer it first.` });
+    }
+    
+    const hasHistory = await req.StockMovement.exists({ warehouse: id });
+    if (hasHistory) {
+      warehouse.isActive = false;
+      await warehouse.save();
+    } else {
+      await req.Warehouse.findByIdAndDelete(id);
+    }
+    await req.StockBalance.deleteMany({ warehouse: id });
+    await req.LotBalance.deleteMany({ warehouse: id });
+    
+    res.json({
+      success: true,
+      message: hasHistory ? 'Warehouse deactivated successfully' : 'Warehouse deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete warehouse error:', error);
+    res.status(500).json({ message: 'Failed to delete warehouse' });
+  }
+});
+
+// Get stock held in a warehouse
+app.get('/api/warehouses/:id/stock', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const warehouse = await req.Warehouse.findById(id);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    const balances = await req.StockBalance.find({ warehouse: id, quantity: { $gt: 0 } })
+      .populate('product', 'barcode name unit buyingPrice sellingPrice categoryName')
+      .lean();
+    
+    res.json({
+      success: true,
+      warehouse,
+      stock: balances
+        .filter(b => b.product)
+        .map(b => ({
+          product: b.product._id,
+          barcode: b.product.barcode,
+          name: b.product.name,
+          unit: normalizeUnit(b.product.unit),
+          categoryName: b.product.categoryName,
+          quantity: roundQuantity(b.quantity, b.product.unit),
+          buyValue: Math.round(b.quantity * (b.product.buyingPrice || 0) * 100) / 100,
+          sellValue: Math.round(b.quantity * (b.product.sellingPrice || 0) * 100) / 100
+        }))
+    });
+  } catch (error) {
+    console.error('Get warehouse stock error:', error);
+    res.status(500).json({ message: 'Failed to get warehouse stock' });
+  }
+});
+
+// ============ SUPPLIER ROUTES ============
+
+// Get all suppliers
+app.get('/api/suppliers', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    if (req.query.search) {
+      // Normalised names only contain letters, digits and spaces - safe to use as a pattern
+      query.normalizedName = { $regex: normalizeName(req.query.search) };
+    }
+    
+    const suppliers = await req.Supplier.find(query).sort({ name: 1 });
+    res.json({
+      success: true,
+      suppliers
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ message: 'Failed to get suppliers' });
+  }
+});
+
+// Get single supplier with usage counts
+app.get('/api/suppliers/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const supplier = await req.Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    
+    const productCount = await req.Product.countDocuments({ supplier: supplier._id });
+    const movementCount = await req.StockMovement.countDocuments({ supplierId: supplier._id });
+    
+    res.json({
+      success: true,
+      supplier,
+      productCount,
+      movementCount
+    });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({ message: 'Failed to get supplier' });
+  }
+});
+
+// Create new supplier
+app.post('/api/suppliers', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { name, contactName, phone, email, address, taxId, notes } = req.body;
+    
+    if (!name || !normalizeName(name)) {
+      return res.status(400).json({ message: 'Supplier name is required' });
+    }
+    
+    // Check if supplier already exists (also catches spelling variants)
+    const existingSupplier = await req.Supplier.findOne({ normalizedName: normalizeName(name) });
+    if (existingSupplier) {
+      return res.status(400).json({ message: `Supplier already exists as "${existingSupplier.name}"`, supplier: existingSupplier });
+    }
+    
+    const supplier = new req.Supplier({
+      name: name.trim(),
+      contactName: contactName?.trim() || '',
+      phone: phone?.trim() || '',
+      email: email?.trim() || '',
+      address: address?.trim() || '',
+      taxId: taxId?.trim() || '',
+      notes: notes || '',
+      createdBy: req.user._id,
+      createdByName: req.user.fullName
+    });
+    
+    await supplier.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({ message: 'Failed to create supplier' });
+  }
+});
+
+// Update supplier
+app.put('/api/suppliers/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, contactName, phone, email, address, taxId, notes, isActive } = req.body;
+    
+    const supplier = await req.Supplier.findById(id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    
+    if (name !== undefined) {
+      if (!normalizeName(name)) {
+        return res.status(400).json({ message: 'Supplier name is required' });
+      }
+      // Check if new name conflicts with another supplier
+      const existingSupplier = await req.Supplier.findOne({ normalizedName: normalizeName(name), _id: { $ne: id } });
+      if (existingSupplier) {
+        return res.status(400).json({ message: `Supplier name already used by "${existingSupplier.name}". Merge them instead.` });
+      }
+      supplier.name = name.trim();
+      
+      // Update the name on all products and movements with this supplier
+      await req.Product.updateMany({ supplier: id }, { boughtFrom: name.trim() });
+      await req.StockMovement.updateMany({ supplierId: id }, { supplier: name.trim() });
+    }
+    if (contactName !== undefined) supplier.contactName = contactName.trim();
+    if (phone !== undefined) supplier.phone = phone.trim();
+    if (email !== undefined) supplier.email = email.trim();
+    if (address !== undefined) supplier.address = address.trim();
+    if (taxId !== undefined) supplier.taxId = taxId.trim();
+    if (notes !== undefined) supplier.notes = notes;
+    if (isActive !== undefined) supplier.isActive = isActive;
+    
+    await supplier.save();
+    
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({ message: 'Failed to update supplier' });
+  }
+});
+
+// Delete supplier - suppliers still referenced by products, movements or purchase orders are deactivated
+app.delete('/api/suppliers/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const supplier = await req.Supplier.findById(id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    
+    const inUse = await req.Product.exists({ supplier: id }) ||
+      await req.StockMovement.exists({ supplierId: id }) ||
+      await req.PurchaseOrder.exists({ supplier: id });
+    if (inUse) {
+      supplier.isActive = false;
+      await supplier.save();
+    } else {
+      await req.Supplier.findByIdAndDelete(id);
+    }
+    
+    res.json({
+      success: true,
+      message: inUse ? 'Supplier deactivated successfully' : 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({ message: 'Failed to delete supplier' });
+  }
+});
+
+// Merge duplicate suppliers into this one (admin only)
+app.post('/api/suppliers/:id/merge', authMiddleware, adminMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceIds } = req.body;
+    
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      return res.status(400).json({ message: 'Suppliers to merge are required' });
+    }
+    if (sourceIds.includes(id)) {
+      return res.status(400).json({ message: 'A supplier cannot be merged into itself' });
+    }
+    
+    const target = await req.Supplier.findById(id);
+    if (!target) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    const sources = await req.Supplier.find({ _id: { $in: sourceIds } });
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({ message: 'Some suppliers to merge were not found' });
+    }
+    
+    // Point products, movements and purchase orders at the target supplier
+    const products = await req.Product.updateMany(
+      { supplier: { $in: sourceIds } },
+      { supplier: target._id, boughtFrom: target.name }
+    );
+    const movements = await req.StockMovement.updateMany(
+      { supplierId: { $in: sourceIds } },
+      { supplierId: target._id, supplier: target.name }
+    );
+    const orders = await req.PurchaseOrder.updateMany(
+      { supplier: { $in: sourceIds } },
+      { supplier: target._id, supplierName: target.name }
+    );
+    
+    // Keep contact details the target does not have yet
+    for (const source of sources) {
+      for (const field of ['contactName', 'phone', 'email', 'address', 'taxId']) {
+        if (!target[field] && source[field]) target[field] = source[field];
+      }
+      if (source.notes) target.notes = [target.notes, source.notes].filter(Boolean).join('\n');
+    }
+    await target.save();
+    
+    await req.Supplier.deleteMany({ _id: { $in: sourceIds } });
+    
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} suppliers into "${target.name}"`,
+      supplier: target,
+      productsUpdated: products.modifiedCount,
+      movementsUpdated: movements.modifiedCount,
+      purchaseOrdersUpdated: orders.modifiedCount
+    });
+  } catch (error) {
+    console.error('Merge suppliers error:', error);
+    res.status(500).json({ message: 'Failed to merge suppliers' });
+  }
+});
+
+// ============ CUSTOMER ROUTES ============
+
+// Get all customers / destinations
+app.get('/api/customers', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    if (req.query.kind) query.kind = req.query.kind;
+    if (req.query.search) {
+      // Normalised names only contain letters, digits and spaces - safe to use as a pattern
+      query.normalizedName = { $regex: normalizeName(req.query.search) };
+    }
+    
+    const customers = await req.Customer.find(query).sort({ name: 1 });
+    res.json({
+      success: true,
+      customers
+    });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({ message: 'Failed to get customers' });
+  }
+});
+
+// Get single customer with usage counts
+app.get('/api/customers/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const customer = await req.Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    
+    const productCount = await req.Product.countDocuments({ customer: customer._id });
+    const movementCount = await req.StockMovement.countDocuments({ customerId: customer._id });
+    
+    res.json({
+      success: true,
+      customer,
+      productCount,
+      movementCount
+    });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({ message: 'Failed to get customer' });
+  }
+});
+
+// Create new customer
+app.post('/api/customers', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { name, kind, contactName, phone, email, address, taxId, notes } = req.body;
+    
+    if (!name || !normalizeName(name)) {
+      return res.status(400).json({ message: 'Customer name is required' });
+    }
+    
+    // Check if customer already exists (also catches spelling variants)
+    const existingCustomer = await req.Customer.findOne({ normalizedName: normalizeName(name) });
+    if (existingCustomer) {
+      return res.status(400).json({ message: `Customer already exists as "${existingCustomer.name}"`, customer: existingCustomer });
+    }
+    
+    const customer = new req.Customer({
+      name: name.trim(),
+      kind: kind === 'destination' ? 'destination' : 'customer',
+      contactName: contactName?.trim() || '',
+      phone: phone?.trim() || '',
+      email: email?.trim() || '',
+      address: address?.trim() || '',
+      taxId: taxId?.trim() || '',
+      notes: notes || '',
+      createdBy: req.user._id,
+      createdByName: req.user.fullName
+    });
+    
+    await customer.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      customer
+    });
+  } catch (error) {
+    console.error('Create customer error:', error);
+    res.status(500).json({ message: 'Failed to create customer' });
+  }
+});
+
+// Update customer
+app.put('/api/customers/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, kind, contactName, phone, email, address, taxId, notes, isActive } = req.body;
+    
+    const customer = await req.Customer.findById(id);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    
+    if (name !== undefined) {
+      if (!normalizeName(name)) {
+        return res.status(400).json({ message: 'Customer name is required' });
+      }
+      // Check if new name conflicts with another customer
+      const existingCustomer = await req.Customer.findOne({ normalizedName: normalizeName(name), _id: { $ne: id } });
+      if (existingCustomer) {
+        return res.status(400).json({ message: `Customer name already used by "${existingCustomer.name}". Merge them instead.` });
+      }
+      customer.name = name.trim();
+      
+      // Update the name on all products and movements with this customer
+      await req.Product.updateMany({ customer: id }, { sellLocation: name.trim() });
+      await req.StockMovement.updateMany({ customerId: id }, { location: name.trim() });
+    }
+    if (kind !== undefined) customer.kind = kind === 'destination' ? 'destination' : 'customer';
+    if (contactName !== undefined) customer.contactName = contactName.trim();
+    if (phone !== undefined) customer.phone = phone.trim();
+    if (email !== undefined) customer.email = email.trim();
+    if (address !== undefined) customer.address = address.trim();
+    if (taxId !== undefined) customer.taxId = taxId.trim();
+    if (notes !== undefined) customer.notes = notes;
+    if (isActive !== undefined) customer.isActive = isActive;
+    
+    await customer.save();
+    
+    res.json({
+      success: true,
+      message: 'Customer updated successfully',
+      customer
+    });
+  } catch (error) {
+    console.error('Update customer error:', error);
+    res.status(500).json({ message: 'Failed to update customer' });
+  }
+});
+
+// Delete customer - customers still referenced by products, movements or sales documents are deactivated
+app.delete('/api/customers/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const customer = await req.Customer.findById(id);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    
+    const inUse = await req.Product.exists({ customer: id }) ||
+      await req.StockMovement.exists({ customerId: id }) ||
+      await req.SalesDocument.exists({ customer: id });
+    if (inUse) {
+      customer.isActive = false;
+      await customer.save();
+    } else {
+      await req.Customer.findByIdAndDelete(id);
+    }
+    
+    res.json({
+      success: true,
+      message: inUse ? 'Customer deactivated successfully' : 'Customer deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete customer error:', error);
+    res.status(500).json({ message: 'Failed to delete customer' });
+  }
+});
+
+// Merge duplicate customers into this one (admin only)
+app.post('/api/customers/:id/merge', authMiddleware, adminMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceIds } = req.body;
+    
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      return res.status(400).json({ message: 'Customers to merge are required' });
+    }
+    if (sourceIds.includes(id)) {
+      return res.status(400).json({ message: 'A customer cannot be merged into itself' });
+    }
+    
+    const target = await req.Customer.findById(id);
+    if (!target) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    const sources = await req.Customer.find({ _id: { $in: sourceIds } });
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({ message: 'Some customers to merge were not found' });
+    }
+    
+    // Point products, movements and sales documents at the target customer
+    const products = await req.Product.updateMany(
+      { customer: { $in: sourceIds } },
+      { customer: target._id, sellLocation: target.name }
+    );
+    const movements = await req.StockMovement.updateMany(
+      { customerId: { $in: sourceIds } },
+      { customerId: target._id, location: target.name }
+    );
+    const documents = await req.SalesDocument.updateMany(
+      { customer: { $in: sourceIds } },
+      { customer: target._id, customerName: target.name }
+    );
+    
+    // Keep contact details the target does not have yet
+    for (const source of sources) {
+      for (const field of ['contactName', 'phone', 'email', 'address', 'taxId']) {
+        if (!target[field] && source[field]) target[field] = source[field];
+      }
+      if (source.notes) target.notes = [target.notes, source.notes].filter(Boolean).join('\n');
+    }
+    await target.save();
+    
+    await req.Customer.deleteMany({ _id: { $in: sourceIds } });
+    
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} customers into "${target.name}"`,
+      customer: target,
+      productsUpdated: products.modifiedCount,
+      movementsUpdated: movements.modifiedCount,
+      salesDocumentsUpdated: documents.modifiedCount
+    });
+  } catch (error) {
+    console.error('Merge customers error:', error);
+    res.status(500).json({ message: 'Failed to merge customers' });
+  }
+});
+
+// ============ PURCHASE ORDER ROUTES ============
+
+// Get purchase orders
+app.get('/api/purchase-orders', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+    
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.supplier) {
+      if (!mongoose.isValidObjectId(req.query.supplier)) {
+        return res.status(400).json({ message: 'Invalid supplier' });
+      }
+      query.supplier = req.query.supplier;
+    }
+    if (req.query.search) {
+      query.number = { $regex: req.query.search, $options: 'i' };
+    }
+    
+    const orders = await req.PurchaseOrder.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await req.PurchaseOrder.countDocuments(query);
+    
+    res.json({
+      success: true,
+      orders: orders.map(toPurchaseOrderResponse),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ message: 'Failed to get purchase orders' });
+  }
+});
+
+// Report of goods ordered but not received yet (must be declared before /:id)
+app.get('/api/purchase-orders/outstanding', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const query = { status: { $in: OPEN_ORDER_STATUSES } };
+    if (req.query.supplier) {
+      if (!mongoose.isValidObjectId(req.query.supplier)) {
+        return res.status(400).json({ message: 'Invalid supplier' });
+      }
+      query.supplier = req.query.supplier;
+    }
+    
+    const orders = await req.PurchaseOrder.find(query).sort({ expectedDate: 1, createdAt: 1 }).lean();
+    const now = new Date();
+    
+    const rows = [];
+    const suppliers = new Map();
+    for (const order of orders) {
+      const overdue = !!order.expectedDate && order.expectedDate < now;
+      
+      for (const line of order.lines) {
+        const outstanding = roundQuantity(outstandingQuantity(line), line.unit);
+        if (outstanding <= 0) continue;
+        
+        const value = roundMoney(outstanding * line.unitPrice);
+        rows.push({
+          orderId: order._id,
+          number: order.number,
+          status: order.status,
+          supplier: order.supplier,
+          supplierName: order.supplierName,
+          expectedDate: order.expectedDate,
+          overdue,
+          product: line.product,
+          barcode: line.barcode,
+          productName: line.productName,
+          unit: line.unit,
+          orderedQuantity: line.quantity,
+          receivedQuantity: line.receivedQuantity,
+          outstandingQuantity: outstanding,
+          unitPrice: line.unitPrice,
+          outstandingValue: value
+        });
+        
+        const key = order.supplier.toString();
+        if (!suppliers.has(key)) {
+          suppliers.set(key, { supplier: order.supplier, supplierName: order.supplierName, orders: new Set(), outstandingValue: 0, overdueValue: 0 });
+        }
+        const supplier = suppliers.get(key);
+        supplier.orders.add(order._id.toString());
+        supplier.outstandingValue += value;
+        if (overdue) supplier.overdueValue += value;
+      }
+    }
+    
+    const bySupplier = [...suppliers.values()]
+      .map(s => ({
+        ...s,
+        orders: s.orders.size,
+        outstandingValue: roundMoney(s.outstandingValue),
+        overdueValue: roundMoney(s.overdueValue)
+      }))
+      .sort((a, b) => b.outstandingValue - a.outstandingValue);
+    
+    res.json({
+      success: true,
+      lines: rows,
+      bySupplier,
+      summary: {
+        orders: new Set(rows.map(r => r.orderId.toString())).size,
+        lines: rows.length,
+        outstandingValue: roundMoney(rows.reduce((sum, r) => sum + r.outstandingValue, 0)),
+        overdueValue: roundMoney(rows.filter(r => r.overdue).reduce((sum, r) => sum + r.outstandingValue, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get outstanding purchase orders error:', error);
+    res.status(500).json({ message: 'Failed to get outstanding purchase orders' });
+  }
+});
+
+// Get single purchase order with the stock movements it created
+app.get('/api/purchase-orders/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    const order = await req.PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    
+    const movements = await req.StockMovement.find({ purchaseOrder: order._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+    
+    res.json({
+      success: true,
+      order: toPurchaseOrderResponse(order),
+      receipts: movements.map(m => ({ ...toHistoryEntry(m), product: m.product, productName: m.productName }))
+    });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ message: 'Failed to get purchase order' });
+  }
+});
+
+// Create new purchase order (draft)
+app.post('/api/purchase-orders', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const { supplierId, supplier, warehouse, lines, expectedDate, note, buyingPricePolicy } = req.body;
+    
+    const supplierDoc = await resolveDirectoryEntry(req.Supplier, { id: supplierId, name: supplier }, req.user);
+    if (supplierDoc === undefined) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    if (!supplierDoc) {
+      return res.status(400).json({ message: 'Supplier is required' });
+    }
+    
+    const warehouseDoc = await resolveWarehouse(req, warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    if (buyingPricePolicy !== undefined && !BUYING_PRICE_POLICIES.includes(buyingPricePolicy)) {
+      return res.status(400).json({ message: `Buying price policy must be one of: ${BUYING_PRICE_POLICIES.join(', ')}` });
+    }
+    
+    const parsedLines = await parseDocumentLines(req, lines, 'buyingPrice');
+    if (parsedLines.error) {
+      return res.status(400).json({ message: parsedLines.error });
+    }
+    
+    const seq = await nextSequence(req.Counter, 'purchaseOrder');
+    const order = await req.PurchaseOrder.create({
+      number: formatDocumentNumber('PO', seq),
+      supplier: supplierDoc._id,
+      supplierName: supplierDoc.name,
+      warehouse: warehouseDoc._id,
+      warehouseName: warehouseDoc.name,
+      lines: parsedLines.value,
+      buyingPricePolicy,
+      expectedDate: expectedDate ? new Date(expectedDate) : null,
+      note: note || '',
+      createdBy: req.user._id,
+      createdByName: req.user.fullName
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${order.number} created`,
+      order: toPurchaseOrderResponse(order)
+    });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ message: 'Failed to create purchase order' });
+  }
+});
+
+// Update purchase order - lines, supplier and warehouse can only change while it is a draft
+app.put('/api/purchase-orders/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { supplierId, supplier, warehouse, lines, expectedDate, note, buyingPricePolicy } = req.body;
+    
+    const order = mongoose.isValidObjectId(req.params.id) ? await req.PurchaseOrder.findById(req.params.id) : null;
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    if (['received', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({ message: `A ${order.status} purchase order cannot be changed` });
+    }
+    
+    const changesContent = [supplierId, supplier, warehouse, lines].some(value => value !== undefined);
+    if (changesContent && order.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft purchase orders can change supplier, warehouse or lines' });
+    }
+    
+    if (supplierId !== undefined || supplier !== undefined) {
+      const supplierDoc = await resolveDirectoryEntry(req.Supplier, { id: supplierId, name: supplier }, req.user);
+      if (supplierDoc === undefined) {
+        return res.status(404).json({ message: 'Supplier not found' });
+      }
+      if (!supplierDoc) {
+        return res.status(400).json({ message: 'Supplier is required' });
+      }
+      order.supplier = supplierDoc._id;
+      order.supplierName = supplierDoc.name;
+    }
+    if (warehouse !== undefined) {
+      const warehouseDoc = await resolveWarehouse(req, warehouse);
+      if (!warehouseDoc) {
+        return res.status(404).json({ message: 'Warehouse not found' });
+      }
+      order.warehouse = warehouseDoc._id;
+      order.warehouseName = warehouseDoc.name;
+    }
+    if (lines !== undefined) {
+      const parsedLines = await parseDocumentLines(req, lines, 'buyingPrice');
+      if (parsedLines.error) {
+        return res.status(400).json({ message: parsedLines.error });
+      }
+      order.lines = parsedLines.value;
+    }
+    if (buyingPricePolicy !== undefined) {
+      if (!BUYING_PRICE_POLICIES.includes(buyingPricePolicy)) {
+        return res.status(400).json({ message: `Buying price policy must be one of: ${BUYING_PRICE_POLICIES.join(', ')}` });
+      }
+      order.buyingPricePolicy = buyingPricePolicy;
+    }
+    if (expectedDate !== undefined) order.expectedDate = expectedDate ? new Date(expectedDate) : null;
+    if (note !== undefined) order.note = note;
+    
+    await order.save();
+    
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      order: toPurchaseOrderResponse(order)
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Purchase order was changed by another request, please retry', retryable: true });
+    }
+    console.error('Update purchase order error:', error);
+    res.status(500).json({ message: 'Failed to update purchase order' });
+  }
+});
+
+// Mark a draft purchase order as sent to the supplier
+app.post('/api/purchase-orders/:id/send', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await req.PurchaseOrder.findOneAndUpdate(
+        { _id: req.params.id, status: 'draft' },
+        { $set: { status: 'sent', sentAt: new Date() }, $inc: { __v: 1 } },
+        { new: true }
+      )
+      : null;
+    if (!order) {
+      const exists = mongoose.isValidObjectId(req.params.id) && await req.PurchaseOrder.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ message: 'Only draft purchase orders can be sent' })
+        : res.status(404).json({ message: 'Purchase order not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: `Purchase order ${order.number} sent`,
+      order: toPurchaseOrderResponse(order)
+    });
+  } catch (error) {
+    console.error('Send purchase order error:', error);
+    res.status(500).json({ message: 'Failed to send purchase order' });
+  }
+});
+
+// Receive goods against a purchase order. Without lines everything outstanding is received.
+// Each line: { lineId, quantity, unit, unitPrice } - unitPrice per entered unit, defaults to the order price.
+app.post('/api/purchase-orders/:id/receive', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const { lines, warehouse, note, buyingPricePolicy } = req.body;
+    
+    const order = mongoose.isValidObjectId(req.params.id) ? await req.PurchaseOrder.findById(req.params.id) : null;
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+      return res.status(400).json({ message: order.status === 'draft'
+        ? 'Send the purchase order before receiving goods'
+        : `A ${order.status} purchase order cannot receive goods` });
+    }
+    
+    const policy = buyingPricePolicy ?? order.buyingPricePolicy;
+    if (!BUYING_PRICE_POLICIES.includes(policy)) {
+      return res.status(400).json({ message: `Buying price policy must be one of: ${BUYING_PRICE_POLICIES.join(', ')}` });
+    }
+    
+    const warehouseDoc = await resolveWarehouse(req, warehouse || order.warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    const requested = lines !== undefined
+      ? lines
+      : order.lines
+        .filter(line => outstandingQuantity(line) > 0)
+        .map(line => ({ lineId: line._id, quantity: roundQuantity(outstandingQuantity(line), line.unit) }));
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return res.status(400).json({ message: 'Nothing to receive' });
+    }
+    
+    // Validate every line before touching any stock
+    const receipts = [];
+    for (const item of requested) {
+      const line = mongoose.isValidObjectId(item?.lineId) ? order.lines.id(item.lineId) : null;
+      if (!line) {
+        return res.status(400).json({ message: `Order line not found: ${item?.lineId || ''}` });
+      }
+      if (receipts.some(r => r.line === line)) {
+        return res.status(400).json({ message: `"${line.productName}" is listed more than once` });
+      }
+      
+      const product = await req.Product.findById(line.product);
+      if (!product) {
+        return res.status(404).json({ message: `Product "${line.productName}" no longer exists` });
+      }
+      
+      // Serialized products list the serials received
+      const parsed = parseStockQuantity(product, item);
+      if (parsed.error) {
+        return res.status(400).json({ message: `${line.productName}: ${parsed.error}` });
+      }
+      const outstanding = outstandingQuantity(line);
+      if (parsed.value > outstanding + 1e-9) {
+        return res.status(400).json({
+          message: `${line.productName}: only ${formatQuantity(outstanding, product.unit)} outstanding`
+        });
+      }
+      
+      const price = (item.unitPrice === undefined || item.unitPrice === '')
+        ? { value: line.unitPrice * parsed.factor }
+        : parsePrice(item.unitPrice);
+      if (price.error) {
+        return res.status(400).json({ message: `${line.productName}: ${price.error}` });
+      }
+      
+      const lot = parseLot({ lotNumber: item.lotNumber, expiryDate: item.expiryDate });
+      if (lot.error) {
+        return res.status(400).json({ message: `${line.productName}: ${lot.error}` });
+      }
+      
+      receipts.push({ line, product, parsed, unitPrice: price.value / parsed.factor, lot: lot.value });
+    }
+    
+    const previous = { status: order.status, receivedAt: order.receivedAt };
+    const applyReceivedQuantities = (sign) => {
+      for (const r of receipts) {
+        r.line.receivedQuantity = roundQuantity(r.line.receivedQuantity + sign * r.parsed.value, r.product.unit);
+      }
+    };
+    
+    // Book the received quantities on the order first - a concurrent receipt of the
+    // same order fails here (optimistic concurrency) before any stock is changed
+    const results = await runWithRollback([
+      async () => {
+        applyReceivedQuantities(1);
+        order.status = statusAfterReceipt(order.lines);
+        if (order.status === 'received') order.receivedAt = new Date();
+        try {
+          await order.save();
+        } catch (error) {
+          if (error.name === 'VersionError') {
+            throw stockError(409, 'Purchase order was changed by another request, please retry', 'ORDER_CONFLICT');
+          }
+          throw error;
+        }
+        return {
+          undo: async () => {
+            applyReceivedQuantities(-1);
+            order.status = previous.status;
+            order.receivedAt = previous.receivedAt;
+            await order.save();
+          }
+        };
+      },
+      ...receipts.map(r => async () => {
+        const { movement, undo } = await applyStockMovement(req, r.product, {
+          warehouse: warehouseDoc._id,
+          warehouseName: warehouseDoc.name,
+          quantity: r.parsed.value,
+          enteredQuantity: r.parsed.enteredQuantity,
+          enteredUnit: r.parsed.enteredUnit,
+          type: 'add',
+          note: note || `Purchase order ${order.number}`,
+          supplier: order.supplierName,
+          supplierId: order.supplier,
+          purchaseOrder: order._id,
+          unitCost: r.unitPrice,
+          lots: r.lot ? [{ ...r.lot, quantity: r.parsed.value }] : undefined,
+          serials: r.parsed.serials,
+          addedBy: req.user._id,
+          addedByName: req.user.fullName
+        });
+        return { value: movement, undo };
+      })
+    ]);
+    const movements = results.slice(1);
+    
+    // Buying prices follow the chosen policy, based on the stock before this receipt
+    if (policy !== 'keep') {
+      for (const r of receipts) {
+        const buyingPrice = nextBuyingPrice(policy, r.product.buyingPrice, r.product.currentStock, r.parsed.value, r.unitPrice);
+        if (buyingPrice !== r.product.buyingPrice) {
+          const pricesBefore = { buyingPrice: r.product.buyingPrice, sellingPrice: r.product.sellingPrice };
+          await req.Product.updateOne({ _id: r.product._id }, { $set: { buyingPrice, updatedAt: new Date() } });
+          r.product.buyingPrice = buyingPrice;
+          await recordPriceChanges(req.PriceHistory, r.product, pricesBefore, {
+            reason: `Purchase order ${order.number} (${policy})`,
+            source: 'purchase_order',
+            reference: order._id,
+            user: req.user
+          });
+        }
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: order.status === 'received'
+        ? `Purchase order ${order.number} fully received`
+        : `Purchase order ${order.number} partially received`,
+      order: toPurchaseOrderResponse(order),
+      receipts: movements.map(toHistoryEntry)
+    });
+  } catch (error) {
+    if (sendStockError(res, error)) return;
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({ message: 'Failed to receive purchase order' });
+  }
+});
+
+// Cancel a purchase order - goods already received stay in stock
+app.post('/api/purchase-orders/:id/cancel', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await req.PurchaseOrder.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: ['draft', ...OPEN_ORDER_STATUSES] } },
+        { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason || '' }, $inc: { __v: 1 } },
+        { new: true }
+      )
+      : null;
+    if (!order) {
+      const exists = mongoose.isValidObjectId(req.params.id) && await req.PurchaseOrder.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ message: 'Received or cancelled purchase orders cannot be cancelled' })
+        : res.status(404).json({ message: 'Purchase order not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: `Purchase order ${order.number} cancelled`,
+      order: toPurchaseOrderResponse(order)
+    });
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    res.status(500).json({ message: 'Failed to cancel purchase order' });
+  }
+});
+
+// Delete purchase order - only drafts, sent orders are cancelled instead
+app.delete('/api/purchase-orders/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id) ? await req.PurchaseOrder.findById(req.params.id) : null;
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    if (order.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft purchase orders can be deleted - cancel it instead' });
+    }
+    
+    await req.PurchaseOrder.deleteOne({ _id: order._id, status: 'draft' });
+    
+    res.json({
+      success: true,
+      message: 'Purchase order deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete purchase order error:', error);
+    res.status(500).json({ message: 'Failed to delete purchase order' });
+  }
+});
+
+// ============ SALES DOCUMENT ROUTES ============
+
+// Validate sales document lines: product lines plus an optional discount percent and, for
+// serialized products, the serials sold per line
+async function parseSalesLines(req, input) {
+  const parsedLines = await parseDocumentLines(req, input, 'sellingPrice');
+  if (parsedLines.error) return parsedLines;
+  
+  const lines = [];
+  for (let i = 0; i < parsedLines.value.length; i++) {
+    const discount = parseDiscountPercent(input[i].discountPercent);
+    if (discount.error) {
+      return { error: `${parsedLines.value[i].productName}: ${discount.error}` };
+    }
+    const serials = parseSerials(input[i].serials);
+    if (serials.error) {
+      return { error: `${parsedLines.value[i].productName}: ${serials.error}` };
+    }
+    lines.push({
+      ...parsedLines.value[i],
+      discountPercent: discount.value,
+      serials: serials.value.length > 0 ? serials.value : undefined
+    });
+  }
+  return { value: lines };
+}
+
+// Get sales documents
+app.get('/api/sales-documents', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+    
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.customer) {
+      if (!mongoose.isValidObjectId(req.query.customer)) {
+        return res.status(400).json({ message: 'Invalid customer' });
+      }
+      query.customer = req.query.customer;
+    }
+    if (req.query.search) {
+      query.number = { $regex: req.query.search, $options: 'i' };
+    }
+    
+    const documents = await req.SalesDocument.find(query)
+      .sort({ documentDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await req.SalesDocument.countDocuments(query);
+    
+    res.json({
+      success: true,
+      documents,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get sales documents error:', error);
+    res.status(500).json({ message: 'Failed to get sales documents' });
+  }
+});
+
+// Get single sales document with its stock movements
+app.get('/api/sales-documents/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id) ? await req.SalesDocument.findById(req.params.id) : null;
+    if (!document) {
+      return res.status(404).json({ message: 'Sales document not found' });
+    }
+    
+    const movements = await req.StockMovement.find({ salesDocument: document._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+    
+    res.json({
+      success: true,
+      document,
+      movements: movements.map(m => ({ ...toHistoryEntry(m), product: m.product, productName: m.productName }))
+    });
+  } catch (error) {
+    console.error('Get sales document error:', error);
+    res.status(500).json({ message: 'Failed to get sales document' });
+  }
+});
+
+// Create new sales document (draft). The number is built from the company's document number.
+app.post('/api/sales-documents', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const { type, customerId, customer, warehouse, lines, discount, documentDate, note } = req.body;
+    
+    if (type !== undefined && !SALES_DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Document type must be one of: ${SALES_DOCUMENT_TYPES.join(', ')}` });
+    }
+    
+    const customerDoc = await resolveDirectoryEntry(req.Customer, { id: customerId, name: customer }, req.user);
+    if (customerDoc === undefined) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    if (!customerDoc) {
+      return res.status(400).json({ message: 'Customer is required' });
+    }
+    
+    const warehouseDoc = await resolveWarehouse(req, warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    const parsedLines = await parseSalesLines(req, lines);
+    if (parsedLines.error) {
+      return res.status(400).json({ message: parsedLines.error });
+    }
+    const parsedDiscount = (discount === undefined || discount === '') ? { value: 0 } : parsePrice(discount);
+    if (parsedDiscount.error) {
+      return res.status(400).json({ message: `Discount: ${parsedDiscount.error}` });
+    }
+    
+    const company = await Company.findOne({ slug: req.companySlug }).select('documentName documentNo');
+    const seq = await nextSequence(req.Counter, 'salesDocument');
+    
+    const document = await req.SalesDocument.create({
+      number: formatDocumentNumber(company?.documentNo || 'SD', seq),
+      type,
+      documentName: company?.documentName || '',
+      documentNo: company?.documentNo || '',
+      documentDate: documentDate ? new Date(documentDate) : new Date(),
+      customer: customerDoc._id,
+      customerName: customerDoc.name,
+      warehouse: warehouseDoc._id,
+      warehouseName: warehouseDoc.name,
+      lines: parsedLines.value,
+      discount: parsedDiscount.value,
+      note: note || '',
+      createdBy: req.user._id,
+      createdByName: req.user.fullName
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `Sales document ${document.number} created`,
+      document
+    });
+  } catch (error) {
+    console.error('Create sales document error:', error);
+    res.status(500).json({ message: 'Failed to create sales document' });
+  }
+});
+
+// Update a draft sales document
+app.put('/api/sales-documents/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { type, customerId, customer, warehouse, lines, discount, documentDate, note } = req.body;
+    
+    const document = mongoose.isValidObjectId(req.params.id) ? await req.SalesDocument.findById(req.params.id) : null;
+    if (!document) {
+      return res.status(404).json({ message: 'Sales document not found' });
+    }
+    if (document.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft sales documents can be changed' });
+    }
+    
+    if (type !== undefined) {
+      if (!SALES_DOCUMENT_TYPES.includes(type)) {
+        return res.status(400).json({ message: `Document type must be one of: ${SALES_DOCUMENT_TYPES.join(', ')}` });
+      }
+      document.type = type;
+    }
+    if (customerId !== undefined || customer !== undefined) {
+      const customerDoc = await resolveDirectoryEntry(req.Customer, { id: customerId, name: customer }, req.user);
+      if (customerDoc === undefined) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+      if (!customerDoc) {
+        return res.status(400).json({ message: 'Customer is required' });
+      }
+      document.customer = customerDoc._id;
+      document.customerName = customerDoc.name;
+    }
+    if (warehouse !== undefined) {
+      const warehouseDoc = await resolveWarehouse(req, warehouse);
+      if (!warehouseDoc) {
+        return res.status(404).json({ message: 'Warehouse not found' });
+      }
+      document.warehouse = warehouseDoc._id;
+      document.warehouseName = warehouseDoc.name;
+    }
+    if (lines !== undefined) {
+      const parsedLines = await parseSalesLines(req, lines);
+      if (parsedLines.error) {
+        return res.status(400).json({ message: parsedLines.error });
+      }
+      document.lines = parsedLines.value;
+    }
+    if (discount !== undefined) {
+      const parsedDiscount = discount === '' ? { value: 0 } : parsePrice(discount);
+      if (parsedDiscount.error) {
+        return res.status(400).json({ message: `Discount: ${parsedDiscount.error}` });
+      }
+      document.discount = parsedDiscount.value;
+    }
+    if (documentDate !== undefined) document.documentDate = documentDate ? new Date(documentDate) : new Date();
+    if (note !== undefined) document.note = note;
+    
+    await document.save();
+    
+    res.json({
+      success: true,
+      message: 'Sales document updated successfully',
+      document
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Sales document was changed by another request, please retry', retryable: true });
+    }
+    console.error('Update sales document error:', error);
+    res.status(500).json({ message: 'Failed to update sales document' });
+  }
+});
+
+// Post a draft sales document - removes the stock of all lines or, if any line
+// lacks stock, none of them
+app.post('/api/sales-documents/:id/post', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id) ? await req.SalesDocument.findById(req.params.id) : null;
+    if (!document) {
+      return res.status(404).json({ message: 'Sales document not found' });
+    }
+    if (document.status !== 'draft') {
+      return res.status(400).json({ message: `A ${document.status} sales document cannot be posted` });
+    }
+    if (document.lines.length === 0) {
+      return res.status(400).json({ message: 'Sales document has no lines' });
+    }
+    
+    const warehouseDoc = await resolveWarehouse(req, document.warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    // Net selling price per base unit: line discount plus a share of the document discount
+    const linesTotal = document.lines.reduce((sum, line) => sum + line.total, 0);
+    const discountFactor = linesTotal > 0 ? document.total / linesTotal : 1;
+    
+    const products = [];
+    for (const line of document.lines) {
+      const product = await req.Product.findById(line.product);
+      if (!product) {
+        return res.status(404).json({ message: `Product "${line.productName}" no longer exists` });
+      }
+      products.push(product);
+    }
+    
+    // Mark the document posted first - a concurrent post fails here (optimistic
+    // concurrency) before any stock is changed
+    const results = await runWithRollback([
+      async () => {
+        document.status = 'posted';
+        document.postedAt = new Date();
+        document.postedBy = req.user._id;
+        document.postedByName = req.user.fullName;
+        try {
+          await document.save();
+        } catch (error) {
+          if (error.name === 'VersionError') {
+            throw stockError(409, 'Sales document was changed by another request, please retry', 'DOCUMENT_CONFLICT');
+          }
+          throw error;
+        }
+        return {
+          undo: async () => {
+            document.status = 'draft';
+            document.postedAt = null;
+            document.postedBy = undefined;
+            document.postedByName = undefined;
+            await document.save();
+          }
+        };
+      },
+      ...document.lines.map((line, i) => async () => {
+        try {
+          const { movement, undo } = await applyStockMovement(req, products[i], {
+            warehouse: warehouseDoc._id,
+            warehouseName: warehouseDoc.name,
+            quantity: line.quantity,
+            enteredQuantity: line.enteredQuantity,
+            enteredUnit: line.enteredUnit,
+            type: 'remove',
+            note: `${document.type === 'waybill' ? 'Waybill' : 'Invoice'} ${document.number}`,
+            location: document.customerName,
+            customerId: document.customer,
+            salesDocument: document._id,
+            serials: line.serials,
+            unitPrice: line.quantity > 0 ? (line.total / line.quantity) * discountFactor : line.unitPrice,
+            addedBy: req.user._id,
+            addedByName: req.user.fullName
+          });
+          return { value: movement, undo };
+        } catch (error) {
+          // Tell the client which line failed
+          if (error.status) error.details = { ...error.details, product: line.product, productName: line.productName };
+          throw error;
+        }
+      })
+    ]);
+    
+    res.json({
+      success: true,
+      message: `Sales document ${document.number} posted`,
+      document,
+      movements: results.slice(1).map(toHistoryEntry)
+    });
+  } catch (error) {
+    if (sendStockError(res, error)) return;
+    console.error('Post sales document error:', error);
+    res.status(500).json({ message: 'Failed to post sales document' });
+  }
+});
+
+// Void a posted sales document - books the removed stock back with reversal entries
+app.post('/api/sales-documents/:id/void', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const document = mongoose.isValidObjectId(req.params.id) ? await req.SalesDocument.findById(req.params.id) : null;
+    if (!document) {
+      return res.status(404).json({ message: 'Sales document not found' });
+    }
+    if (document.status !== 'posted') {
+      return res.status(400).json({ message: document.status === 'draft'
+        ? 'Draft sales documents are deleted, not voided'
+        : 'Sales document is already voided' });
+    }
+    
+    const movements = await req.StockMovement.find({ salesDocument: document._id, type: 'remove', reversedBy: null });
+    const products = new Map();
+    for (const movement of movements) {
+      const product = await req.Product.findById(movement.product);
+      // Ledger entries of deleted products went with them
+      if (product) products.set(movement._id.toString(), product);
+    }
+    
+    const results = await runWithRollback([
+      async () => {
+        document.status = 'voided';
+        document.voidedAt = new Date();
+        document.voidReason = reason || '';
+        document.voidedBy = req.user._id;
+        document.voidedByName = req.user.fullName;
+        try {
+          await document.save();
+        } catch (error) {
+          if (error.name === 'VersionError') {
+            throw stockError(409, 'Sales document was changed by another request, please retry', 'DOCUMENT_CONFLICT');
+          }
+          throw error;
+        }
+        return {
+          undo: async () => {
+            document.status = 'posted';
+            document.voidedAt = null;
+            document.voidReason = '';
+            document.voidedBy = undefined;
+            document.voidedByName = undefined;
+            await document.save();
+          }
+        };
+      },
+      ...movements
+        .filter(movement => products.has(movement._id.toString()))
+        .map(movement => async () => {
+          const product = products.get(movement._id.toString());
+          const { movement: reversal, undo } = await applyStockMovement(req, product, {
+            warehouse: movement.warehouse,
+            warehouseName: movement.warehouseName,
+            quantity: movement.quantity,
+            enteredQuantity: movement.enteredQuantity,
+            enteredUnit: movement.enteredUnit,
+            type: 'add',
+            note: `Void of ${document.number}${reason ? ': ' + reason : ''}`,
+            location: movement.location,
+            customerId: movement.customerId,
+            salesDocument: document._id,
+            lots: movement.lots,
+            serials: movement.serials,
+            reversalOf: movement._id,
+            // The stock goes back into the cost layers at what it cost when it left
+            unitCost: movement.costOfGoods != null && movement.quantity > 0
+              ? movement.costOfGoods / movement.quantity
+              : movement.unitCost,
+            unitPrice: movement.unitPrice,
+            priceEstimated: movement.priceEstimated,
+            addedBy: req.user._id,
+            addedByName: req.user.fullName
+          });
+          await req.StockMovement.updateOne({ _id: movement._id }, { $set: { reversedBy: reversal._id }, $inc: { __v: 1 } });
+          return {
+            value: reversal,
+            undo: async () => {
+              await req.StockMovement.updateOne({ _id: movement._id }, { $set: { reversedBy: null }, $inc: { __v: 1 } });
+              await undo();
+            }
+          };
+        })
+    ]);
+    
+    res.json({
+      success: true,
+      message: `Sales document ${document.number} voided`,
+      document,
+      movements: results.slice(1).map(toHistoryEntry)
+    });
+  } catch (error) {
+    if (sendStockError(res, error)) return;
+    console.error('Void sales document error:', error);
+    res.status(500).json({ message: 'Failed to void sales document' });
+  }
+});
+
+// Delete sales document - only drafts, posted documents are voided instead
+app.delete('/api/sales-documents/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id) ? await req.SalesDocument.findById(req.params.id) : null;
+    if (!document) {
+      return res.status(404).json({ message: 'Sales document not found' });
+    }
+    if (document.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft sales documents can be deleted - void it instead' });
+    }
+    
+    await req.SalesDocument.deleteOne({ _id: document._id, status: 'draft' });
+    
+    res.json({
+      success: true,
+      message: 'Sales document deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete sales document error:', error);
+    res.status(500).json({ message: 'Failed to delete sales document' });
+  }
+});
+
+// ============ ADJUSTMENT REASON ROUTES ============
+
+// Get adjustment reasons (built-in ones are created on first use)
+app.get('/api/adjustment-reasons', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    await ensureAdjustmentReasons(req.AdjustmentReason);
+    
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const reasons = await req.AdjustmentReason.find(query).sort({ isSystem: -1, name: 1 });
+    
+    res.json({
+      success: true,
+      reasons
+    });
+  } catch (error) {
+    console.error('Get adjustment reasons error:', error);
+    res.status(500).json({ message: 'Failed to get adjustment reasons' });
+  }
+});
+
+// Create adjustment reason (admin only)
+app.post('/api/adjustment-reasons', authMiddleware, adminMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const parsed = parseAdjustmentReason(req.body, { requireAll: true });
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    
+    await ensureAdjustmentReasons(req.AdjustmentReason);
+    const existing = await req.AdjustmentReason.findOne({ code: parsed.value.code });
+    if (existing) {
+      return res.status(400).json({ message: `Reason code "${parsed.value.code}" already exists` });
+    }
+    
+    const reason = await req.AdjustmentReason.create({
+      ...parsed.value,
+      createdBy: req.user._id,
+      createdByName: req.user.fullName
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Adjustment reason created successfully',
+      reason
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Reason code already exists' });
+    }
+    console.error('Create adjustment reason error:', error);
+    res.status(500).json({ message: 'Failed to create adjustment reason' });
+  }
+});
+
+// Update adjustment reason (admin only). The code is kept on ledger entries and cannot change.
+app.put('/api/adjustment-reasons/:id', authMiddleware, adminMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const reason = mongoose.isValidObjectId(req.params.id) ? await req.AdjustmentReason.findById(req.params.id) : null;
+    if (!reason) {
+      return res.status(404).json({ message: 'Adjustment reason not found' });
+    }
+    if (reason.isSystem) {
+      return res.status(400).json({ message: 'Built-in system reasons cannot be changed' });
+    }
+    if (req.body.code !== undefined && req.body.code !== reason.code) {
+      return res.status(400).json({ message: 'Reason code cannot be changed' });
+    }
+    
+    const { code, ...changes } = req.body;
+    const parsed = parseAdjustmentReason(changes);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    
+    Object.assign(reason, parsed.value);
+    await reason.save();
+    
+    res.json({
+      success: true,
+      message: 'Adjustment reason updated successfully',
+      reason
+    });
+  } catch (error) {
+    console.error('Update adjustment reason error:', error);
+    res.status(500).json({ message: 'Failed to update adjustment reason' });
+  }
+});
+
+// Delete adjustment reason (admin only) - reasons already used in the ledger are deactivated
+app.delete('/api/adjustment-reasons/:id', authMiddleware, adminMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const reason = mongoose.isValidObjectId(req.params.id) ? await req.AdjustmentReason.findById(req.params.id) : null;
+    if (!reason) {
+      return res.status(404).json({ message: 'Adjustment reason not found' });
+    }
+    if (reason.isSystem) {
+      return res.status(400).json({ message: 'Built-in system reasons cannot be deleted' });
+    }
+    
+    // Built-in reasons would be created again, so they are deactivated like used ones
+    const keep = DEFAULT_ADJUSTMENT_REASONS.some(r => r.code === reason.code)
+      || await req.StockMovement.exists({ reason: reason.code });
+    if (keep) {
+      reason.isActive = false;
+      await reason.save();
+    } else {
+      await req.AdjustmentReason.deleteOne({ _id: reason._id });
+    }
+    
+    res.json({
+      success: true,
+      message: keep ? 'Adjustment reason deactivated successfully' : 'Adjustment reason deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete adjustment reason error:', error);
+    res.status(500).json({ message: 'Failed to delete adjustment reason' });
+  }
+});
+
+// ============ STOCKTAKE ROUTES ============
+
+// Find a stocktake by id (null for unknown or malformed ids)
+async function findStocktake(req, id) {
+  return mongoose.isValidObjectId(id) ? req.Stocktake.findById(id) : null;
+}
+
+// Get stocktakes
+app.get('/api/stocktakes', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+    
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.warehouse) {
+      if (!mongoose.isValidObjectId(req.query.warehouse)) {
+        return res.status(400).json({ message: 'Invalid warehouse' });
+      }
+      query.warehouse = req.query.warehouse;
+    }
+    
+    const stocktakes = await req.Stocktake.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await req.Stocktake.countDocuments(query);
+    
+    res.json({
+      success: true,
+      stocktakes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get stocktakes error:', error);
+    res.status(500).json({ message: 'Failed to get stocktakes' });
+  }
+});
+
+// Get single stocktake with a summary of what has been counted so far
+app.get('/api/stocktakes/:id', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req, req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    
+    const warehouseDoc = await req.Warehouse.findById(stocktake.warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    const rows = await getStocktakeVariances(req, stocktake, warehouseDoc);
+    const productsInScope = stocktake.status === 'approved'
+      ? rows.length
+      : await req.Product.countDocuments(stocktakeProductFilter(stocktake));
+    
+    res.json({
+      success: true,
+      stocktake,
+      summary: { ...summarizeVariances(rows), productsInScope }
+    });
+  } catch (error) {
+    console.error('Get stocktake error:', error);
+    res.status(500).json({ message: 'Failed to get stocktake' });
+  }
+});
+
+// Open a stocktake for a warehouse (company default if not given), for all products or one category
+app.post('/api/stocktakes', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const { name, warehouse, category, note } = req.body;
+    
+    const warehouseDoc = await resolveWarehouse(req, warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    let categoryDoc = null;
+    if (category) {
+      categoryDoc = mongoose.isValidObjectId(category) ? await req.Category.findById(category) : null;
+      if (!categoryDoc) {
+        return res.status(404).json({ message: 'Category not found' });
+      }
+    }
+    
+    // Two open counts of the same products would book their variances twice
+    const overlapping = await req.Stocktake.findOne({
+      warehouse: warehouseDoc._id,
+      status: 'open',
+      ...(categoryDoc && { category: { $in: [null, categoryDoc._id] } })
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        message: `Stocktake ${overlapping.number} is already open for these products in ${warehouseDoc.name}`
+      });
+    }
+    
+    const seq = await nextSequence(req.Counter, 'stocktake');
+    const stocktake = await req.Stocktake.create({
+      number: formatDocumentNumber('ST', seq),
+      name: name || '',
+      warehouse: warehouseDoc._id,
+      warehouseName: warehouseDoc.name,
+      category: categoryDoc ? categoryDoc._id : null,
+      categoryName: categoryDoc ? categoryDoc.name : '',
+      note: note || '',
+      createdBy: req.user._id,
+      createdByName: req.user.fullName
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `Stocktake ${stocktake.number} opened`,
+      stocktake
+    });
+  } catch (error) {
+    console.error('Create stocktake error:', error);
+    res.status(500).json({ message: 'Failed to create stocktake' });
+  }
+});
+
+// Count a scanned product. Without a quantity one item (base unit) is counted; mode 'set'
+// replaces the product's count instead of adding to it. Serialized products are counted
+// by the serials scanned, one unit each. The scan is logged as well.
+app.post('/api/stocktakes/:id/counts', authMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
+  try {
+    const { barcode, quantity, unit, mode = 'add', serials, scanMode, deviceInfo } = req.body;
+    
+    if (!barcode) {
+      return res.status(400).json({ message: 'Barcode data is required' });
+    }
+    if (!COUNT_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Count mode must be one of: ${COUNT_MODES.join(', ')}` });
+    }
+    
+    const stocktake = await findStocktake(req, req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    if (stocktake.status !== 'open') {
+      return res.status(400).json({ message: `Stocktake ${stocktake.number} is ${stocktake.status}` });
+    }
+    
+    // Read the code as /api/scans does - a GS1 or scale barcode names the product inside it
+    const read = readBarcode(barcode, await getBarcodePolicy(req));
+    if (read.error) {
+      return res.status(400).json({ message: read.error });
+    }
+    const decoded = decodeBarcode(barcode, await getEmbeddedBarcodes(req));
+    const product = await findScannedProduct(req.Product, decoded);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (stocktake.category && !stocktake.category.equals(product.category)) {
+      return res.status(400).json({ message: `"${product.name}" is not in the category ${stocktake.categoryName} counted by this stocktake` });
+    }
+    
+    let parsed;
+    // A GS1 code carries the serial of the item scanned
+    const serialList = parseSerials(serials ?? (product.serialized ? decoded.serial : null));
+    if (serialList.error) {
+      return res.status(400).json({ message: serialList.error });
+    }
+    if (product.serialized) {
+      if (serialList.value.length === 0 && mode !== 'set') {
+        return res.status(400).json({ message: `"${product.name}" is counted by serial number - send the serials counted` });
+      }
+      if (quantity !== undefined && quantity !== null && Number(quantity) !== serialList.value.length) {
+        return res.status(400).json({ message: `Quantity must match the ${serialList.value.length} serial numbers counted` });
+      }
+      // Stock in another warehouse is transferred, not counted in here
+      const elsewhere = await req.SerialNumber.findOne({
+        product: product._id,
+        serial: { $in: serialList.value },
+        status: 'in_stock',
+        warehouse: { $ne: stocktake.warehouse }
+      });
+      if (elsewhere) {
+        return res.status(400).json({ message: `Serial number "${elsewhere.serial}" is in stock in another warehouse - transfer it first` });
+      }
+      const counted = serialList.value.length;
+      parsed = { value: counted, enteredQuantity: counted, enteredUnit: normalizeUnit(product.unit) };
+    } else {
+      if (serialList.value.length > 0) {
+        return res.status(400).json({ message: `"${product.name}" is not tracked by serial number` });
+      }
+      // An empty shelf is counted by setting 0
+      parsed = toBaseQuantity(product, quantity ?? 1, unit, { allowZero: mode === 'set' });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+    }
+    
+    const scan = await req.Scan.create({
+      barcode: read.value.code,
+      rawBarcode: read.value.code !== String(barcode).trim() ? String(barcode).trim() : null,
+      barcodeFormat: read.value.format,
+      lookupBarcode: decoded.lookup,
+      barcodeWarning: read.value.warning,
+      user: req.user._id,
+      username: req.user.username,
+      userFullName: req.user.fullName,
+      scanMode: scanMode || 'keyboard',
+      deviceInfo: deviceInfo || null,
+      location: stocktake.warehouseName,
+      stocktake: stocktake._id,
+      product: product._id,
+      outcome: 'found',
+      scannedAt: new Date()
+    });
+    
+    const line = await recordCount(req, stocktake, product, {
+      quantity: parsed.value,
+      enteredQuantity: parsed.enteredQuantity,
+      enteredUnit: parsed.enteredUnit,
+      mode,
+      serials: serialList.value,
+      scan: scan._id
+    }, req.user);
+    
+    res.json({
+      success: true,
+      message: mode === 'set'
+        ? `Count of ${product.name} set to ${formatQuantity(parsed.enteredQuantity, parsed.enteredUnit)}`
+        : `Counted ${formatQuantity(parsed.enteredQuantity, parsed.enteredUnit)} of ${product.name}`,
+      line: {
+        product: line.product,
+        barcode: line.barcode,
+        productName: line.productName,
+        unit: line.unit,
+        countedQuantity: roundQuantity(line.countedQuantity, line.unit),
+        ...(line.countedSerials && { countedSerials: line.countedSerials }),
+        entries: line.entries.length
+      }
+    });
+  } catch (error) {
+    console.error('Stocktake count error:', error);
+    res.status(500).json({ message: 'Failed to save count' });
+  }
+});
+
+// Clear the count of one product so it can be counted again
+app.delete('/api/stocktakes/:id/counts/:productId', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req, req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    if (stocktake.status !== 'open') {
+      return res.status(400).json({ message: `Stocktake ${stocktake.number} is ${stocktake.status}` });
+    }
+    
+    const result = mongoose.isValidObjectId(req.params.productId)
+      ? await req.StocktakeLine.deleteOne({ stocktake: stocktake._id, product: req.params.productId })
+      : { deletedCount: 0 };
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Product has not been counted in this stocktake' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Count cleared'
+    });
+  } catch (error) {
+    console.error('Clear stocktake count error:', error);
+    res.status(500).json({ message: 'Failed to clear count' });
+  }
+});
+
+// Variances of counted against expected stock. includeUncounted=true lists the products in
+// scope nobody counted, onlyDifferences=true leaves out products that match.
+app.get('/api/stocktakes/:id/variances', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req, req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    
+    const warehouseDoc = await req.Warehouse.findById(stocktake.warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    let rows = await getStocktakeVariances(req, stocktake, warehouseDoc, {
+      includeUncounted: req.query.includeUncounted === 'true'
+    });
+    const summary = summarizeVariances(rows);
+    if (req.query.onlyDifferences === 'true') {
+      rows = rows.filter(row => row.variance !== 0);
+    }
+    
+    res.json({
+      success: true,
+      stocktake,
+      summary,
+      variances: rows
+    });
+  } catch (error) {
+    console.error('Get stocktake variances error:', error);
+    res.status(500).json({ message: 'Failed to get stocktake variances' });
+  }
+});
+
+// Export the variance report as flat rows (same options as /variances)
+app.get('/api/stocktakes/:id/export', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req, req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    
+    const warehouseDoc = await req.Warehouse.findById(stocktake.warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    
+    let rows = await getStocktakeVariances(req, stocktake, warehouseDoc, {
+      includeUncounted: req.query.includeUncounted === 'true'
+    });
+    if (req.query.onlyDifferences === 'true') {
+      rows = rows.filter(row => row.variance !== 0);
+    }
+    
+    const data = rows.map(row => ({
+      stocktake: stocktake.number,
+      warehouse: stocktake.warehouseName,
+      barcode: row.barcode,
+      productName: row.productName,
+      category: row.category,
+      unit: row.unit,
+      expectedQuantity: row.expectedQuantity,
+      countedQuantity: row.countedQuantity ?? '',
+      variance: row.variance ?? '',
+      unitCost: row.unitCost,
+      varianceValue: row.varianceValue ?? '',
+      countedBy: row.countedBy.join(', '),
+      lastCountedAt: row.lastCountedAt || ''
+    }));
+    
+    res.json({
+      success: true,
+      stocktake: {
+        number: stocktake.number,
+        name: stocktake.name,
+        status: stocktake.status,
+        warehouseName: stocktake.warehouseName,
+        categoryName: stocktake.categoryName,
+        createdAt: stocktake.createdAt,
+        approvedAt: stocktake.approvedAt
+      },
+      summary: summarizeVariances(rows),
+      data,
+      count: data.length
     });
   } catch (error) {
-    console.error('Delete stock history error:', error);
-    res.status(500).json({ message: 'Failed to delete stock history entry' });
+    console.error('Export stocktake error:', error);
+    res.status(500).json({ message: 'Failed to export stocktake' });
   }
 });
 
-// Get all products
-app.get('/api/products', authMiddleware, companyMiddleware, async (req, res) => {
+// Approve a stocktake (admin only): every counted product whose count differs from its
+// expected stock gets a 'stocktake' adjustment. With uncountedAsZero the products in scope
+// nobody counted are adjusted to 0 as well. Serialized products are adjusted by serial:
+// serials in stock but not counted are booked out, counted ones not in stock booked in.
+app.post('/api/stocktakes/:id/approve', authMiddleware, adminMiddleware, companyMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const page = parseInt(req.query.page) || 1;
-    const skip = (page - 1) * limit;
-    const search = req.query.search || '';
-    const categoryFilter = req.query.category || '';
+    const uncountedAsZero = req.body.uncountedAsZero === true;
     
-    let query = {};
+    const stocktake = await findStocktake(req, req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    if (stocktake.status !== 'open') {
+      return res.status(400).json({ message: `A ${stocktake.status} stocktake cannot be approved` });
+    }
     
-    // Search filter
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { barcode: { $regex: search, $options: 'i' } }
-      ];
+    const warehouseDoc = await req.Warehouse.findById(stocktake.warehouse);
+    if (!warehouseDoc) {
+      return res.status(404).json({ message: 'Warehouse not found' });
     }
     
-    // Category filter
-    if (categoryFilter) {
-      if (categoryFilter === 'uncategorized') {
-        query.category = null;
-      } else {
-        query.category = categoryFilter;
+    const rows = await getStocktakeVariances(req, stocktake, warehouseDoc, { includeUncounted: uncountedAsZero, uncountedAsZero });
+    const counted = rows.filter(row => row.countedQuantity !== null && (row.variance !== 0 || row.countedSerials));
+    
+    const products = await req.Product.find({ _id: { $in: counted.map(row => row.product) } });
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    
+    const adjustments = [];
+    for (const row of counted) {
+      const product = productMap.get(row.product.toString());
+      if (product?.serialized) {
+        const { missing, extra } = await getSerialVariance(req, product, warehouseDoc, row.countedSerials || []);
+        if (missing.length > 0) adjustments.push({ row, direction: 'out', quantity: missing.length, serials: missing });
+        if (extra.length > 0) adjustments.push({ row, direction: 'in', quantity: extra.length, serials: extra });
+      } else if (row.variance !== 0) {
+        adjustments.push({ row, direction: row.variance > 0 ? 'in' : 'out', quantity: Math.abs(row.variance) });
       }
     }
     
-    const products = await req.Product.find(query)
-      .sort({ updatedAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('-stockHistory');
-    
-    const total = await req.Product.countDocuments(query);
+    // Mark the stocktake approved first - a concurrent approval fails here (optimistic
+    // concurrency) before any stock is changed
+    const results = await runWithRollback([
+      async () => {
+        stocktake.status = 'approved';
+        stocktake.uncountedAsZero = uncountedAsZero;
+        stocktake.adjustmentCount = adjustments.length;
+        stocktake.approvedAt = new Date();
+        stocktake.approvedBy = req.user._id;
+        stocktake.approvedByName = req.user.fullName;
+        try {
+          await stocktake.save();
+        } catch (error) {
+          if (error.name === 'VersionError') {
+            throw stockError(409, 'Stocktake was changed by another request, please retry', 'STOCKTAKE_CONFLICT');
+          }
+          throw error;
+        }
+        return {
+          undo: async () => {
+            stocktake.status = 'open';
+            stocktake.uncountedAsZero = false;
+            stocktake.adjustmentCount = 0;
+            stocktake.approvedAt = null;
+            stocktake.approvedBy = undefined;
+            stocktake.approvedByName = undefined;
+            await stocktake.save();
+          }
+        };
+      },
+      ...adjustments.map(({ row, direction, quantity, serials }) => async () => {
+        const product = productMap.get(row.product.toString());
+        if (!product) {
+          throw stockError(404, `Product "${row.productName}" no longer exists`, 'PRODUCT_NOT_FOUND');
+        }
+        try {
+          const { movement, undo } = await applyStockMovement(req, product, {
+            warehouse: warehouseDoc._id,
+            warehouseName: warehouseDoc.name,
+            quantity,
+            enteredQuantity: quantity,
+            enteredUnit: row.unit,
+            type: adjustmentType(direction),
+            ...(serials && { serials }),
+            reason: STOCKTAKE_REASON,
+            stocktake: stocktake._id,
+            note: `Stocktake ${stocktake.number}`,
+            addedBy: req.user._id,
+            addedByName: req.user.fullName
+          });
+          return { value: movement, undo };
+        } catch (error) {
+          // Tell the client which product failed
+          if (error.status) error.details = { ...error.details, product: row.product, productName: row.productName };
+          throw error;
+        }
+      })
+    ]);
+    
+    // Keep the quantities the stocktake was approved with for its report
+    const movementMap = new Map();
+    for (const m of results.slice(1)) {
+      const key = m.product.toString();
+      movementMap.set(key, [...(movementMap.get(key) || []), m._id]);
+    }
+    const lineUpdates = rows
+      .filter(row => row.countedQuantity !== null)
+      .map(row => ({
+        updateOne: {
+          filter: { stocktake: stocktake._id, product: row.product },
+          update: {
+            $set: {
+              expectedQuantity: row.expectedQuantity,
+              variance: row.variance,
+              unitCost: row.unitCost,
+              movements: movementMap.get(row.product.toString()) || []
+            },
+            // Uncounted products adjusted to 0
+            $setOnInsert: {
+              barcode: row.barcode,
+              productName: row.productName,
+              categoryName: row.category,
+              unit: row.unit,
+              countedQuantity: 0,
+              entries: [],
+              updatedAt: new Date()
+            }
+          },
+          upsert: true
+        }
+      }));
+    if (lineUpdates.length > 0) {
+      await req.StocktakeLine.bulkWrite(lineUpdates);
+    }
     
     res.json({
       success: true,
-      products,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      message: `Stocktake ${stocktake.number} approved with ${adjustments.length} adjustments`,
+      stocktake,
+      summary: summarizeVariances(rows),
+      movements: results.slice(1).map(m => ({ ...toHistoryEntry(m), product: m.product, productName: m.productName }))
     });
   } catch (error) {
-    console.error('Get products error:', error);
-    res.status(500).json({ message: 'Failed to get products' });
+    if (sendStockError(res, error)) return;
+    console.error('Approve stocktake error:', error);
+    res.status(500).json({ message: 'Failed to approve stocktake' });
   }
 });
 
-// Get single product with history
-app.get('/api/products/:barcode', authMiddleware, companyMiddleware, async (req, res) => {
+// Cancel an open stocktake - its counts are kept but nothing is booked
+app.post('/api/stocktakes/:id/cancel', authMiddleware, companyMiddleware, async (req, res) => {
   try {
-    const { barcode } = req.params;
-    const product = await req.Product.findOne({ barcode: barcode.trim() });
-    
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+    const { reason } = req.body;
+    
+    const stocktake = mongoose.isValidObjectId(req.params.id)
+      ? await req.Stocktake.findOneAndUpdate(
+        { _id: req.params.id, status: 'open' },
+        { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason || '' }, $inc: { __v: 1 } },
+        { new: true }
+      )
+      : null;
+    if (!stocktake) {
+      const exists = mongoose.isValidObjectId(req.params.id) && await req.Stocktake.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ message: 'Only open stocktakes can be cancelled' })
+        : res.status(404).json({ message: 'Stocktake not found' });
     }
     
     res.json({
       success: true,
-      product
+      message: `Stocktake ${stocktake.number} cancelled`,
+      stocktake
     });
   } catch (error) {
-    console.error('Get product error:', error);
-    res.status(500).json({ message: 'Failed to get product' });
+    console.error('Cancel stocktake error:', error);
+    res.status(500).json({ message: 'Failed to cancel stocktake' });
   }
 });
 
-// Update product info
-app.put('/api/products/:barcode', authMiddleware, companyMiddleware, async (req, res) => {
+// ============ COSTING ROUTES ============
+
+// Rebuild the cost layers of all products from the ledger (admin only) - after data
+// fixes, or to cost products that were never touched since costing was introduced
+app.post('/api/costing/rebuild', authMiddleware, adminMiddleware, companyMiddleware, async (req, res) => {
   try {
-    const { barcode } = req.params;
-    const { name, note, buyingPrice, sellingPrice, boughtFrom, sellLocation, imageUrl, category, newBarcode, unit } = req.body;
-    
-    const product = await req.Product.findOne({ barcode: barcode.trim() });
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+    const costingMethod = await getCostingMethod(req);
+    const cursor = req.Product.find().select('unit currentStock buyingPrice').lean().cursor();
+    
+    let productCount = 0;
+    let layerCount = 0;
+    for await (const product of cursor) {
+      layerCount += await rebuildCostLayers(req, product, costingMethod);
+      productCount++;
     }
     
-    // Update barcode if provided and different
-    if (newBarcode !== undefined && newBarcode.trim() !== barcode.trim()) {
-      const existingProduct = await req.Product.findOne({ barcode: newBarcode.trim() });
-      if (existingProduct) {
-        return res.status(400).json({ message: 'A product with this barcode already exists' });
-      }
-      product.barcode = newBarcode.trim();
-    }
-    
-    // Update fields if provided
-    if (name !== undefined) product.name = name.trim();
-    if (note !== undefined) product.note = note.trim();
-    if (buyingPrice !== undefined) product.buyingPrice = parseFloat(buyingPrice) || 0;
-    if (sellingPrice !== undefined) product.sellingPrice = parseFloat(sellingPrice) || 0;
-    if (boughtFrom !== undefined) product.boughtFrom = boughtFrom.trim();
-    if (sellLocation !== undefined) product.sellLocation = sellLocation.trim();
-    if (imageUrl !== undefined) product.imageUrl = imageUrl;
-    if (unit !== undefined) product.unit = unit.trim() || 'ədəd';
+    res.json({
+      success: true,
+      message: `Cost layers rebuilt for ${productCount} products`,
+      costingMethod,
+      products: productCount,
+      layers: layerCount
+    });
+  } catch (error) {
+    console.error('Rebuild cost layers error:', error);
+    res.status(500).json({ message: 'Failed to rebuild cost layers' });
+  }
+});
+
+// ============ NOTIFICATION ROUTES ============
+
+// Get the company's notifications, newest first, with the user's read state
+app.get('/api/notifications', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
     
-    // Update category
-    if (category !== undefined) {
-      if (category === null || category === '') {
-        product.category = null;
-        product.categoryName = '';
-      } else {
-        const categoryDoc = await req.Category.findById(category);
-        if (categoryDoc) {
-          product.category = categoryDoc._id;
-          product.categoryName = categoryDoc.name;
-        }
-      }
-    }
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.unread === 'true') query.readBy = { $ne: req.user._id };
     
-    await product.save();
+    const notifications = await req.Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    const unreadCount = await req.Notification.countDocuments({ readBy: { $ne: req.user._id } });
     
     res.json({
       success: true,
-      message: 'Product updated successfully',
-      product
+      notifications: notifications.map(({ readBy, ...notification }) => ({
+        ...notification,
+        read: readBy.some(id => id.equals(req.user._id))
+      })),
+      unreadCount
     });
   } catch (error) {
-    console.error('Update product error:', error);
-    res.status(500).json({ message: 'Failed to update product' });
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Failed to get notifications' });
   }
 });
 
-// Delete product
-app.delete('/api/products/:barcode', authMiddleware, companyMiddleware, async (req, res) => {
+// Mark all notifications as read for the current user
+app.post('/api/notifications/read-all', authMiddleware, companyMiddleware, async (req, res) => {
   try {
-    const { barcode } = req.params;
+    const result = await req.Notification.updateMany(
+      { readBy: { $ne: req.user._id } },
+      { $addToSet: { readBy: req.user._id } }
+    );
     
-    const product = await req.Product.findOne({ barcode: barcode.trim() });
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark one notification as read for the current user
+app.post('/api/notifications/:id/read', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await req.Notification.findByIdAndUpdate(req.params.id, { $addToSet: { readBy: req.user._id } })
+      : null;
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
     }
     
-    await req.Product.findByIdAndDelete(product._id);
-    
     res.json({
       success: true,
-      message: 'Product deleted successfully'
+      message: 'Notification marked as read'
     });
   } catch (error) {
-    console.error('Delete product error:', error);
-    res.status(500).json({ message: 'Failed to delete product' });
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Failed to mark notification as read' });
   }
 });
 
+// ============ UNIT ROUTES ============
+
+// Get known units and how many decimals a quantity in each unit may have
+app.get('/api/units', authMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    units: Object.entries(UNIT_PRECISION).map(([unit, precision]) => ({ unit, precision })),
+    defaultPrecision: DEFAULT_PRECISION
+  });
+});
+
 // ============ CATEGORY ROUTES ============
 
 // Get all categories
@@ -1793,7 +6184,25 @@ app.get('/api/stats/category-distribution', authMiddleware, companyMiddleware, a
 // Get dashboard stats
 app.get('/api/stats/dashboard', authMiddleware, companyMiddleware, async (req, res) => {
   try {
-    const products = await req.Product.find();
+    const warehouseFilter = req.query.warehouse || '';
+    let products = await req.Product.find().select('currentStock buyingPrice sellingPrice').lean();
+    
+    // With a warehouse filter only the stock held in that warehouse counts
+    if (warehouseFilter) {
+      if (!mongoose.isValidObjectId(warehouseFilter)) {
+        return res.status(400).json({ message: 'Invalid warehouse' });
+      }
+      const balances = await req.StockBalance.find({ warehouse: warehouseFilter, quantity: { $gt: 0 } }).lean();
+      const balanceMap = new Map(balances.map(b => [b.product.toString(), b.quantity]));
+      products = products
+        .filter(p => balanceMap.has(p._id.toString()))
+        .map(p => ({ ...p, currentStock: balanceMap.get(p._id.toString()) }));
+    }
+    
+    // Stock is valued at cost from the costing engine; products without cost layers yet
+    // fall back to their buying price
+    const costingMethod = await getCostingMethod(req);
+    const valuation = await getLayerValuation(req, costingMethod);
     
     // Calculate totals
     let totalProducts = products.length;
@@ -1802,8 +6211,10 @@ app.get('/api/stats/dashboard', authMiddleware, companyMiddleware, async (req, r
     let totalStock = 0;
     
     for (const product of products) {
+      const layers = valuation.get(product._id.toString());
+      const unitCost = layers && layers.quantity > 0 ? layers.value / layers.quantity : (product.buyingPrice || 0);
       totalStock += (product.currentStock || 0);
-      totalBuyValue += (product.currentStock || 0) * (product.buyingPrice || 0);
+      totalBuyValue += (product.currentStock || 0) * unitCost;
       totalSellValue += (product.currentStock || 0) * (product.sellingPrice || 0);
     }
     
@@ -1811,9 +6222,11 @@ app.get('/api/stats/dashboard', authMiddleware, companyMiddleware, async (req, r
       success: true,
       stats: {
         totalProducts,
+        costingMethod,
         totalBuyValue: Math.round(totalBuyValue * 100) / 100,
         totalSellValue: Math.round(totalSellValue * 100) / 100,
-        totalStock
+        // Units are mixed (ədəd, kg, m...), keep the highest precision any unit allows
+        totalStock: Math.round(totalStock * 1000) / 1000
       }
     });
   } catch (error) {
@@ -1822,6 +6235,74 @@ app.get('/api/stats/dashboard', authMiddleware, companyMiddleware, async (req, r
   }
 });
 
+// Get sales per customer / destination
+app.get('/api/stats/sales-by-customer', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    // Same date handling as the transaction export
+    const start = startDate ? new Date(startDate) : new Date(0);
+    const end = endDate ? new Date(endDate) : new Date();
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    
+    // Sum removed quantities per customer and product in the database
+    const totals = await req.StockMovement.aggregate([
+      { $match: { type: 'remove', createdAt: { $gte: start, $lte: end }, reversalOf: null, reversedBy: null } },
+      // Oldest first, so the customer name is the latest one used
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { customer: '$customerId', product: '$product' },
+          customerName: { $last: '$location' },
+          ...snapshotValueAccumulators('$unitPrice'),
+          movements: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    // Current prices are only needed for movements recorded before price snapshots
+    const productIds = [...new Set(totals.filter(t => t.unpricedQuantity > 0).map(t => t._id.product.toString()))];
+    const products = await req.Product.find({ _id: { $in: productIds } }).select('sellingPrice').lean();
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    
+    const customers = new Map();
+    for (const total of totals) {
+      const key = total._id.customer ? total._id.customer.toString() : 'none';
+      if (!customers.has(key)) {
+        customers.set(key, {
+          customerId: total._id.customer || null,
+          customerName: total._id.customer ? total.customerName : 'Unknown',
+          products: 0,
+          movements: 0,
+          revenue: 0
+        });
+      }
+      const customer = customers.get(key);
+      const product = productMap.get(total._id.product.toString());
+      customer.products++;
+      customer.movements += total.movements;
+      customer.revenue += total.value + total.unpricedQuantity * (product?.sellingPrice || 0);
+    }
+    
+    const data = [...customers.values()]
+      .map(c => ({ ...c, revenue: Math.round(c.revenue * 100) / 100 }))
+      .sort((a, b) => b.revenue - a.revenue);
+    
+    res.json({
+      success: true,
+      data,
+      dateRange: {
+        start: start.toISOString(),
+        end: end.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get sales by customer error:', error);
+    res.status(500).json({ message: 'Failed to get sales by customer' });
+  }
+});
+
 // Get inventory value over time for line chart
 app.get('/api/stats/inventory-value', authMiddleware, companyMiddleware, async (req, res) => {
   try {
@@ -1831,33 +6312,63 @@ app.get('/api/stats/inventory-value', authMiddleware, companyMiddleware, async (
     startDate.setDate(startDate.getDate() - days);
     startDate.setHours(0, 0, 0, 0);
     
-    // Get all products with stock history
-    const products = await req.Product.find();
+    // Only purchases and sales count - transfers between warehouses do not change value
+    // Voided sales and their reversal entries cancel out and are left out as well
+    const match = { createdAt: { $gte: startDate }, type: { $in: ['add', 'remove'] }, reversalOf: null, reversedBy: null };
+    if (req.query.warehouse) {
+      if (!mongoose.isValidObjectId(req.query.warehouse)) {
+        return res.status(400).json({ message: 'Invalid warehouse' });
+      }
+      match.warehouse = new mongoose.Types.ObjectId(req.query.warehouse);
+    }
+    
+    // Sum movement values per day, product and type in the database - purchases at the
+    // buying price and sales at the selling price in effect when they happened
+    const dailyTotals = await req.StockMovement.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            product: '$product',
+            type: '$type'
+          },
+          ...snapshotValueAccumulators({ $cond: [{ $eq: ['$type', 'add'] }, '$unitCost', '$unitPrice'] }),
+          // Cost of goods sold from the costing engine; removals without it are costed at the buying price
+          costOfGoods: { $sum: { $ifNull: ['$costOfGoods', 0] } },
+          uncostedQuantity: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$costOfGoods', null] }, null] }, '$quantity', 0] } }
+        }
+      }
+    ]);
+    
+    // Current prices are only needed for movements recorded before price snapshots
+    const productIds = [...new Set(dailyTotals
+      .filter(t => t.unpricedQuantity > 0 || (t._id.type === 'remove' && t.uncostedQuantity > 0))
+      .map(t => t._id.product.toString()))];
+    const products = await req.Product.find({ _id: { $in: productIds } }).select('buyingPrice sellingPrice').lean();
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
     
     // Create a map of daily values
     const dailyData = new Map();
     
-    // Process each product's stock history
-    for (const product of products) {
-      for (const history of product.stockHistory) {
-        const historyDate = new Date(history.createdAt);
-        if (historyDate < startDate) continue;
-        
-        const date = historyDate.toISOString().split('T')[0];
-        
-        if (!dailyData.has(date)) {
-          dailyData.set(date, { bought: 0, sold: 0 });
-        }
-        
-        const dayData = dailyData.get(date);
-        
-        if (history.type === 'add') {
-          // Bought items: quantity × buying price
-          dayData.bought += history.quantity * (product.buyingPrice || 0);
-        } else if (history.type === 'remove') {
-          // Sold items: quantity × selling price
-          dayData.sold += history.quantity * (product.sellingPrice || 0);
-        }
+    for (const total of dailyTotals) {
+      const product = productMap.get(total._id.product.toString()) || {};
+      
+      const date = total._id.date;
+      
+      if (!dailyData.has(date)) {
+        dailyData.set(date, { bought: 0, sold: 0, costOfGoods: 0 });
+      }
+      
+      const dayData = dailyData.get(date);
+      
+      if (total._id.type === 'add') {
+        // Bought items: quantity × buying price
+        dayData.bought += total.value + total.unpricedQuantity * (product.buyingPrice || 0);
+      } else if (total._id.type === 'remove') {
+        // Sold items: quantity × selling price
+        dayData.sold += total.value + total.unpricedQuantity * (product.sellingPrice || 0);
+        dayData.costOfGoods += total.costOfGoods + total.uncostedQuantity * (product.buyingPrice || 0);
       }
     }
     
@@ -1865,17 +6376,21 @@ app.get('/api/stats/inventory-value', authMiddleware, companyMiddleware, async (
     const sortedDates = Array.from(dailyData.keys()).sort();
     
     // Calculate cumulative values
+    // Profit is the gross margin: sales minus the cost of the goods sold
     let cumulativeBought = 0;
     let cumulativeSold = 0;
+    let cumulativeCost = 0;
     const chartData = sortedDates.map(date => {
       const dayData = dailyData.get(date);
       cumulativeBought += dayData.bought;
       cumulativeSold += dayData.sold;
+      cumulativeCost += dayData.costOfGoods;
       return {
         date,
         bought: Math.round(cumulativeBought * 100) / 100,
         sold: Math.round(cumulativeSold * 100) / 100,
-        profit: Math.round((cumulativeSold - cumulativeBought) * 100) / 100
+        costOfGoods: Math.round(cumulativeCost * 100) / 100,
+        profit: Math.round((cumulativeSold - cumulativeCost) * 100) / 100
       };
     });
     
@@ -1889,6 +6404,236 @@ app.get('/api/stats/inventory-value', authMiddleware, companyMiddleware, async (
   }
 });
 
+// Get gross margin per sale (removal) from the costing engine
+app.get('/api/stats/margins', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { startDate, endDate, product } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+    const page = parseInt(req.query.page) || 1;
+    
+    // Same date handling as the transaction export
+    const start = startDate ? new Date(startDate) : new Date(0);
+    const end = endDate ? new Date(endDate) : new Date();
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    
+    const match = { type: 'remove', createdAt: { $gte: start, $lte: end }, reversalOf: null, reversedBy: null };
+    if (product) {
+      if (!mongoose.isValidObjectId(product)) {
+        return res.status(400).json({ message: 'Invalid product' });
+      }
+      match.product = new mongoose.Types.ObjectId(product);
+    }
+    
+    // Old entries without snapshots use the product's current prices
+    const toMargin = (movement, current = {}) => {
+      const revenue = movement.quantity * (movement.unitPrice ?? current.sellingPrice ?? 0);
+      const costOfGoods = movement.costOfGoods ?? movement.quantity * (movement.unitCost ?? current.buyingPrice ?? 0);
+      return {
+        revenue: roundMoney(revenue),
+        costOfGoods: roundMoney(costOfGoods),
+        margin: roundMoney(revenue - costOfGoods),
+        marginPercent: revenue > 0 ? Math.round((revenue - costOfGoods) / revenue * 10000) / 100 : null
+      };
+    };
+    
+    const movements = await req.StockMovement.find(match)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+    const total = await req.StockMovement.countDocuments(match);
+    
+    const productIds = [...new Set(movements.map(m => m.product.toString()))];
+    const products = await req.Product.find({ _id: { $in: productIds } }).select('buyingPrice sellingPrice unit').lean();
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    
+    // Totals over the whole period, not just this page
+    const [totals] = await req.StockMovement.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          revenue: { $sum: { $multiply: ['$quantity', { $ifNull: ['$unitPrice', 0] }] } },
+          costOfGoods: { $sum: { $ifNull: ['$costOfGoods', { $multiply: ['$quantity', { $ifNull: ['$unitCost', 0] }] }] } },
+          quantity: { $sum: '$quantity' },
+          movements: { $sum: 1 }
+        }
+      }
+    ]);
+    const summary = toMargin({ quantity: 1, unitPrice: totals?.revenue || 0, costOfGoods: totals?.costOfGoods || 0 });
+    
+    res.json({
+      success: true,
+      costingMethod: await getCostingMethod(req),
+      movements: movements.map(m => {
+        const current = productMap.get(m.product.toString());
+        return {
+          ...toHistoryEntry(m),
+          product: m.product,
+          barcode: m.barcode,
+          productName: m.productName,
+          unit: normalizeUnit(current?.unit),
+          ...toMargin(m, current)
+        };
+      }),
+      summary: { ...summary, movements: totals?.movements || 0 },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      dateRange: {
+        start: start.toISOString(),
+        end: end.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get margins error:', error);
+    res.status(500).json({ message: 'Failed to get margins' });
+  }
+});
+
+// Get stock adjustments per reason (damage, theft, stocktake...) valued at cost
+app.get('/api/stats/adjustments', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    // Same date handling as the transaction export
+    const start = startDate ? new Date(startDate) : new Date(0);
+    const end = endDate ? new Date(endDate) : new Date();
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    
+    // Reversed adjustments and their reversal entries cancel out and are left out
+    const match = {
+      type: { $in: ['adjustment_in', 'adjustment_out'] },
+      createdAt: { $gte: start, $lte: end },
+      reversalOf: null,
+      reversedBy: null
+    };
+    if (req.query.warehouse) {
+      if (!mongoose.isValidObjectId(req.query.warehouse)) {
+        return res.status(400).json({ message: 'Invalid warehouse' });
+      }
+      match.warehouse = new mongoose.Types.ObjectId(req.query.warehouse);
+    }
+    
+    const totals = await req.StockMovement.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { reason: '$reason', type: '$type' },
+          value: {
+            $sum: {
+              $cond: [
+                { $eq: ['$type', 'adjustment_out'] },
+                { $ifNull: ['$costOfGoods', { $multiply: ['$quantity', { $ifNull: ['$unitCost', 0] }] }] },
+                { $multiply: ['$quantity', { $ifNull: ['$unitCost', 0] }] }
+              ]
+            }
+          },
+          movements: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    await ensureAdjustmentReasons(req.AdjustmentReason);
+    const reasonDocs = await req.AdjustmentReason.find().select('code name').lean();
+    const reasonNames = new Map(reasonDocs.map(r => [r.code, r.name]));
+    
+    const byReason = new Map();
+    for (const total of totals) {
+      const code = total._id.reason || '';
+      if (!byReason.has(code)) {
+        byReason.set(code, { reason: code, name: reasonNames.get(code) || code, addedValue: 0, removedValue: 0, movements: 0 });
+      }
+      const row = byReason.get(code);
+      if (total._id.type === 'adjustment_in') row.addedValue += total.value;
+      else row.removedValue += total.value;
+      row.movements += total.movements;
+    }
+    
+    const reasons = [...byReason.values()]
+      .map(row => ({
+        ...row,
+        addedValue: roundMoney(row.addedValue),
+        removedValue: roundMoney(row.removedValue),
+        netValue: roundMoney(row.addedValue - row.removedValue)
+      }))
+      .sort((a, b) => a.netValue - b.netValue);
+    
+    res.json({
+      success: true,
+      reasons,
+      summary: {
+        addedValue: roundMoney(reasons.reduce((sum, r) => sum + r.addedValue, 0)),
+        removedValue: roundMoney(reasons.reduce((sum, r) => sum + r.removedValue, 0)),
+        netValue: roundMoney(reasons.reduce((sum, r) => sum + r.netValue, 0)),
+        movements: reasons.reduce((sum, r) => sum + r.movements, 0)
+      },
+      dateRange: {
+        start: start.toISOString(),
+        end: end.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get adjustment stats error:', error);
+    res.status(500).json({ message: 'Failed to get adjustment stats' });
+  }
+});
+
+// Get the value of the stock on hand per product at cost
+app.get('/api/stats/valuation', authMiddleware, companyMiddleware, async (req, res) => {
+  try {
+    const costingMethod = await getCostingMethod(req);
+    const products = await req.Product.find({ currentStock: { $gt: 0 } })
+      .select('barcode name unit currentStock buyingPrice sellingPrice categoryName')
+      .sort({ name: 1 })
+      .lean();
+    const valuation = await getLayerValuation(req, costingMethod, products.map(p => p._id));
+    
+    let totalCost = 0;
+    let totalSellValue = 0;
+    const items = products.map(product => {
+      const layers = valuation.get(product._id.toString());
+      // Products without cost layers yet are valued at their buying price
+      const unitCost = layers && layers.quantity > 0 ? layers.value / layers.quantity : (product.buyingPrice || 0);
+      const costValue = product.currentStock * unitCost;
+      const sellValue = product.currentStock * (product.sellingPrice || 0);
+      totalCost += costValue;
+      totalSellValue += sellValue;
+      return {
+        product: product._id,
+        barcode: product.barcode,
+        name: product.name,
+        category: product.categoryName || 'Uncategorized',
+        unit: normalizeUnit(product.unit),
+        quantity: product.currentStock,
+        unitCost: Math.round(unitCost * 10000) / 10000,
+        costValue: roundMoney(costValue),
+        sellValue: roundMoney(sellValue),
+        costed: !!layers
+      };
+    });
+    
+    res.json({
+      success: true,
+      costingMethod,
+      items,
+      summary: {
+        products: items.length,
+        costValue: roundMoney(totalCost),
+        sellValue: roundMoney(totalSellValue)
+      }
+    });
+  } catch (error) {
+    console.error('Get valuation error:', error);
+    res.status(500).json({ message: 'Failed to get stock valuation' });
+  }
+});
+
 // Export inventory transactions (stock history)
 app.get('/api/export/inventory-transactions', authMiddleware, async (req, res) => {
   try {
@@ -1915,39 +6660,14 @@ app.get('/api/export/inventory-transactions', authMiddleware, async (req, res) =
       for (const company of companies) {
         try {
           const companyDb = await getCompanyConnection(company.slug);
-          const ProductModel = companyDb.model('Product');
+          const rows = await getTransactionRows(companyDb, start, end);
           
-          const products = await ProductModel.find().select('barcode name category categoryName buyingPrice sellingPrice unit stockHistory');
-          
-          for (const product of products) {
-            if (!product.stockHistory || product.stockHistory.length === 0) continue;
-            
-            for (const history of product.stockHistory) {
-              const transactionDate = new Date(history.createdAt);
-              
-              if (transactionDate >= start && transactionDate <= end) {
-                allTransactions.push({
-                  date: transactionDate,
-                  barcode: product.barcode,
-                  productName: product.name,
-                  category: product.categoryName || 'Uncategorized',
-                  type: history.type,
-                  quantity: history.quantity,
-                  unit: product.unit || 'ədəd',
-                  buyingPrice: product.buyingPrice || 0,
-                  sellingPrice: product.sellingPrice || 0,
-                  totalCost: history.type === 'add' ? (history.quantity * (product.buyingPrice || 0)) : 0,
-                  totalRevenue: history.type === 'remove' ? (history.quantity * (product.sellingPrice || 0)) : 0,
-                  supplier: history.supplier || '',
-                  location: history.location || '',
-                  note: history.note || '',
-                  addedBy: history.addedByName || 'Unknown',
-                  createdAt: history.createdAt,
-                  companyName: company.name,
-                  companySlug: company.slug
-                });
-              }
-            }
+          for (const row of rows) {
+            allTransactions.push({
+              ...row,
+              companyName: company.name,
+              companySlug: company.slug
+            });
           }
         } catch (companyErr) {
           console.error(`Error fetching from company ${company.slug}:`, companyErr);
@@ -1982,46 +6702,13 @@ app.get('/api/export/inventory-transactions', authMiddleware, async (req, res) =
     }
     
     const companyDb = await getCompanyConnection(companySlug);
-    const ProductModel = companyDb.model('Product');
     
-    // Get all products
-    const products = await ProductModel.find().select('barcode name category categoryName buyingPrice sellingPrice unit stockHistory');
-    
-    // Collect all transactions
-    const transactions = [];
-    
-    for (const product of products) {
-      if (!product.stockHistory || product.stockHistory.length === 0) continue;
-      
-      for (const history of product.stockHistory) {
-        const transactionDate = new Date(history.createdAt);
-        
-        // Filter by date range
-        if (transactionDate >= start && transactionDate <= end) {
-          transactions.push({
-            date: transactionDate,
-            barcode: product.barcode,
-            productName: product.name,
-            category: product.categoryName || 'Uncategorized',
-            type: history.type,
-            quantity: history.quantity,
-            unit: product.unit || 'ədəd',
-            buyingPrice: product.buyingPrice || 0,
-            sellingPrice: product.sellingPrice || 0,
-            totalCost: history.type === 'add' ? (history.quantity * (product.buyingPrice || 0)) : 0,
-            totalRevenue: history.type === 'remove' ? (history.quantity * (product.sellingPrice || 0)) : 0,
-            supplier: history.supplier || '',
-            location: history.location || '',
-            note: history.note || '',
-            addedBy: history.addedByName || 'Unknown',
-            createdAt: history.createdAt
-          });
-        }
-      }
+    if (req.query.warehouse && !mongoose.isValidObjectId(req.query.warehouse)) {
+      return res.status(400).json({ message: 'Invalid warehouse' });
     }
     
-    // Sort by date (newest first)
-    transactions.sort((a, b) => b.date - a.date);
+    // Collect all transactions in the date range (already sorted newest first)
+    const transactions = await getTransactionRows(companyDb, start, end, { warehouse: req.query.warehouse });
     
     res.json({
       success: true,
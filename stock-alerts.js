@@ -0,0 +1,91 @@
+// Reorder points and low-stock alerts. A product with minStock > 0 is low on stock once
+// its stock falls to or below that minimum.
+
+const { roundQuantity, normalizeUnit, parseQuantity } = require('./units');
+const { OPEN_ORDER_STATUSES, outstandingQuantity } = require('./purchasing');
+
+const LOW_STOCK_QUERY = { minStock: { $gt: 0 }, $expr: { $lte: ['$currentStock', '$minStock'] } };
+
+function isLowStock(product) {
+  return (product.minStock || 0) > 0 && (product.currentStock || 0) <= product.minStock;
+}
+
+// Validate minStock / reorderQuantity sent by a client, in the product's unit. Fields that
+// are not sent are left out; empty means 0. Returns { value } or { error }.
+function parseReorderSettings(body, unit) {
+  const labels = { minStock: 'Minimum stock', reorderQuantity: 'Reorder quantity' };
+  const value = {};
+  for (const field of Object.keys(labels)) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      value[field] = 0;
+      continue;
+    }
+    const parsed = parseQuantity(body[field], unit, { allowZero: true });
+    if (parsed.error) {
+      return { error: `${labels[field]}: ${parsed.error}` };
+    }
+    value[field] = parsed.value;
+  }
+  return { value };
+}
+
+// How much to order: nothing if open purchase orders already lift the stock above the
+// minimum, otherwise the reorder quantity but at least enough to reach the minimum
+function suggestedOrderQuantity(product, onOrder = 0) {
+  const expected = (product.currentStock || 0) + onOrder;
+  if (expected > product.minStock) return 0;
+  return roundQuantity(Math.max(product.reorderQuantity || 0, product.minStock - expected), product.unit);
+}
+
+// Products at or below their minimum stock, with what is still on order from suppliers
+async function getLowStockItems({ Product, PurchaseOrder }, { supplier } = {}) {
+  const query = { ...LOW_STOCK_QUERY };
+  if (supplier) query.supplier = supplier;
+
+  const products = await Product.find(query)
+    .select('barcode name unit currentStock minStock reorderQuantity buyingPrice supplier boughtFrom categoryName')
+    .sort({ name: 1 })
+    .lean();
+  if (products.length === 0) return [];
+
+  const orders = await PurchaseOrder.find({
+    status: { $in: OPEN_ORDER_STATUSES },
+    'lines.product': { $in: products.map(p => p._id) }
+  }).select('lines').lean();
+  const onOrder = new Map();
+  for (const order of orders) {
+    for (const line of order.lines) {
+      const key = line.product.toString();
+      onOrder.set(key, (onOrder.get(key) || 0) + outstandingQuantity(line));
+    }
+  }
+
+  return products.map(product => {
+    const ordered = roundQuantity(onOrder.get(product._id.toString()) || 0, product.unit);
+    return {
+      product: product._id,
+      barcode: product.barcode,
+      name: product.name,
+      category: product.categoryName || 'Uncategorized',
+      unit: normalizeUnit(product.unit),
+      currentStock: product.currentStock,
+      minStock: product.minStock,
+      reorderQuantity: product.reorderQuantity || 0,
+      shortfall: roundQuantity(product.minStock - product.currentStock, product.unit),
+      onOrder: ordered,
+      suggestedQuantity: suggestedOrderQuantity(product, ordered),
+      supplier: product.supplier || null,
+      supplierName: product.boughtFrom || '',
+      buyingPrice: product.buyingPrice || 0
+    };
+  });
+}
+
+module.exports = {
+  LOW_STOCK_QUERY,
+  isLowStock,
+  parseReorderSettings,
+  suggestedOrderQuantity,
+  getLowStockItems
+};
@@ -0,0 +1,382 @@
+// Stock ledger - the only place that changes stock levels for stock movements.
+// Every change is a single conditional update, so concurrent scanners can neither
+// lose each other's updates nor drive stock below zero. An operation touching
+// several documents (warehouse balance, product total, ledger entry) undoes the
+// steps already done when a later step fails.
+
+const mongoose = require('mongoose');
+const { getUnitPrecision } = require('./units');
+const {
+  INCOMING_TYPES,
+  OUTGOING_TYPES,
+  getCostingMethod,
+  ensureCostLayers,
+  addCostLayer,
+  consumeCostLayers
+} = require('./costing');
+const { addLots, revertLots, consumeLots } = require('./lots');
+const { receiveSerials, issueSerials, moveSerials, revertSerials } = require('./serials');
+
+// How often a removal is retried when stock changed between update and re-check
+const STOCK_UPDATE_RETRIES = 3;
+
+// Name of the warehouse created for companies that have not set one up yet
+const DEFAULT_WAREHOUSE_NAME = 'Əsas anbar';
+
+// Error carrying the HTTP status and a machine readable code for the client
+function stockError(status, message, code, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Send a stockError as JSON response. Returns false for unexpected errors.
+function sendStockError(res, error) {
+  if (!error.status) return false;
+  if (error.status === 409) res.set('Retry-After', '1');
+  res.status(error.status).json({
+    message: error.message,
+    code: error.code,
+    retryable: error.status === 409,
+    ...error.details
+  });
+  return true;
+}
+
+// Update pipeline adding delta to a stock field, rounded to the unit's precision so
+// decimal quantities do not accumulate float noise
+function roundedIncrement(field, delta, precision) {
+  return { $round: [{ $add: [{ $ifNull: [`$${field}`, 0] }, delta] }, precision] };
+}
+
+// Atomically add delta to a numeric field of the document matching filter.
+// Negative deltas only match while the field is large enough; onShortage(available)
+// builds the error when it is not. Positive deltas create the document if needed.
+async function incrementStock(Model, filter, field, delta, precision, { upsert = false, onShortage, notFound } = {}) {
+  for (let attempt = 0; attempt < STOCK_UPDATE_RETRIES; attempt++) {
+    const conditional = delta < 0 ? { ...filter, [field]: { $gte: -delta } } : filter;
+
+    const doc = await Model.findOneAndUpdate(
+      conditional,
+      [{ $set: { [field]: roundedIncrement(field, delta, precision), updatedAt: new Date() } }],
+      { new: true, upsert: upsert && delta >= 0 }
+    );
+    if (doc) return doc;
+
+    const current = await Model.findOne(filter).select(field).lean();
+    if (!current && notFound) {
+      throw notFound;
+    }
+    const available = current ? (current[field] || 0) : 0;
+    if (available < -delta) {
+      throw onShortage(available);
+    }
+    // Another request changed the stock in between - try again
+  }
+
+  throw stockError(409, 'Stock was changed by another request, please retry', 'STOCK_CONFLICT');
+}
+
+// Undo an incrementStock without any condition (used while rolling back)
+function revertIncrement(Model, filter, field, delta, precision) {
+  return Model.updateOne(filter, [{ $set: { [field]: roundedIncrement(field, -delta, precision) } }]);
+}
+
+// Atomically add delta (negative for removals) to a product's total stock.
+// The database enforces the "Insufficient stock" rule, not a value read earlier.
+function changeProductStock(Product, productId, delta, precision = 0) {
+  return incrementStock(Product, { _id: productId }, 'currentStock', delta, precision, {
+    notFound: stockError(404, 'Product not found', 'PRODUCT_NOT_FOUND'),
+    onShortage: available => stockError(400, 'Insufficient stock', 'INSUFFICIENT_STOCK', { currentStock: available })
+  });
+}
+
+// Atomically add delta to a product's balance in one warehouse
+function changeWarehouseStock(StockBalance, productId, warehouseId, delta, precision = 0) {
+  return incrementStock(StockBalance, { product: productId, warehouse: warehouseId }, 'quantity', delta, precision, {
+    upsert: true,
+    onShortage: available => stockError(400, 'Insufficient stock in this warehouse', 'INSUFFICIENT_STOCK', { available })
+  });
+}
+
+// Get the company's default warehouse, creating it on first use
+async function getDefaultWarehouse(Warehouse) {
+  const existing = await Warehouse.findOne({ isDefault: true });
+  if (existing) return existing;
+
+  try {
+    return await Warehouse.create({ name: DEFAULT_WAREHOUSE_NAME, code: 'MAIN', isDefault: true });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code !== 11000) throw error;
+    return Warehouse.findOne({ isDefault: true });
+  }
+}
+
+// Stock booked before warehouses existed has no balance yet - put it on the default warehouse
+async function ensureOpeningBalance({ StockBalance, Warehouse }, product) {
+  if (!(product.currentStock > 0)) return;
+  if (await StockBalance.exists({ product: product._id })) return;
+
+  const warehouse = await getDefaultWarehouse(Warehouse);
+  await StockBalance.updateOne(
+    { product: product._id, warehouse: warehouse._id },
+    { $setOnInsert: { quantity: product.currentStock, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+// Run steps in order; each step may return an undo function. If a step throws,
+// the undo functions collected so far run in reverse order and the error is rethrown.
+async function runWithRollback(steps) {
+  const undo = [];
+  try {
+    const results = [];
+    for (const step of steps) {
+      const result = await step();
+      if (result && typeof result.undo === 'function') undo.push(result.undo);
+      results.push(result?.value);
+    }
+    return results;
+  } catch (error) {
+    for (const revert of undo.reverse()) {
+      await revert().catch(err => console.error('[Stock ledger] Rollback failed:', err));
+    }
+    throw error;
+  }
+}
+
+// Prices in effect now, stored on ledger entries so later price changes do not rewrite
+// history. A movement may bring its own (e.g. the price paid on a purchase order).
+function priceSnapshot(product) {
+  return { unitCost: product.buyingPrice || 0, unitPrice: product.sellingPrice || 0 };
+}
+
+// Change in stock a movement makes (negative for removals and outgoing adjustments)
+function stockDelta(movement) {
+  return OUTGOING_TYPES.includes(movement.type) ? -movement.quantity : movement.quantity;
+}
+
+// Take stock leaving a warehouse from the product's lots (see consumeLots).
+// Returns { value: lots taken, undo }.
+async function takeLots(models, product, warehouse, quantity, { lots, lotNumber } = {}) {
+  const consumed = await consumeLots(models.LotBalance, product, warehouse, quantity, { lots, lotNumber });
+  if (consumed.shortage !== undefined) {
+    throw stockError(400, lotNumber !== undefined ? `Insufficient stock in lot "${lotNumber}"` : 'Insufficient stock in the lot',
+      'INSUFFICIENT_LOT_STOCK', { available: consumed.shortage });
+  }
+  return { value: consumed.lots, undo: consumed.undo };
+}
+
+// A movement of a serialized product names one serial per unit it moves; other
+// products have no serials
+function checkSerials(product, movement) {
+  const serials = movement.serials || [];
+  if (!product.serialized) {
+    if (serials.length > 0) {
+      throw stockError(400, `"${product.name}" is not tracked by serial number`, 'NOT_SERIALIZED');
+    }
+    return;
+  }
+  if (serials.length !== movement.quantity) {
+    throw stockError(400, `"${product.name}" needs one serial number per unit: ${movement.quantity} required, ${serials.length} given`,
+      'SERIALS_REQUIRED', { barcode: product.barcode, required: movement.quantity, given: serials.length });
+  }
+}
+
+// Put the serials of an incoming movement in stock in its warehouse or take those of an
+// outgoing one out. Returns { undo }.
+async function bookSerials(models, product, movement) {
+  const incoming = !OUTGOING_TYPES.includes(movement.type);
+  const result = incoming
+    ? await receiveSerials(models.SerialNumber, product, movement.warehouse, movement.serials)
+    : await issueSerials(models.SerialNumber, product, movement.warehouse, movement.serials);
+  if (result.conflict !== undefined) {
+    throw stockError(400, `Serial number "${result.conflict}" is already in stock`, 'SERIAL_IN_STOCK', { serial: result.conflict });
+  }
+  if (result.missing !== undefined) {
+    throw stockError(400, `Serial number "${result.missing}" is not in stock in this warehouse`, 'SERIAL_NOT_IN_STOCK', { serial: result.missing });
+  }
+  return { undo: result.undo };
+}
+
+// Apply a stock movement: change the warehouse balance, the product total, the lots and
+// the serials, cost the movement and append the ledger entry. movement.warehouse /
+// warehouseName select the warehouse. Incoming movements put movement.lots on the
+// warehouse; outgoing ones take movement.lots exactly, the lots with options.lotNumber or
+// the lots expiring first. Serialized products move exactly movement.serials.
+// Returns { product, movement, undo } - undo reverts the whole movement, cost layers
+// included, for rollbacks of operations over several movements.
+async function applyStockMovement(models, product, movement, { lotNumber } = {}) {
+  const { Product, StockMovement, StockBalance } = models;
+  const delta = stockDelta(movement);
+  const precision = getUnitPrecision(product.unit);
+  const balanceKey = { product: product._id, warehouse: movement.warehouse };
+  checkSerials(product, movement);
+  const costingMethod = await getCostingMethod(models);
+
+  await ensureOpeningBalance(models, product);
+  await ensureCostLayers(models, product, costingMethod);
+
+  // Filled in by the lot and costing steps for the ledger entry created after them, and
+  // by the ledger step for the cost layer of a purchase
+  let lots;
+  let costOfGoods;
+  let createdMovement;
+  let undoCosting = null;
+  const [, updatedProduct] = await runWithRollback([
+    async () => {
+      await changeWarehouseStock(StockBalance, product._id, movement.warehouse, delta, precision);
+      return { undo: () => revertIncrement(StockBalance, balanceKey, 'quantity', delta, precision) };
+    },
+    async () => {
+      const value = await changeProductStock(Product, product._id, delta, precision);
+      return { value, undo: () => revertIncrement(Product, { _id: product._id }, 'currentStock', delta, precision) };
+    },
+    async () => {
+      if (OUTGOING_TYPES.includes(movement.type)) {
+        const taken = await takeLots(models, product, movement.warehouse, movement.quantity, { lots: movement.lots, lotNumber });
+        lots = taken.value;
+        return { undo: taken.undo };
+      }
+      if (!movement.lots || movement.lots.length === 0) return null;
+      lots = movement.lots;
+      return { undo: await addLots(models.LotBalance, product, movement.warehouse, lots) };
+    },
+    async () => (product.serialized ? bookSerials(models, product, movement) : null),
+    async () => {
+      if (!OUTGOING_TYPES.includes(movement.type)) return null;
+      const consumed = await consumeCostLayers(models, product, movement.quantity, costingMethod);
+      costOfGoods = consumed.costOfGoods;
+      undoCosting = consumed.undo;
+      return { undo: consumed.undo };
+    },
+    async () => {
+      createdMovement = await StockMovement.create({
+        ...priceSnapshot(product),
+        ...movement,
+        ...(costOfGoods !== undefined && { costOfGoods }),
+        lots: lots && lots.length > 0 ? lots : undefined,
+        serials: product.serialized ? movement.serials : undefined,
+        product: product._id,
+        barcode: product.barcode,
+        productName: product.name
+      });
+      return { undo: () => StockMovement.deleteOne({ _id: createdMovement._id }) };
+    },
+    async () => {
+      if (!INCOMING_TYPES.includes(createdMovement.type)) return null;
+      const layer = await addCostLayer(models, product, createdMovement, costingMethod);
+      undoCosting = layer.undo;
+      return layer;
+    }
+  ]);
+
+  return {
+    product: updatedProduct,
+    movement: createdMovement,
+    undo: async () => {
+      await revertStockMovement(models, product, createdMovement);
+      if (undoCosting) await undoCosting();
+    }
+  };
+}
+
+// Give the stock change of an applyStockMovement back and drop the ledger entry. The
+// cost layers are left as they are - use the undo applyStockMovement returns.
+async function revertStockMovement(models, product, movement) {
+  const { Product, StockMovement, StockBalance } = models;
+  const delta = stockDelta(movement);
+  const precision = getUnitPrecision(product.unit);
+
+  await revertIncrement(StockBalance, { product: product._id, warehouse: movement.warehouse }, 'quantity', delta, precision);
+  await revertIncrement(Product, { _id: product._id }, 'currentStock', delta, precision);
+  if (movement.lots && movement.lots.length > 0) {
+    await revertLots(models.LotBalance, product, movement.warehouse, movement.lots, delta < 0 ? 1 : -1);
+  }
+  await StockMovement.deleteOne({ _id: movement._id });
+  if (movement.serials && movement.serials.length > 0) {
+    await revertSerials(models, product, movement.warehouse, movement.serials, delta > 0);
+  }
+}
+
+// Move stock of a product between two warehouses of the same company. The product
+// total does not change; the ledger gets a transfer_out and a transfer_in entry. Lots
+// move along (options.lotNumber or the lots expiring first), serialized products move
+// movement.serials.
+async function transferStock(models, product, from, to, movement, { lotNumber } = {}) {
+  const { Product, StockMovement, StockBalance } = models;
+  const precision = getUnitPrecision(product.unit);
+  const transferId = new mongoose.Types.ObjectId();
+  const quantity = movement.quantity;
+
+  checkSerials(product, movement);
+  await ensureOpeningBalance(models, product);
+
+  let lots;
+  const [, , , , , movements] = await runWithRollback([
+    async () => {
+      await changeWarehouseStock(StockBalance, product._id, from._id, -quantity, precision);
+      return { undo: () => revertIncrement(StockBalance, { product: product._id, warehouse: from._id }, 'quantity', -quantity, precision) };
+    },
+    async () => {
+      await changeWarehouseStock(StockBalance, product._id, to._id, quantity, precision);
+      return { undo: () => revertIncrement(StockBalance, { product: product._id, warehouse: to._id }, 'quantity', quantity, precision) };
+    },
+    async () => {
+      const taken = await takeLots(models, product, from._id, quantity, { lotNumber });
+      lots = taken.value;
+      return { undo: taken.undo };
+    },
+    async () => ({ undo: await addLots(models.LotBalance, product, to._id, lots) }),
+    async () => {
+      if (!product.serialized) return null;
+      const moved = await moveSerials(models.SerialNumber, product, from._id, to._id, movement.serials);
+      if (moved.missing !== undefined) {
+        throw stockError(400, `Serial number "${moved.missing}" is not in stock in ${from.name}`, 'SERIAL_NOT_IN_STOCK', { serial: moved.missing });
+      }
+      return { undo: moved.undo };
+    },
+    async () => {
+      const common = {
+        ...priceSnapshot(product),
+        ...movement,
+        lots: lots.length > 0 ? lots : undefined,
+        serials: product.serialized ? movement.serials : undefined,
+        product: product._id,
+        barcode: product.barcode,
+        productName: product.name,
+        transferId
+      };
+      return {
+        value: await StockMovement.insertMany([
+          { ...common, type: 'transfer_out', warehouse: from._id, warehouseName: from.name, location: to.name },
+          { ...common, type: 'transfer_in', warehouse: to._id, warehouseName: to.name, location: from.name }
+        ])
+      };
+    }
+  ]);
+
+  await Product.updateOne({ _id: product._id }, { $set: { updatedAt: new Date() } });
+  return { movements };
+}
+
+module.exports = {
+  DEFAULT_WAREHOUSE_NAME,
+  stockError,
+  sendStockError,
+  roundedIncrement,
+  incrementStock,
+  revertIncrement,
+  runWithRollback,
+  stockDelta,
+  changeProductStock,
+  changeWarehouseStock,
+  getDefaultWarehouse,
+  ensureOpeningBalance,
+  applyStockMovement,
+  revertStockMovement,
+  transferStock
+};
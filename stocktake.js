@@ -0,0 +1,194 @@
+// Stocktake (physical count) sessions. Users scan products into an open session and
+// enter the counted quantities; the variances against the stock the system expects in
+// the session's warehouse are reviewed and, on approval, booked as adjustment movements
+// with the reason 'stocktake'.
+
+const { getUnitPrecision, roundQuantity, normalizeUnit } = require('./units');
+const { roundMoney } = require('./purchasing');
+const { roundedIncrement } = require('./stock-ledger');
+
+const STOCKTAKE_REASON = 'stocktake';
+
+// 'add' adds the counted quantity to what was counted before (one scan per item),
+// 'set' replaces it (quantity typed in after counting a shelf)
+const COUNT_MODES = ['add', 'set'];
+
+// Products a session counts: one category or the whole company
+function stocktakeProductFilter(stocktake) {
+  return stocktake.category ? { category: stocktake.category } : {};
+}
+
+// Stock the system expects per product in the warehouse: Map of productId -> quantity.
+// Stock booked before warehouses existed has no balance yet and belongs to the default
+// warehouse (see ensureOpeningBalance).
+async function getExpectedQuantities({ StockBalance }, products, warehouse) {
+  const balances = await StockBalance.find({ product: { $in: products.map(p => p._id) } })
+    .select('product warehouse quantity')
+    .lean();
+
+  const expected = new Map();
+  const withBalance = new Set();
+  for (const balance of balances) {
+    withBalance.add(balance.product.toString());
+    if (balance.warehouse.equals(warehouse._id)) {
+      expected.set(balance.product.toString(), balance.quantity);
+    }
+  }
+  for (const product of products) {
+    const id = product._id.toString();
+    if (!withBalance.has(id) && warehouse.isDefault) {
+      expected.set(id, product.currentStock || 0);
+    }
+  }
+  return expected;
+}
+
+// Add a count to the product's line of the session (created on its first count).
+// Concurrent counts of several users are applied atomically. Serialized products are
+// counted by serial (count.serials): a serial counted twice is counted once.
+async function recordCount({ StocktakeLine }, stocktake, product, count, user) {
+  const precision = getUnitPrecision(product.unit);
+  const entry = {
+    quantity: count.quantity,
+    enteredQuantity: count.enteredQuantity,
+    enteredUnit: count.enteredUnit,
+    mode: count.mode,
+    scan: count.scan || null,
+    ...(product.serialized && { serials: count.serials }),
+    user: user._id,
+    userName: user.fullName,
+    countedAt: new Date()
+  };
+
+  const update = [{
+    $set: {
+      barcode: product.barcode,
+      productName: product.name,
+      categoryName: product.categoryName || '',
+      unit: normalizeUnit(product.unit),
+      countedQuantity: count.mode === 'set'
+        ? count.quantity
+        : roundedIncrement('countedQuantity', count.quantity, precision),
+      entries: { $concatArrays: [{ $ifNull: ['$entries', []] }, [{ $literal: entry }]] },
+      updatedAt: new Date()
+    }
+  }];
+  if (product.serialized) {
+    update.push(
+      {
+        $set: {
+          countedSerials: count.mode === 'set'
+            ? { $literal: count.serials }
+            : { $setUnion: [{ $ifNull: ['$countedSerials', []] }, { $literal: count.serials }] }
+        }
+      },
+      { $set: { countedQuantity: { $size: '$countedSerials' } } }
+    );
+  }
+
+  try {
+    return await StocktakeLine.findOneAndUpdate(
+      { stocktake: stocktake._id, product: product._id },
+      update,
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Line created by a concurrent first count of the same product - count onto it
+    if (error.code !== 11000) throw error;
+    return StocktakeLine.findOneAndUpdate({ stocktake: stocktake._id, product: product._id }, update, { new: true });
+  }
+}
+
+function toVarianceRow(line, product, expectedQuantity, countedQuantity) {
+  const unit = normalizeUnit(product?.unit || line?.unit);
+  const unitCost = line?.unitCost ?? product?.buyingPrice ?? 0;
+  const variance = countedQuantity === null ? null : roundQuantity(countedQuantity - expectedQuantity, unit);
+
+  return {
+    product: product?._id || line.product,
+    barcode: product?.barcode || line.barcode,
+    productName: product?.name || line.productName,
+    category: (product ? product.categoryName : line.categoryName) || 'Uncategorized',
+    unit,
+    expectedQuantity: roundQuantity(expectedQuantity, unit),
+    countedQuantity,
+    variance,
+    unitCost,
+    varianceValue: variance === null ? null : roundMoney(variance * unitCost),
+    countedBy: [...new Set((line?.entries || []).map(e => e.userName).filter(Boolean))],
+    lastCountedAt: line?.updatedAt || null,
+    movements: line?.movements || [],
+    ...(product?.serialized && { countedSerials: line?.countedSerials || [] })
+  };
+}
+
+// Serials of a serialized product the count of a warehouse disagrees with: missing (in
+// stock there but not counted) and extra (counted but not in stock there)
+async function getSerialVariance({ SerialNumber }, product, warehouse, countedSerials) {
+  const inStock = await SerialNumber.distinct('serial', { product: product._id, status: 'in_stock', warehouse: warehouse._id });
+  const counted = new Set(countedSerials);
+  const stocked = new Set(inStock);
+  return {
+    missing: inStock.filter(serial => !counted.has(serial)).sort(),
+    extra: countedSerials.filter(serial => !stocked.has(serial))
+  };
+}
+
+// Variance report of a session, one row per counted product. includeUncounted adds the
+// products in scope nobody counted (countedQuantity null, or 0 with uncountedAsZero).
+// An approved session reports the quantities it was approved with.
+async function getStocktakeVariances(models, stocktake, warehouse, { includeUncounted = false, uncountedAsZero = false } = {}) {
+  const { Product, StocktakeLine } = models;
+  const lines = await StocktakeLine.find({ stocktake: stocktake._id }).sort({ productName: 1 }).lean();
+
+  if (stocktake.status === 'approved') {
+    return lines.map(line => toVarianceRow(line, null, line.expectedQuantity ?? 0, line.countedQuantity));
+  }
+
+  const productFilter = includeUncounted
+    ? stocktakeProductFilter(stocktake)
+    : { _id: { $in: lines.map(line => line.product) } };
+  const products = await Product.find(productFilter)
+    .select('barcode name unit categoryName buyingPrice currentStock serialized')
+    .sort({ name: 1 })
+    .lean();
+  const expected = await getExpectedQuantities(models, products, warehouse);
+  const lineMap = new Map(lines.map(line => [line.product.toString(), line]));
+
+  return products.map(product => {
+    const line = lineMap.get(product._id.toString());
+    const counted = line ? line.countedQuantity : (uncountedAsZero ? 0 : null);
+    return toVarianceRow(line, product, expected.get(product._id.toString()) || 0, counted);
+  });
+}
+
+// Totals of a variance report. Quantities of different units are not added up.
+function summarizeVariances(rows) {
+  const summary = { products: rows.length, counted: 0, uncounted: 0, withVariance: 0, surplusValue: 0, shortageValue: 0, netValue: 0 };
+  for (const row of rows) {
+    if (row.countedQuantity === null) {
+      summary.uncounted++;
+      continue;
+    }
+    summary.counted++;
+    if (row.variance === 0) continue;
+    summary.withVariance++;
+    if (row.varianceValue > 0) summary.surplusValue += row.varianceValue;
+    else summary.shortageValue -= row.varianceValue;
+  }
+  summary.surplusValue = roundMoney(summary.surplusValue);
+  summary.shortageValue = roundMoney(summary.shortageValue);
+  summary.netValue = roundMoney(summary.surplusValue - summary.shortageValue);
+  return summary;
+}
+
+module.exports = {
+  STOCKTAKE_REASON,
+  COUNT_MODES,
+  stocktakeProductFilter,
+  getExpectedQuantities,
+  recordCount,
+  getStocktakeVariances,
+  getSerialVariance,
+  summarizeVariances
+};
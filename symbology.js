@@ -0,0 +1,327 @@
+// Barcode symbologies - what kind of code a scanned or typed barcode is, whether its
+// check digit is right and the one normalised form it is stored and looked up by:
+// ean13 / ean8 / upca / gtin14 - GTINs, check digit validated. Equivalent forms (a UPC-A
+//                                with and without the leading zero, GTIN-14 padded with
+//                                zeros) normalise to the shortest one
+// gs1                          - GS1-128 / DataMatrix element strings, normalised to the
+//                                human readable "(01)...(10)..." form
+// code128                      - anything else a scanner can read (internal codes); no check
+// What happens to codes that are not valid is decided by the company's barcode policy.
+// Codes carrying data - GS1 element strings and EAN-13s of the in-store range printed by
+// scales with the weight or price inside - are decoded into what they say.
+
+const Company = require('./models/Company');
+
+// off    - codes are taken as typed (trimmed), nothing is checked
+// warn   - codes are normalised, invalid ones are accepted with a warning
+// reject - codes are normalised, invalid ones are refused
+const BARCODE_POLICIES = ['off', 'warn', 'reject'];
+const DEFAULT_BARCODE_POLICY = 'warn';
+
+// Scale barcodes: an EAN-13 starting with prefix, then itemDigits of the item (PLU) code,
+// then the weight (kg) or price with decimals, then the check digit. The product carries
+// the code with the value zeroed ("base code"). Companies may configure their own rules.
+const EMBEDDED_CONTENTS = ['weight', 'price'];
+const DEFAULT_EMBEDDED_BARCODES = ['21', '22', '23', '24', '25', '26', '27', '28', '29']
+  .map(prefix => ({ prefix, content: 'weight', itemDigits: 5, decimals: 3 }));
+
+// GS1 group separator (FNC1 inside an element string)
+const GS = '\u001d';
+
+// Symbology identifier prefixes scanners may send (]C1 GS1-128, ]e0 GS1 DataBar,
+// ]d2 GS1 DataMatrix, ]Q3 GS1 QR code)
+const AIM_PREFIX = /^\][A-Za-z][0-9A-Za-z]/;
+const GS1_AIM_PREFIXES = [']C1', ']e0', ']d2', ']Q3'];
+
+// Length of the application identifier by its first two digits
+const AI_LENGTHS = {
+  23: 3, 24: 3, 25: 3, 31: 4, 32: 4, 33: 4, 34: 4, 35: 4, 36: 4, 39: 4,
+  40: 3, 41: 3, 42: 3, 43: 4, 70: 4, 71: 3, 72: 4, 80: 4, 81: 4, 82: 4
+};
+
+// Data length of the AIs with predefined length, by their first two digits. The other
+// AIs are variable length, ended by a group separator.
+const AI_DATA_LENGTHS = {
+  '00': 18, '01': 14, '02': 14, '03': 14, '04': 16,
+  11: 6, 12: 6, 13: 6, 14: 6, 15: 6, 16: 6, 17: 6, 18: 6, 19: 6, 20: 2,
+  31: 6, 32: 6, 33: 6, 34: 6, 35: 6, 36: 6, 41: 13
+};
+
+// GS1 check digit (mod 10, weights 3 and 1 from the right) of the digits before it
+function gtinCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    sum += Number(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function hasValidCheckDigit(code) {
+  return gtinCheckDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+// Shortest form of a GTIN: GTIN-14 padded with zeros -> EAN-8 / EAN-13
+function normaliseGtin(code) {
+  const gtin14 = code.padStart(14, '0');
+  if (gtin14.startsWith('000000')) return gtin14.slice(6);
+  if (gtin14.startsWith('0')) return gtin14.slice(1);
+  return gtin14;
+}
+
+const GTIN_FORMATS = { 8: 'ean8', 12: 'upca', 13: 'ean13', 14: 'gtin14' };
+const FORMAT_NAMES = { ean8: 'EAN-8', upca: 'UPC-A', ean13: 'EAN-13', gtin14: 'GTIN-14' };
+
+// Split a GS1 element string (raw with group separators, or human readable with the AIs
+// in parentheses) into [{ ai, value }]. Returns { value } or { error }.
+function parseGs1ElementString(input) {
+  const elements = [];
+
+  if (input.startsWith('(')) {
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(input)) !== null) {
+      if (match.index !== consumed) break;
+      elements.push({ ai: match[1], value: match[2] });
+      consumed = pattern.lastIndex;
+    }
+    if (consumed !== input.length || elements.length === 0) {
+      return { error: 'Unreadable GS1 element string' };
+    }
+    return { value: elements };
+  }
+
+  let rest = input;
+  while (rest.length > 0) {
+    const aiLength = AI_LENGTHS[rest.slice(0, 2)] || 2;
+    const ai = rest.slice(0, aiLength);
+    if (!/^\d+$/.test(ai) || ai.length < aiLength) {
+      return { error: 'Unreadable GS1 element string' };
+    }
+    rest = rest.slice(aiLength);
+
+    const fixed = AI_DATA_LENGTHS[ai.slice(0, 2)];
+    let value;
+    if (fixed) {
+      value = rest.slice(0, fixed);
+      rest = rest.slice(fixed);
+    } else {
+      const end = rest.indexOf(GS);
+      value = end === -1 ? rest : rest.slice(0, end);
+      rest = end === -1 ? '' : rest.slice(end);
+    }
+    if (fixed && value.length < fixed) {
+      return { error: `GS1 element (${ai}) is too short` };
+    }
+    elements.push({ ai, value });
+    if (rest.startsWith(GS)) rest = rest.slice(1);
+  }
+  return { value: elements };
+}
+
+function readGs1(input) {
+  const parsed = parseGs1ElementString(input);
+  if (parsed.error) {
+    return { code: input, format: 'gs1', valid: false, warning: parsed.error };
+  }
+
+  const code = parsed.value.map(e => `(${e.ai})${e.value}`).join('');
+  const gtin = parsed.value.find(e => e.ai === '01' || e.ai === '02');
+  if (gtin && !(/^\d{14}$/.test(gtin.value) && hasValidCheckDigit(gtin.value))) {
+    return { code, format: 'gs1', valid: false, warning: `GTIN (${gtin.ai}) has a wrong check digit`, elements: parsed.value };
+  }
+  return { code, format: 'gs1', valid: true, warning: null, elements: parsed.value };
+}
+
+// Read a barcode: { code, format, valid, warning } - code is the normalised form, warning
+// says why the code is not valid. An empty input gives code ''.
+function parseBarcodeFormat(input) {
+  let code = typeof input === 'string' ? input.trim() : (input ? String(input).trim() : '');
+  let gs1Hint = false;
+
+  const aim = code.match(AIM_PREFIX);
+  if (aim) {
+    gs1Hint = GS1_AIM_PREFIXES.includes(aim[0]);
+    code = code.slice(aim[0].length);
+  }
+  if (code.startsWith(GS)) {
+    gs1Hint = true;
+    code = code.slice(1);
+  }
+  if (!code) return { code: '', format: null, valid: false, warning: 'Barcode is empty' };
+
+  if (gs1Hint || /^\(\d{2,4}\)/.test(code)) {
+    return readGs1(code);
+  }
+
+  if (/^\d+$/.test(code) && GTIN_FORMATS[code.length]) {
+    const format = GTIN_FORMATS[code.length];
+    if (!hasValidCheckDigit(code)) {
+      return { code, format, valid: false, warning: `Wrong check digit for ${FORMAT_NAMES[format]} - expected ${gtinCheckDigit(code.slice(0, -1))}` };
+    }
+    return { code: normaliseGtin(code), format, valid: true, warning: null };
+  }
+
+  if (!/^[\x20-\x7e]+$/.test(code)) {
+    return { code, format: null, valid: false, warning: 'Barcode contains characters a barcode cannot hold' };
+  }
+  return { code, format: 'code128', valid: true, warning: null };
+}
+
+// Forms a code may be stored under by products saved before normalisation (or with the
+// policy off): as typed, normalised and, for GTINs, the other lengths it can be written in
+function barcodeLookupForms(input) {
+  const raw = typeof input === 'string' ? input.trim() : (input ? String(input).trim() : '');
+  const parsed = parseBarcodeFormat(raw);
+  const forms = [raw, parsed.code];
+
+  if (parsed.valid && GTIN_FORMATS[parsed.code.length] && /^\d+$/.test(parsed.code)) {
+    const gtin14 = parsed.code.padStart(14, '0');
+    forms.push(gtin14, gtin14.slice(1), gtin14.slice(2));
+  }
+  return [...new Set(forms.filter(Boolean))];
+}
+
+// Validate scale barcode rules sent by a client. Returns { value } or { error }.
+function parseEmbeddedBarcodes(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Scale barcode rules must be a list' };
+  }
+
+  const rules = [];
+  for (const item of input) {
+    const prefix = String(item?.prefix ?? '').trim();
+    if (!/^2\d$/.test(prefix)) {
+      return { error: 'Scale barcode prefix must be two digits starting with 2' };
+    }
+    if (rules.some(rule => rule.prefix === prefix)) {
+      return { error: `Scale barcode prefix ${prefix} is listed more than once` };
+    }
+    const content = item.content || 'weight';
+    if (!EMBEDDED_CONTENTS.includes(content)) {
+      return { error: `Scale barcode content must be one of: ${EMBEDDED_CONTENTS.join(', ')}` };
+    }
+    const itemDigits = item.itemDigits === undefined ? 5 : Number(item.itemDigits);
+    if (![4, 5, 6].includes(itemDigits)) {
+      return { error: 'Scale barcode item code must have 4, 5 or 6 digits' };
+    }
+    const decimals = item.decimals === undefined ? (content === 'weight' ? 3 : 2) : Number(item.decimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 4) {
+      return { error: 'Scale barcode decimals must be 0 to 4' };
+    }
+    rules.push({ prefix, content, itemDigits, decimals });
+  }
+  return { value: rules };
+}
+
+// Date of a GS1 date field (YYMMDD, DD 00 meaning the end of the month). The century is
+// the one putting the year at most 49 years back or 50 ahead.
+function gs1Date(value, now = new Date()) {
+  if (!/^\d{6}$/.test(value)) return null;
+  const currentYear = now.getUTCFullYear();
+  let year = Math.floor(currentYear / 100) * 100 + Number(value.slice(0, 2));
+  if (year - currentYear > 50) year -= 100;
+  if (currentYear - year > 49) year += 100;
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+  if (month < 1 || month > 12 || day > 31) return null;
+  // Day 0 of the next month is the last day of this one
+  return new Date(Date.UTC(year, day === 0 ? month : month - 1, day));
+}
+
+// Decode what a barcode says:
+// { code, format, valid, warning - as parseBarcodeFormat
+//   lookup - the code the product is found by (the GTIN of a GS1 string, the base code
+//            of a scale barcode, the code itself otherwise)
+//   weight (kg), count, price, lotNumber, expiryDate, serial - null when not in the code }
+// rules are the company's scale barcode rules.
+function decodeBarcode(input, rules = DEFAULT_EMBEDDED_BARCODES) {
+  const parsed = parseBarcodeFormat(input);
+  const decoded = {
+    ...parsed,
+    lookup: parsed.code,
+    weight: null,
+    count: null,
+    price: null,
+    lotNumber: null,
+    expiryDate: null,
+    serial: null
+  };
+
+  if (parsed.format === 'gs1' && parsed.elements) {
+    for (const { ai, value } of parsed.elements) {
+      if (ai === '01' || ai === '02') decoded.lookup = normaliseGtin(value);
+      else if (ai === '10') decoded.lotNumber = value;
+      else if (ai === '17') decoded.expiryDate = gs1Date(value);
+      else if (ai === '21') decoded.serial = value;
+      else if (ai === '30' || ai === '37') decoded.count = Number(value);
+      else if (/^310\d$/.test(ai)) decoded.weight = Number(value) / Math.pow(10, Number(ai[3]));
+      else if (/^392\d$/.test(ai)) decoded.price = Number(value) / Math.pow(10, Number(ai[3]));
+    }
+    return decoded;
+  }
+
+  if (parsed.valid && parsed.format === 'ean13') {
+    const rule = rules.find(r => parsed.code.startsWith(r.prefix));
+    if (rule) {
+      const valueStart = rule.prefix.length + rule.itemDigits;
+      const base = parsed.code.slice(0, valueStart).padEnd(12, '0');
+      const value = Number(parsed.code.slice(valueStart, 12)) / Math.pow(10, rule.decimals);
+      decoded.lookup = base + gtinCheckDigit(base);
+      decoded[rule.content] = value;
+    }
+  }
+  return decoded;
+}
+
+// Scale barcode rules of the company a request works on (cached on the request)
+async function getEmbeddedBarcodes(models) {
+  if (!models.embeddedBarcodes) {
+    const company = await Company.findOne({ slug: models.companySlug }).select('embeddedBarcodes').lean();
+    models.embeddedBarcodes = company?.embeddedBarcodes || DEFAULT_EMBEDDED_BARCODES;
+  }
+  return models.embeddedBarcodes;
+}
+
+// Read a barcode sent by a client under the company's policy. Returns { value } with the
+// code to use ({ code, format, warning }), or { error } when the policy refuses it.
+function readBarcode(input, policy = DEFAULT_BARCODE_POLICY) {
+  const raw = typeof input === 'string' ? input.trim() : (input ? String(input).trim() : '');
+  if (!raw) {
+    return { error: 'Barcode is required' };
+  }
+  if (policy === 'off') {
+    return { value: { code: raw, format: null, warning: null } };
+  }
+
+  const parsed = parseBarcodeFormat(raw);
+  if (!parsed.valid && policy === 'reject') {
+    return { error: `Invalid barcode "${raw}": ${parsed.warning}` };
+  }
+  return { value: { code: parsed.valid ? parsed.code : raw, format: parsed.format, warning: parsed.warning } };
+}
+
+// Barcode policy of the company a request works on (cached on the request)
+async function getBarcodePolicy(models) {
+  if (!models.barcodePolicy) {
+    const company = await Company.findOne({ slug: models.companySlug }).select('barcodePolicy').lean();
+    models.barcodePolicy = company?.barcodePolicy || DEFAULT_BARCODE_POLICY;
+  }
+  return models.barcodePolicy;
+}
+
+module.exports = {
+  BARCODE_POLICIES,
+  DEFAULT_BARCODE_POLICY,
+  EMBEDDED_CONTENTS,
+  DEFAULT_EMBEDDED_BARCODES,
+  gtinCheckDigit,
+  parseGs1ElementString,
+  parseBarcodeFormat,
+  barcodeLookupForms,
+  parseEmbeddedBarcodes,
+  decodeBarcode,
+  getEmbeddedBarcodes,
+  readBarcode,
+  getBarcodePolicy
+};
@@ -0,0 +1,195 @@
+// Units of measure and how many decimals a quantity in that unit may have.
+// Keys are lowercase; names used by the app and common aliases are both listed.
+const UNIT_PRECISION = {
+  // Countable items - whole numbers only
+  'ədəd': 0,
+  'əd': 0,
+  'pcs': 0,
+  'dəst': 0,
+  'cüt': 0,
+  'qutu': 0,
+  'paket': 0,
+  'rulon': 0,
+  'kisə': 0,
+  // Weight
+  'kg': 3,
+  'kq': 3,
+  'q': 0,
+  'qr': 0,
+  'g': 0,
+  'ton': 3,
+  't': 3,
+  // Length
+  'm': 2,
+  'metr': 2,
+  'sm': 1,
+  'cm': 1,
+  'mm': 0,
+  'km': 3,
+  // Volume
+  'l': 3,
+  'litr': 3,
+  'ml': 0,
+  'm3': 3,
+  'm³': 3,
+  // Area
+  'm2': 2,
+  'm²': 2
+};
+
+// Kilograms in one of each weight unit
+const KILOGRAMS_PER_UNIT = {
+  'kg': 1,
+  'kq': 1,
+  'q': 0.001,
+  'qr': 0.001,
+  'g': 0.001,
+  'ton': 1000,
+  't': 1000
+};
+
+// Unknown units keep the old behaviour of whole numbers
+const DEFAULT_PRECISION = 0;
+
+const DEFAULT_UNIT = 'ədəd';
+
+// Unit names that are stored as another name ("pcs" was the old English default)
+const UNIT_ALIASES = {
+  'pcs': DEFAULT_UNIT
+};
+
+// Canonical unit name: trimmed, aliases resolved, empty becomes the default unit
+function normalizeUnit(unit) {
+  const name = typeof unit === 'string' ? unit.trim() : '';
+  if (!name) return DEFAULT_UNIT;
+  return UNIT_ALIASES[name.toLowerCase()] || name;
+}
+
+function isSameUnit(a, b) {
+  return normalizeUnit(a).toLowerCase() === normalizeUnit(b).toLowerCase();
+}
+
+function getUnitPrecision(unit) {
+  const key = (unit || DEFAULT_UNIT).trim().toLowerCase();
+  return UNIT_PRECISION[key] ?? DEFAULT_PRECISION;
+}
+
+// Round a quantity to the precision of its unit (also removes float noise like 0.30000000000000004)
+function roundQuantity(value, unit) {
+  const factor = Math.pow(10, getUnitPrecision(unit));
+  return Math.round((Number(value) || 0) * factor) / factor;
+}
+
+// Parse a quantity sent by a client ("2.5", "2,5" or 2.5) and check it against the unit.
+// Returns { value } on success or { error } with a message for a 400 response.
+function parseQuantity(input, unit, { allowZero = false } = {}) {
+  const unitName = (unit || DEFAULT_UNIT).trim();
+  const text = typeof input === 'string' ? input.trim().replace(',', '.') : input;
+  const value = typeof text === 'number' ? text : Number(text);
+
+  if (text === '' || text === null || text === undefined || !Number.isFinite(value)) {
+    return { error: 'Valid quantity is required' };
+  }
+  if (value < 0 || (!allowZero && value === 0)) {
+    return { error: allowZero ? 'Quantity cannot be negative' : 'Quantity must be greater than zero' };
+  }
+
+  const precision = getUnitPrecision(unitName);
+  const rounded = roundQuantity(value, unitName);
+  if (Math.abs(rounded - value) > 1e-9) {
+    return {
+      error: precision === 0
+        ? `Quantity for unit "${unitName}" must be a whole number`
+        : `Quantity for unit "${unitName}" can have at most ${precision} decimal places`
+    };
+  }
+
+  return { value: rounded };
+}
+
+// Validate a product's alternate units, e.g. [{ name: 'qutu', factor: 24 }] meaning
+// 1 qutu = 24 of the base unit. Returns { value } or { error }.
+function parseAlternateUnits(input, baseUnit) {
+  if (!Array.isArray(input)) {
+    return { error: 'Alternate units must be a list' };
+  }
+
+  const units = [];
+  for (const item of input) {
+    const name = normalizeUnit(item?.name);
+    const factor = Number(typeof item?.factor === 'string' ? item.factor.replace(',', '.') : item?.factor);
+
+    if (!item?.name || !item.name.trim()) {
+      return { error: 'Alternate unit name is required' };
+    }
+    if (!Number.isFinite(factor) || factor <= 0) {
+      return { error: `Conversion factor for "${name}" must be greater than zero` };
+    }
+    if (isSameUnit(name, baseUnit)) {
+      return { error: `"${name}" is already the base unit of this product` };
+    }
+    if (units.some(u => isSameUnit(u.name, name))) {
+      return { error: `Alternate unit "${name}" is listed more than once` };
+    }
+    units.push({ name, factor });
+  }
+
+  return { value: units };
+}
+
+// Convert a quantity entered in any of the product's units to its base unit (options as
+// for parseQuantity). Returns { value, enteredQuantity, enteredUnit, factor } or { error }.
+function toBaseQuantity(product, input, unit, options = {}) {
+  const baseUnit = normalizeUnit(product.unit);
+
+  if (!unit || isSameUnit(unit, baseUnit)) {
+    const parsed = parseQuantity(input, baseUnit, options);
+    if (parsed.error) return parsed;
+    return { value: parsed.value, enteredQuantity: parsed.value, enteredUnit: baseUnit, factor: 1 };
+  }
+
+  const alternate = (product.alternateUnits || []).find(u => isSameUnit(u.name, unit));
+  if (!alternate) {
+    const allowed = [baseUnit, ...(product.alternateUnits || []).map(u => u.name)].join(', ');
+    return { error: `Unit "${normalizeUnit(unit)}" is not defined for this product (allowed: ${allowed})` };
+  }
+
+  const parsed = parseQuantity(input, alternate.name, options);
+  if (parsed.error) return parsed;
+
+  const exact = parsed.value * alternate.factor;
+  const value = roundQuantity(exact, baseUnit);
+  if (Math.abs(value - exact) > 1e-9) {
+    return { error: `${formatQuantity(parsed.value, alternate.name)} is not a valid quantity of "${baseUnit}"` };
+  }
+
+  return { value, enteredQuantity: parsed.value, enteredUnit: alternate.name, factor: alternate.factor };
+}
+
+// A weight in kilograms (e.g. read from a scale barcode) in a weight unit, rounded to its
+// precision. null when unit is not a weight unit.
+function fromKilograms(kilograms, unit) {
+  const perUnit = KILOGRAMS_PER_UNIT[(unit || DEFAULT_UNIT).trim().toLowerCase()];
+  if (!perUnit) return null;
+  return roundQuantity(kilograms / perUnit, unit);
+}
+
+// Format a quantity with its unit for messages, e.g. "2.5 kg"
+function formatQuantity(value, unit) {
+  return `${roundQuantity(value, unit)} ${(unit || DEFAULT_UNIT).trim()}`;
+}
+
+module.exports = {
+  UNIT_PRECISION,
+  DEFAULT_PRECISION,
+  DEFAULT_UNIT,
+  normalizeUnit,
+  isSameUnit,
+  getUnitPrecision,
+  roundQuantity,
+  parseQuantity,
+  parseAlternateUnits,
+  toBaseQuantity,
+  fromKilograms,
+  formatQuantity
+};